@@ -0,0 +1,210 @@
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  Container, Box, Paper, Typography, Button, Chip, Alert, FormControlLabel, Switch,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+} from '@mui/material';
+import adminApi from './adminApi';
+import { SessionContext } from './AuthGate';
+
+const cellSx = { color: 'white' };
+const headSx = { color: 'white', background: '#111827' };
+
+const SEVERITY_COLORS = { info: 'default', low: 'info', medium: 'warning', high: 'error', critical: 'error' };
+
+function ruleCondition(rule) {
+  if (rule.when !== 'decision') return `signal: ${rule.when}`;
+  const match = Object.entries(rule.match || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+  const threshold = rule.count > 1 ? `${rule.count} in ${rule.windowSec}s` : 'any';
+  return `${threshold}${rule.groupBy ? ` per ${rule.groupBy}` : ''}${match ? ` · ${match}` : ''}`;
+}
+
+export default function AlertsPage() {
+  const session = useContext(SessionContext);
+  const canEdit = session?.role === 'operator';
+  const [alerts, setAlerts] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [openOnly, setOpenOnly] = useState(false);
+
+  const loadAlerts = async () => {
+    try {
+      const res = await adminApi.get('/admin/alerts', { params: { limit: 200 } });
+      setAlerts(res.data.alerts);
+      setConfig(res.data.config);
+    } catch (err) {
+      console.error('Alerts error:', err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadAlerts();
+    const id = setInterval(loadAlerts, 5000);
+    return () => clearInterval(id);
+  }, []);
+
+  const showError = (err) => {
+    const data = err.response?.data;
+    setError(data?.details ? data.details.join('\n') : data?.error || err.message);
+  };
+
+  const acknowledge = async (id) => {
+    try {
+      await adminApi.post(`/admin/alerts/${encodeURIComponent(id)}/ack`);
+      setError(null);
+      await loadAlerts();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const sendTest = async (channel) => {
+    try {
+      await adminApi.post('/admin/alerts/test', { channel });
+      setError(null);
+      setNotice(`Test alert delivered via ${channel}`);
+      await loadAlerts();
+    } catch (err) {
+      setNotice(null);
+      showError(err);
+    }
+  };
+
+  const shown = openOnly ? alerts.filter(a => !a.acknowledged) : alerts;
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      {error && (
+        <Alert severity="error" onClose={() => setError(null)} sx={{ mb: 2, whiteSpace: 'pre-line' }}>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" onClose={() => setNotice(null)} sx={{ mb: 2 }}>
+          {notice}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 3, background: '#020617' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 2 }}>
+          <Typography variant="h6" color="white" sx={{ flexGrow: 1 }}>
+            Alerts ({config ? `${config.unacknowledged} open / ${config.total}` : alerts.length})
+          </Typography>
+          {config && !config.enabled && (
+            <Typography variant="caption" sx={{ color: '#f87171' }}>Alerting disabled</Typography>
+          )}
+          <FormControlLabel
+            control={<Switch size="small" checked={openOnly} onChange={(e) => setOpenOnly(e.target.checked)} />}
+            label="Open only"
+            sx={{ color: '#9ca3af' }}
+          />
+          {!canEdit && <Chip label="Read-only (viewer)" size="small" variant="outlined" sx={{ color: '#9ca3af' }} />}
+        </Box>
+        <TableContainer sx={{ maxHeight: 480 }}>
+          <Table stickyHeader size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headSx}>Time</TableCell>
+                <TableCell sx={headSx}>Severity</TableCell>
+                <TableCell sx={headSx}>Rule</TableCell>
+                <TableCell sx={headSx}>Summary</TableCell>
+                <TableCell sx={headSx}>Delivered</TableCell>
+                <TableCell sx={headSx} />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {shown.map(alert => (
+                <TableRow key={alert.id} hover sx={{ opacity: alert.acknowledged ? 0.55 : 1 }}>
+                  <TableCell sx={cellSx}>{new Date(alert.time).toLocaleTimeString()}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip label={alert.severity} size="small" color={SEVERITY_COLORS[alert.severity] || 'default'}
+                      variant={alert.severity === 'critical' ? 'filled' : 'outlined'} />
+                  </TableCell>
+                  <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{alert.rule}</TableCell>
+                  <TableCell sx={cellSx}>
+                    {alert.summary}
+                    {(alert.blocks?.length > 0 || alert.suppressedSinceLast > 0) && (
+                      <Typography variant="caption" display="block" sx={{ color: '#9ca3af', fontFamily: 'monospace' }}>
+                        {alert.blocks?.length > 0 && `blocks #${alert.blocks.join(', #')}`}
+                        {alert.suppressedSinceLast > 0 && ` · ${alert.suppressedSinceLast} suppressed since last`}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    {alert.deliveries.length === 0 && <Typography variant="caption" sx={{ color: '#9ca3af' }}>—</Typography>}
+                    {alert.deliveries.map(d => (
+                      <Chip key={d.channel} label={d.channel} size="small" title={d.error || 'delivered'}
+                        color={d.ok ? 'success' : 'error'} variant="outlined" sx={{ mr: 0.5 }} />
+                    ))}
+                  </TableCell>
+                  <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>
+                    {alert.acknowledged
+                      ? <Typography variant="caption" sx={{ color: '#9ca3af' }}>ack by {alert.acknowledged.by}</Typography>
+                      : canEdit && <Button size="small" onClick={() => acknowledge(alert.id)}>Ack</Button>}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {shown.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} sx={{ color: 'white', textAlign: 'center' }}>No alerts</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {config && (
+        <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+          <Paper sx={{ p: 2, mb: 3, background: '#020617', flex: '2 1 480px' }}>
+            <Typography variant="h6" color="white" gutterBottom>Rules</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={headSx}>Rule</TableCell>
+                  <TableCell sx={headSx}>Condition</TableCell>
+                  <TableCell sx={headSx}>Severity</TableCell>
+                  <TableCell sx={headSx}>Cooldown</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {config.rules.map(rule => (
+                  <TableRow key={rule.id}>
+                    <TableCell sx={cellSx}>
+                      {rule.description || rule.id}
+                      <Typography variant="caption" display="block" sx={{ color: '#9ca3af', fontFamily: 'monospace' }}>{rule.id}</Typography>
+                    </TableCell>
+                    <TableCell sx={{ ...cellSx, fontFamily: 'monospace', fontSize: 12 }}>{ruleCondition(rule)}</TableCell>
+                    <TableCell sx={cellSx}>
+                      <Chip label={rule.severity} size="small" color={SEVERITY_COLORS[rule.severity] || 'default'} variant="outlined" />
+                    </TableCell>
+                    <TableCell sx={cellSx}>{rule.cooldownSec ? `${rule.cooldownSec}s` : 'none'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+
+          <Paper sx={{ p: 2, mb: 3, background: '#020617', flex: '1 1 320px' }}>
+            <Typography variant="h6" color="white" gutterBottom>Channels</Typography>
+            {config.channels.length === 0 && (
+              <Typography variant="body2" sx={{ color: '#9ca3af' }}>No channels configured</Typography>
+            )}
+            {config.channels.map(ch => (
+              <Box key={ch.name} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Chip label={ch.type} size="small" color={ch.enabled ? 'primary' : 'default'} variant="outlined" />
+                <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                  <Typography variant="body2" color="white">{ch.name}{!ch.enabled && ' (disabled)'}</Typography>
+                  <Typography variant="caption" sx={{ color: '#9ca3af', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                    {ch.target}
+                  </Typography>
+                </Box>
+                {canEdit && <Button size="small" onClick={() => sendTest(ch.name)}>Send test</Button>}
+              </Box>
+            ))}
+          </Paper>
+        </Box>
+      )}
+    </Container>
+  );
+}
@@ -1,64 +1,155 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useCallback, useContext, useEffect, useRef, useState, useMemo } from 'react';
 import axios from 'axios';
+import { Link, Route, Routes } from 'react-router-dom';
 import {
   AppBar, Toolbar, Typography, Container, Box, Paper, Button, Chip,
   Table, TableBody, TableCell, TableContainer, TableHead, TablePagination, TableRow,
-  ToggleButton, ToggleButtonGroup,
+  ToggleButton, ToggleButtonGroup, TextField,
 } from '@mui/material';
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   BarChart, Bar, ResponsiveContainer,
 } from 'recharts';
-
-const TLS_GATEWAY = 'https://localhost:4001';
+import PoliciesPage from './PoliciesPage';
+import BansPage from './BansPage';
+import AlertsPage from './AlertsPage';
+import VerdictCell from './VerdictCell';
+import DecisionDrawer from './DecisionDrawer';
+import adminApi, { TLS_GATEWAY } from './adminApi';
+import { SessionContext } from './AuthGate';
+import useLogStream from './useLogStream';
 
 function App() {
+  const session = useContext(SessionContext);
+  const canEdit = session?.role === 'operator';
   const [logs, setLogs] = useState([]);
+  const [chainStatus, setChainStatus] = useState(null);
   const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState({ q: '', userId: '', pathPrefix: '', country: '' });
   const [page, setPage] = useState(0);
+  const [pageLogs, setPageLogs] = useState([]);
   const [totalCount, setTotalCount] = useState(0); // Track total for pagination
+  const [cursors, setCursors] = useState([null]); // cursors[n] = cursor for page n
   const ROWS_PER_PAGE = 25;
+  const [selectedIndex, setSelectedIndex] = useState(null); // row open in the decision drawer
+
+  const MAX_LIVE_LOGS = 1000;
+  const [liveSince, setLiveSince] = useState(null);   // newest block index loaded over REST
+  const [tableSince, setTableSince] = useState(null);
+  const cursorsRef = useRef(cursors);
+  cursorsRef.current = cursors;
+  const pageLogsRef = useRef(pageLogs);
+  pageLogsRef.current = pageLogs;
 
-// Load logs via HTTPS (browser needs cert trust)
-  const loadLogs = async () => {
+// Load logs via HTTPS (browser needs cert trust); the live stream keeps them current after this
+  const loadLogs = useCallback(async () => {
     try {
-      const res = await axios.get(`${TLS_GATEWAY}/admin/logs?limit=1000`, {
+      const res = await adminApi.get('/admin/logs?limit=1000', {
         headers: { 'Accept': 'application/json' }
       });
-      setLogs(res.data);
+      setLogs(res.data.items);
+      setLiveSince(res.data.items.length ? res.data.items[0].index : -1);
     } catch (err) {
       console.error('Logs error:', err.message);
     }
+  }, []);
+
+  const loadChainStatus = async () => {
+    try {
+      const res = await adminApi.get('/admin/chain/status');
+      setChainStatus(res.data);
+    } catch (err) {
+      console.error('Chain status error:', err.message);
+    }
   };
 
   useEffect(() => {
     loadLogs();
-    const id = setInterval(loadLogs, 5000);
+    loadChainStatus();
+    const id = setInterval(loadChainStatus, 5000);
     return () => clearInterval(id);
-  }, []);
+  }, [loadLogs]);
+
+  // New blocks are pushed by the gateway; keep the newest MAX_LIVE_LOGS, newest first
+  const liveStatus = useLogStream({
+    since: liveSince,
+    onLogs: (entries) => setLogs(prev => {
+      const seen = new Set(prev.map(e => e.index));
+      const fresh = entries.filter(e => !seen.has(e.index)).reverse();
+      return [...fresh, ...prev].slice(0, MAX_LIVE_LOGS);
+    }),
+    onReset: loadLogs,
+  });
+
+  // Server-side filtered + paginated table
+  const tableParams = useMemo(() => {
+    const params = { decision: filter };
+    Object.entries(search).forEach(([k, v]) => { if (v.trim()) params[k] = v.trim(); });
+    return params;
+  }, [filter, search]);
+
+  const loadPage = useCallback(async () => {
+    try {
+      const params = { ...tableParams, limit: ROWS_PER_PAGE };
+      const cursor = cursorsRef.current[page];
+      if (cursor !== null && cursor !== undefined) params.cursor = cursor;
+      const res = await adminApi.get('/admin/logs', { params });
+      setPageLogs(res.data.items);
+      setTotalCount(res.data.total);
+      setCursors(prev => {
+        const next = prev.slice(0, page + 1);
+        if (res.data.nextCursor !== null) next[page + 1] = res.data.nextCursor;
+        const unchanged = next.length === prev.length && next.every((c, i) => c === prev[i]);
+        return unchanged ? prev : next;
+      });
+      if (page === 0) setTableSince(res.data.items.length ? res.data.items[0].index : -1);
+    } catch (err) {
+      console.error('Logs page error:', err.message);
+    }
+  }, [tableParams, page]);
+
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  // Matching blocks arrive with the table's filters applied by the gateway: on the first
+  // page they are prepended (and the next-page cursor follows), elsewhere only the total grows
+  useLogStream({
+    params: tableParams,
+    since: tableSince,
+    onLogs: (entries) => {
+      setTotalCount(prev => prev + entries.length);
+      if (page !== 0) return;
+      const rows = [...entries].reverse().concat(pageLogsRef.current).slice(0, ROWS_PER_PAGE);
+      pageLogsRef.current = rows;
+      setPageLogs(rows);
+      if (rows.length === ROWS_PER_PAGE) setCursors([null, rows[rows.length - 1].index]);
+    },
+    onReset: loadPage,
+  });
 
 
   // TLS Simulator (direct HTTPS calls)
-  const simulateRequest = async (path, userId, role) => {
+  const simulateRequest = async (path, headers = {}) => {
     try {
-      console.log('Traffic simulation:', path, userId, role);
+      console.log('Traffic simulation:', path, Object.keys(headers));
       await axios.get(`${TLS_GATEWAY}${path}`, {
-        headers: { 
-          'x-user-id': userId, 
-          'x-user-role': role 
-        },
+        headers,
         timeout: 5000
       });
-      await loadLogs();
     } catch (err) {
       console.log('Traffic simulation result:', err.response?.status || err.message);
-      await loadLogs();
     }
   };
 
-  const simulateNormalUserInfo = () => simulateRequest('/fw/info', 'alice', 'user');
-  const simulateSuspiciousGuestAdmin = () => simulateRequest('/fw/admin/secret', 'anonymous', 'guest');
-  const simulateGuestAdminRBAC = () => simulateRequest('/fw/admin/secret', 'guest123', 'guest');
+  // Demo API key for "alice" (role: user), see gateway/auth.json
+  const DEMO_USER_HEADERS = { 'x-api-key': 'demo-alice-key' };
+
+  const simulateNormalUserInfo = () => simulateRequest('/fw/info', DEMO_USER_HEADERS);
+  const simulateSuspiciousGuestAdmin = () => simulateRequest('/fw/admin/secret');
+  const simulateGuestAdminRBAC = () => simulateRequest('/fw/admin/secret', DEMO_USER_HEADERS);
+  // Bans this browser's IP (lift it on the Bans page)
+  const simulateHoneypotProbe = () => simulateRequest('/fw/honeypot/wp-login.php');
   
   const simulateDDoSAttack = async () => {
   const attackCount = 100; // Rapid concurrent requests
@@ -66,10 +157,6 @@ function App() {
     for (let i = 0; i < attackCount; i++) {
       promises.push(
         axios.get(`${TLS_GATEWAY}/fw/info`, {
-          headers: {
-            'x-user-id': `bot${i}`,
-            'x-user-role': 'guest'
-          },
           timeout: 1000
         }).catch(err => err) // Don't fail on individual request errors
       );
@@ -77,31 +164,21 @@ function App() {
     try {
       console.log('DDoS Attack Simulation: 100 concurrent admin requests');
       await Promise.allSettled(promises);
-      await loadLogs();
     } catch (err) {
       console.log('DDoS simulation completed:', err.message);
-      await loadLogs();
     }
   };
-  // Filtered logs & stats (unchanged logic)
-  const filteredLogs = useMemo(() => {
-    return logs.filter(entry => {
-      if (filter === 'all') return true;
-      if (filter === 'allowed') return entry.decision?.allow !== false;
-      if (filter === 'blocked') return entry.decision?.allow === false;
-      return true;
-    }).sort((a, b) => new Date(b.time) - new Date(a.time));
-  }, [logs, filter]);
-
-
-  const paginatedLogs = useMemo(() => {
-    const start = page * ROWS_PER_PAGE;
-    return filteredLogs.slice(start, start + ROWS_PER_PAGE);
-  }, [filteredLogs, page]); // ✅ Depends on filtered logs
-  
+  // Recent logs (newest first) for the live feed
+  const recentLogs = useMemo(() => {
+    return [...logs].sort((a, b) => new Date(b.time) - new Date(a.time));
+  }, [logs]);
+
+  // Filters changed: restart paging from the newest entry
   useEffect(() => {
     setPage(0);
-  }, [filter]);
+    setCursors([null]);
+    setTableSince(null);
+  }, [filter, search]);
   
   const totalRequests = logs.length;
   const allowedCount = logs.filter(e => e.decision?.allow !== false).length;
@@ -114,8 +191,8 @@ function App() {
   // export logs
   const handleExport = async (format) => {
     try {
-      const res = await axios.get(
-        `${TLS_GATEWAY}/admin/logs/export?format=${format}`,
+      const res = await adminApi.get(
+        `/admin/logs/export?format=${format}`,
         {
           responseType: "blob",
         }
@@ -138,6 +215,33 @@ function App() {
     }
   };
 
+  // Labeled decisions for retraining (ml/train_model.py)
+  const handleTrainingExport = async () => {
+    try {
+      const res = await adminApi.get('/admin/training/export', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'training.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting training data', err);
+      alert('Failed to export training data. Check gateway console for details.');
+    }
+  };
+
+  // A verdict was saved or cleared: update that row in place
+  const handleFeedback = (index, feedback) => {
+    setPageLogs(rows => rows.map(r => {
+      if (r.index !== index) return r;
+      const { feedback: _previous, ...rest } = r;
+      return feedback ? { ...rest, feedback } : rest;
+    }));
+  };
+
   // User summary
   const userSummaryMap = {};
   logs.forEach(e => {
@@ -161,7 +265,7 @@ function App() {
     return p.slice(0, 27) + '...';
   };
 
-  const displayLogs = filteredLogs.slice(0, 50);
+  const displayLogs = recentLogs.slice(0, 50);
 
   // Chart data
   const logsSortedByTime = [...logs].sort((a, b) => new Date(a.time) - new Date(b.time));
@@ -183,270 +287,356 @@ function App() {
   });
   const pathStats = Object.values(pathMap);
 
-  return (
-    <>
-      <AppBar position="static" color="primary">
-        <Toolbar>
-          <Typography variant="h6" sx={{ flexGrow: 1 }}>
-            AI-NGFW Dashboard
-          </Typography>
-          <Typography variant="body2" color="inherit">
-            https://localhost:4001
+  const dashboard = (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      {/* Stats */}
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <Paper sx={{ flex: 1, p: 2, minWidth: 200, background: '#111827', color: 'white' }}>
+          <Typography variant="subtitle2">Total Requests</Typography>
+          <Typography variant="h4">{totalRequests}</Typography>
+        </Paper>
+        <Paper sx={{ flex: 1, p: 2, minWidth: 200, background: '#065f46', color: 'white' }}>
+          <Typography variant="subtitle2">Allowed</Typography>
+          <Typography variant="h4">{allowedCount}</Typography>
+        </Paper>
+        <Paper sx={{ flex: 1, p: 2, minWidth: 200, background: '#7f1d1d', color: 'white' }}>
+          <Typography variant="subtitle2">Blocked</Typography>
+          <Typography variant="h4">{highRiskCount}</Typography>
+        </Paper>
+        <Paper sx={{
+          flex: 1, p: 2, minWidth: 200, color: 'white',
+          background: !chainStatus ? '#374151' : chainStatus.valid ? '#1e3a8a' : '#b45309'
+        }}>
+          <Typography variant="subtitle2">Integrity Status</Typography>
+          <Typography variant="h4">
+            {!chainStatus ? '—' : chainStatus.valid ? 'VALID' : 'TAMPERED'}
           </Typography>
-        </Toolbar>
-      </AppBar>
+          {chainStatus && (
+            <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>
+              {chainStatus.length} blocks · head {(chainStatus.headHash || '').slice(0, 12)}
+            </Typography>
+          )}
+        </Paper>
+      </Box>
 
-      <Container maxWidth="lg" sx={{ mt: 4 }}>
-        {/* Stats */}
-        <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
-          <Paper sx={{ flex: 1, p: 2, minWidth: 200, background: '#111827', color: 'white' }}>
-            <Typography variant="subtitle2">Total Requests</Typography>
-            <Typography variant="h4">{totalRequests}</Typography>
-          </Paper>
-          <Paper sx={{ flex: 1, p: 2, minWidth: 200, background: '#065f46', color: 'white' }}>
-            <Typography variant="subtitle2">Allowed</Typography>
-            <Typography variant="h4">{allowedCount}</Typography>
-          </Paper>
-          <Paper sx={{ flex: 1, p: 2, minWidth: 200, background: '#7f1d1d', color: 'white' }}>
-            <Typography variant="subtitle2">Blocked</Typography>
-            <Typography variant="h4">{highRiskCount}</Typography>
-          </Paper>
-        </Box>
-
-        {/* Charts */}
-        <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
-          <Paper sx={{ flex: 1, p: 2, minWidth: 400, background: '#020617', color: 'white' }}>
-            <Typography variant="h6" gutterBottom>Risk Trends</Typography>
-            {timeSeriesData.length === 0 ? (
-              <Typography variant="body2" sx={{ color: '#6b7280' }}>No data yet</Typography>
-            ) : (
-              <ResponsiveContainer width="100%" height={260}>
-                <LineChart data={timeSeriesData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="timeLabel" angle={-30} height={60} />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Line type="monotone" dataKey="risk" name="Risk" stroke="#3b82f6" strokeWidth={2} />
-                  {/* <Line type="monotone" dataKey="tlsRisk" name="TLS Risk" stroke="#f59e0b" strokeWidth={2} /> */}
-                </LineChart>
-              </ResponsiveContainer>
-            )}
-          </Paper>
-          <Paper sx={{ flex: 1, p: 2, minWidth: 400, background: '#020617', color: 'white' }}>
-            <Typography variant="h6" gutterBottom>Path Analysis</Typography>
-            {pathStats.length === 0 ? (
-              <Typography variant="body2" sx={{ color: '#6b7280' }}>No data</Typography>
-            ) : (
-              <ResponsiveContainer width="100%" height={260}>
-                <BarChart data={pathStats.slice(0, 10)}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="path" angle={-30} height={60} />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Bar dataKey="allowed" fill="#10b981" />
-                  <Bar dataKey="blocked" fill="#ef4444" />
-                </BarChart>
-              </ResponsiveContainer>
-            )}
-          </Paper>
-        </Box>
-
-        {/* Live Feed + Simulator */}
-        <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
-          <Paper sx={{ flex: 2, p: 2, background: '#020617', color: 'white', fontFamily: 'monospace' }}>
-            <Typography variant="h6" gutterBottom>Live Traffic</Typography>
-            <Box sx={{ maxHeight: 200, overflowY: 'auto', border: '1px solid #1f2937', p: 1, borderRadius: 1 }}>
-              {displayLogs.slice(0, 10).map((entry, idx) => {
-                const isAllowed = entry.decision?.allow !== false;
-                return (
-                  <Box key={idx} sx={{ display: 'flex', gap: 1, mb: 0.5, fontSize: 12 }}>
-                    <span style={{ color: '#6b7280' }}>{formatTime(entry.time)}</span>
-                    <span>{entry.context?.method} {shortPath(entry.targetPath)}</span>
-                    <span>user: {entry.context?.userId}, role: {entry.context?.role}</span>
-                    <span style={{ color: isAllowed ? '#4ade80' : '#f87171' }}>
-                      {isAllowed ? 'ALLOWED' : 'BLOCKED'}
-                    </span>
-                    {/* {entry.tls?.risk > 0 && (
-                      <Chip label={`TLS:${entry.tls.risk.toFixed(1)}`} size="small" color="warning" />
-                    )} */}
-                  </Box>
-                );
-              })}
-              {displayLogs.length === 0 && <Typography sx={{ color: '#6b7280' }}>No traffic</Typography>}
-            </Box>
-          </Paper>
-
-          <Paper sx={{ flex: 1, p: 2, background: '#020617', color: 'white', minWidth: 260 }}>
-            <Typography variant="h6" gutterBottom>Simulator</Typography>
-            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-              <Button fullWidth variant="contained" color="success" onClick={simulateNormalUserInfo}>
-                Normal /info
-              </Button>
-              <Button fullWidth variant="contained" color="warning" onClick={simulateSuspiciousGuestAdmin}>
-                Guest /admin
-              </Button>
-              <Button fullWidth variant="contained" color="error" onClick={simulateGuestAdminRBAC}>
-                RBAC Block
-              </Button>
-              <Button fullWidth variant="contained" color="error" onClick={simulateDDoSAttack}
-                sx={{ mt: 1, backgroundColor: '#dc2626' }}
-              >
-                DDoS Attack (100 reqs)
-              </Button>
-            </Box>
-          </Paper>
-        </Box>
-
-        {/* Tables */}
-        <Paper sx={{ p: 2, background: '#020617' }}>
-          <Typography variant="h6" color="white" sx={{ mb: 2 }}>
-            Firewall Logs ({filteredLogs.length})
-          </Typography>
-          <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
-              {/* Export buttons */}
-              <Button
-                variant="outlined"
-                size="small"
-                onClick={() => handleExport("json")}
+      {/* Charts */}
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <Paper sx={{ flex: 1, p: 2, minWidth: 400, background: '#020617', color: 'white' }}>
+          <Typography variant="h6" gutterBottom>Risk Trends</Typography>
+          {timeSeriesData.length === 0 ? (
+            <Typography variant="body2" sx={{ color: '#6b7280' }}>No data yet</Typography>
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={timeSeriesData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="timeLabel" angle={-30} height={60} />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Line type="monotone" dataKey="risk" name="Risk" stroke="#3b82f6" strokeWidth={2} />
+                {/* <Line type="monotone" dataKey="tlsRisk" name="TLS Risk" stroke="#f59e0b" strokeWidth={2} /> */}
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </Paper>
+        <Paper sx={{ flex: 1, p: 2, minWidth: 400, background: '#020617', color: 'white' }}>
+          <Typography variant="h6" gutterBottom>Path Analysis</Typography>
+          {pathStats.length === 0 ? (
+            <Typography variant="body2" sx={{ color: '#6b7280' }}>No data</Typography>
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={pathStats.slice(0, 10)}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="path" angle={-30} height={60} />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="allowed" fill="#10b981" />
+                <Bar dataKey="blocked" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </Paper>
+      </Box>
+
+      {/* Live Feed + Simulator */}
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <Paper sx={{ flex: 2, p: 2, background: '#020617', color: 'white', fontFamily: 'monospace' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>Live Traffic</Typography>
+            <Chip size="small" label={liveStatus === 'live' ? 'LIVE' : liveStatus.toUpperCase()}
+              color={liveStatus === 'live' ? 'success' : 'warning'} variant="outlined" />
+          </Box>
+          <Box sx={{ maxHeight: 200, overflowY: 'auto', border: '1px solid #1f2937', p: 1, borderRadius: 1 }}>
+            {displayLogs.slice(0, 10).map((entry, idx) => {
+              const isAllowed = entry.decision?.allow !== false;
+              return (
+                <Box key={idx} sx={{ display: 'flex', gap: 1, mb: 0.5, fontSize: 12 }}>
+                  <span style={{ color: '#6b7280' }}>{formatTime(entry.time)}</span>
+                  <span>{entry.context?.method} {shortPath(entry.targetPath)}</span>
+                  <span>user: {entry.context?.userId}, role: {entry.context?.role}</span>
+                  <span style={{ color: isAllowed ? '#4ade80' : '#f87171' }}>
+                    {isAllowed ? 'ALLOWED' : 'BLOCKED'}
+                  </span>
+                  {/* {entry.tls?.risk > 0 && (
+                    <Chip label={`TLS:${entry.tls.risk.toFixed(1)}`} size="small" color="warning" />
+                  )} */}
+                </Box>
+              );
+            })}
+            {displayLogs.length === 0 && <Typography sx={{ color: '#6b7280' }}>No traffic</Typography>}
+          </Box>
+        </Paper>
+
+        <Paper sx={{ flex: 1, p: 2, background: '#020617', color: 'white', minWidth: 260 }}>
+          <Typography variant="h6" gutterBottom>Simulator</Typography>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+            <Button fullWidth variant="contained" color="success" onClick={simulateNormalUserInfo}>
+              Normal /info
+            </Button>
+            <Button fullWidth variant="contained" color="warning" onClick={simulateSuspiciousGuestAdmin}>
+              Guest /admin
+            </Button>
+            <Button fullWidth variant="contained" color="error" onClick={simulateGuestAdminRBAC}>
+              RBAC Block
+            </Button>
+            <Button fullWidth variant="contained" color="error" onClick={simulateHoneypotProbe}>
+              Honeypot Probe (bans IP)
+            </Button>
+            <Button fullWidth variant="contained" color="error" onClick={simulateDDoSAttack}
+              sx={{ mt: 1, backgroundColor: '#dc2626' }}
+            >
+              DDoS Attack (100 reqs)
+            </Button>
+          </Box>
+        </Paper>
+      </Box>
+
+      {/* Tables */}
+      <Paper sx={{ p: 2, background: '#020617' }}>
+        <Typography variant="h6" color="white" sx={{ mb: 2 }}>
+          Firewall Logs ({totalCount})
+        </Typography>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
+            {/* Export buttons */}
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={() => handleExport("json")}
+              sx={{
+                borderColor: "#4b5563",
+                color: "white",
+                "&:hover": { borderColor: "#9ca3af" },
+              }}
+            >
+              Export JSON
+            </Button>
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={() => handleExport("csv")}
+              sx={{
+                borderColor: "#4b5563",
+                color: "white",
+                "&:hover": { borderColor: "#9ca3af" },
+              }}
+            >
+              Export CSV
+            </Button>
+            <Button
+              variant="outlined"
+              size="small"
+              onClick={handleTrainingExport}
+              sx={{
+                borderColor: "#4b5563",
+                color: "white",
+                "&:hover": { borderColor: "#9ca3af" },
+              }}
+            >
+              Training CSV
+            </Button>
+
+            {/* Filter buttons */}
+            <ToggleButtonGroup
+              value={filter}
+              exclusive
+              onChange={(_, v) => v && setFilter(v)}
+              size="small"
+              color="primary"
+            >
+              <ToggleButton
+                value="all"
                 sx={{
-                  borderColor: "#4b5563",
                   color: "white",
-                  "&:hover": { borderColor: "#9ca3af" },
+                  borderColor: "#4b5563",
+                  "&.Mui-selected": {
+                    backgroundColor: "#2563eb",
+                    color: "#fff",
+                  },
                 }}
               >
-                Export JSON
-              </Button>
-              <Button
-                variant="outlined"
-                size="small"
-                onClick={() => handleExport("csv")}
+                ALL
+              </ToggleButton>
+              <ToggleButton
+                value="allowed"
                 sx={{
+                  color: "white",
                   borderColor: "#4b5563",
+                  "&.Mui-selected": {
+                    backgroundColor: "#16a34a",
+                    color: "#fff",
+                  },
+                }}
+              >
+                ALLOWED
+              </ToggleButton>
+              <ToggleButton
+                value="blocked"
+                sx={{
                   color: "white",
-                  "&:hover": { borderColor: "#9ca3af" },
+                  borderColor: "#4b5563",
+                  "&.Mui-selected": {
+                    backgroundColor: "#b91c1c",
+                    color: "#fff",
+                  },
                 }}
               >
-                Export CSV
-              </Button>
-
-              {/* Filter buttons */}
-              <ToggleButtonGroup
-                value={filter}
-                exclusive
-                onChange={(_, v) => v && setFilter(v)}
+                BLOCKED
+              </ToggleButton>
+            </ToggleButtonGroup>
+
+            {/* Server-side search */}
+            {[['q', 'Search'], ['userId', 'User'], ['pathPrefix', 'Path prefix'], ['country', 'Country']].map(([key, label]) => (
+              <TextField
+                key={key}
                 size="small"
-                color="primary"
-              >
-                <ToggleButton
-                  value="all"
-                  sx={{
-                    color: "white",
-                    borderColor: "#4b5563",
-                    "&.Mui-selected": {
-                      backgroundColor: "#2563eb",
-                      color: "#fff",
-                    },
-                  }}
-                >
-                  ALL
-                </ToggleButton>
-                <ToggleButton
-                  value="allowed"
-                  sx={{
-                    color: "white",
-                    borderColor: "#4b5563",
-                    "&.Mui-selected": {
-                      backgroundColor: "#16a34a",
-                      color: "#fff",
-                    },
-                  }}
-                >
-                  ALLOWED
-                </ToggleButton>
-                <ToggleButton
-                  value="blocked"
-                  sx={{
-                    color: "white",
-                    borderColor: "#4b5563",
-                    "&.Mui-selected": {
-                      backgroundColor: "#b91c1c",
-                      color: "#fff",
-                    },
-                  }}
-                >
-                  BLOCKED
-                </ToggleButton>
-              </ToggleButtonGroup>
-            </Box>
-          <ToggleButtonGroup value={filter} exclusive onChange={(_, v) => v && setFilter(v)} size="small">
-            <ToggleButton value="all">ALL</ToggleButton>
-            <ToggleButton value="allowed">ALLOWED</ToggleButton>
-            <ToggleButton value="blocked">BLOCKED</ToggleButton>
-          </ToggleButtonGroup>
-          <TableContainer sx={{ maxHeight: 400, mt: 2 }}>
-            <Table stickyHeader>
-              <TableHead>
+                label={label}
+                value={search[key]}
+                onChange={(e) => setSearch(prev => ({ ...prev, [key]: e.target.value }))}
+                sx={{
+                  width: 150,
+                  input: { color: 'white' },
+                  label: { color: '#9ca3af' },
+                  '& .MuiOutlinedInput-notchedOutline': { borderColor: '#4b5563' },
+                }}
+              />
+            ))}
+          </Box>
+        <ToggleButtonGroup value={filter} exclusive onChange={(_, v) => v && setFilter(v)} size="small">
+          <ToggleButton value="all">ALL</ToggleButton>
+          <ToggleButton value="allowed">ALLOWED</ToggleButton>
+          <ToggleButton value="blocked">BLOCKED</ToggleButton>
+        </ToggleButtonGroup>
+        <TableContainer sx={{ maxHeight: 400, mt: 2 }}>
+          <Table stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ color: 'white', background: '#111827' }}>Time</TableCell>
+                <TableCell sx={{ color: 'white', background: '#111827' }}>Path</TableCell>
+                <TableCell sx={{ color: 'white', background: '#111827' }}>User</TableCell>
+                <TableCell sx={{ color: 'white', background: '#111827' }}>Source</TableCell>
+                <TableCell sx={{ color: 'white', background: '#111827' }}>Risk</TableCell>
+                {/* <TableCell sx={{ color: 'white', background: '#111827' }}>TLS</TableCell> */}
+                <TableCell sx={{ color: 'white', background: '#111827' }}>Decision</TableCell>
+                <TableCell sx={{ color: 'white', background: '#111827' }}>Verdict</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {pageLogs.map((entry, idx) => (
+                <TableRow key={entry.index ?? `${entry.time}-${idx}`} hover
+                  onClick={() => entry.index !== undefined && setSelectedIndex(entry.index)} sx={{ cursor: 'pointer' }}>
+                  <TableCell sx={{ color: 'white' }}>{formatTime(entry.time)}</TableCell>
+                    <TableCell sx={{ color: 'white' }}>{entry.targetPath}</TableCell>
+                    <TableCell sx={{ color: 'white' }}>{entry.context?.userId}</TableCell>
+                    <TableCell sx={{ color: 'white', whiteSpace: 'nowrap' }}>
+                      <span style={{ fontFamily: 'monospace' }}>{(entry.context?.ip || '').replace(/^::ffff:/, '')}</span>
+                      {entry.context?.country && (
+                        <Chip label={entry.context.country} size="small" variant="outlined" sx={{ ml: 1, color: '#9ca3af' }} />
+                      )}
+                      {entry.context?.ipList && (
+                        <Chip label={`${entry.context.ipList.list}: ${entry.context.ipList.match}`} size="small" sx={{ ml: 1 }}
+                          color={entry.context.ipList.list === 'deny' ? 'error' : 'info'} />
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ color: 'white' }}>
+                      <Chip label={(entry.decision?.risk || 0).toFixed(2)} size="small"
+                        color={(entry.decision?.risk || 0) > 0.7 ? 'error' : 'success'} />
+                    </TableCell>
+                    {/* <TableCell sx={{ color: 'white' }}>
+                      {(entry.tls?.risk || 0) > 0 ? (
+                        <Chip label={entry.tls.risk.toFixed(2)} size="small" color="warning" />
+                      ) : '0.00'}
+                    </TableCell> */}
+                    <TableCell sx={{ color: 'white' }}>
+                      <Chip label={entry.decision?.allow !== false ? 'ALLOWED' : 'BLOCKED'} 
+                        color={entry.decision?.allow !== false ? 'success' : 'error'} />
+                    </TableCell>
+                    <VerdictCell entry={entry} canEdit={canEdit} onChange={handleFeedback} />
+                </TableRow>
+              ))}
+              {pageLogs.length === 0 && (
                 <TableRow>
-                  <TableCell sx={{ color: 'white', background: '#111827' }}>Time</TableCell>
-                  <TableCell sx={{ color: 'white', background: '#111827' }}>Path</TableCell>
-                  <TableCell sx={{ color: 'white', background: '#111827' }}>User</TableCell>
-                  <TableCell sx={{ color: 'white', background: '#111827' }}>Risk</TableCell>
-                  {/* <TableCell sx={{ color: 'white', background: '#111827' }}>TLS</TableCell> */}
-                  <TableCell sx={{ color: 'white', background: '#111827' }}>Decision</TableCell>
+                  <TableCell colSpan={7} sx={{ color: 'white', textAlign: 'center' }}>
+                    {totalCount === 0 ? 'No logs match filter' : 'End of results'}
+                  </TableCell>
                 </TableRow>
-              </TableHead>
-              <TableBody>
-                {paginatedLogs.map((entry, idx) => (
-                  <TableRow key={`${entry.time}-${idx}`} hover>
-                    <TableCell sx={{ color: 'white' }}>{formatTime(entry.time)}</TableCell>
-                      <TableCell sx={{ color: 'white' }}>{entry.targetPath}</TableCell>
-                      <TableCell sx={{ color: 'white' }}>{entry.context?.userId}</TableCell>
-                      <TableCell sx={{ color: 'white' }}>
-                        <Chip label={(entry.decision?.risk || 0).toFixed(2)} size="small"
-                          color={(entry.decision?.risk || 0) > 0.7 ? 'error' : 'success'} />
-                      </TableCell>
-                      {/* <TableCell sx={{ color: 'white' }}>
-                        {(entry.tls?.risk || 0) > 0 ? (
-                          <Chip label={entry.tls.risk.toFixed(2)} size="small" color="warning" />
-                        ) : '0.00'}
-                      </TableCell> */}
-                      <TableCell sx={{ color: 'white' }}>
-                        <Chip label={entry.decision?.allow !== false ? 'ALLOWED' : 'BLOCKED'} 
-                          color={entry.decision?.allow !== false ? 'success' : 'error'} />
-                      </TableCell>
-                  </TableRow>
-                ))}
-                {paginatedLogs.length === 0 && (
-                  <TableRow>
-                    <TableCell colSpan={6} sx={{ color: 'white', textAlign: 'center' }}>
-                      {filteredLogs.length === 0 ? 'No logs match filter' : 'End of results'}
-                    </TableCell>
-                  </TableRow>
-                )}
-              </TableBody>
-            </Table>
-          </TableContainer>
-          <TablePagination
-            component="div"
-            count={filteredLogs.length}  // ✅ Use filtered count
-            page={page}
-            onPageChange={(e, newPage) => setPage(newPage)}
-            rowsPerPage={ROWS_PER_PAGE}
-            onRowsPerPageChange={() => {}}  // Disable changing rows/page
-            rowsPerPageOptions={[25]}
-            labelRowsPerPage="Rows:"
-            sx={{ 
-              backgroundColor: '#111827', 
-              color: 'white',
-              '.MuiTablePagination-selectLabel, .MuiTablePagination-displayedRows': {
-                color: 'white'
-              }
-            }}
-          />
-        </Paper>
-      </Container>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <DecisionDrawer index={selectedIndex} onClose={() => setSelectedIndex(null)} />
+        <TablePagination
+          component="div"
+          count={totalCount}  // Server-side total for current filters
+          page={page}
+          onPageChange={(e, newPage) => {
+            // Cursor paging: only step to pages whose cursor we already know
+            if (newPage === 0 || cursors[newPage] !== undefined) setPage(newPage);
+          }}
+          rowsPerPage={ROWS_PER_PAGE}
+          onRowsPerPageChange={() => {}}  // Disable changing rows/page
+          rowsPerPageOptions={[25]}
+          labelRowsPerPage="Rows:"
+          sx={{ 
+            backgroundColor: '#111827', 
+            color: 'white',
+            '.MuiTablePagination-selectLabel, .MuiTablePagination-displayedRows': {
+              color: 'white'
+            }
+          }}
+        />
+      </Paper>
+    </Container>
+  );
+
+  return (
+    <>
+      <AppBar position="static" color="primary">
+        <Toolbar>
+          <Typography variant="h6" sx={{ mr: 3 }}>
+            AI-NGFW Dashboard
+          </Typography>
+          <Box sx={{ flexGrow: 1, display: 'flex', gap: 1 }}>
+            <Button color="inherit" component={Link} to="/">Overview</Button>
+            <Button color="inherit" component={Link} to="/policies">Policies</Button>
+            <Button color="inherit" component={Link} to="/bans">Bans</Button>
+            <Button color="inherit" component={Link} to="/alerts">Alerts</Button>
+          </Box>
+          <Typography variant="body2" color="inherit" sx={{ mr: 2 }}>
+            https://localhost:4001
+          </Typography>
+          <Chip label={`${session.username} · ${session.role}`} size="small"
+            sx={{ mr: 1, color: 'white', borderColor: 'rgba(255,255,255,0.5)' }} variant="outlined" />
+          <Button color="inherit" onClick={session.logout}>Logout</Button>
+        </Toolbar>
+      </AppBar>
+
+      <Routes>
+        <Route path="/" element={dashboard} />
+        <Route path="/policies" element={<PoliciesPage />} />
+        <Route path="/bans" element={<BansPage />} />
+        <Route path="/alerts" element={<AlertsPage />} />
+      </Routes>
     </>
   );
 }
@@ -0,0 +1,28 @@
+import React, { createContext, useEffect, useState } from 'react';
+import LoginPage from './LoginPage';
+import { clearSession, loadSession, setUnauthorizedHandler } from './adminApi';
+
+// { username, role, logout } for the signed-in admin
+export const SessionContext = createContext(null);
+
+export default function AuthGate({ children }) {
+  const [session, setSession] = useState(loadSession);
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => setSession(null));
+    return () => setUnauthorizedHandler(() => {});
+  }, []);
+
+  if (!session) return <LoginPage onLogin={setSession} />;
+
+  const logout = () => {
+    clearSession();
+    setSession(null);
+  };
+
+  return (
+    <SessionContext.Provider value={{ username: session.username, role: session.role, logout }}>
+      {children}
+    </SessionContext.Provider>
+  );
+}
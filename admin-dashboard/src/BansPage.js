@@ -0,0 +1,179 @@
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  Container, Box, Paper, Typography, Button, Chip, TextField, MenuItem, Alert,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+} from '@mui/material';
+import adminApi from './adminApi';
+import { SessionContext } from './AuthGate';
+
+const cellSx = { color: 'white' };
+const headSx = { color: 'white', background: '#111827' };
+const inputSx = {
+  input: { color: 'white' },
+  label: { color: '#9ca3af' },
+  '& .MuiSelect-select': { color: 'white' },
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: '#4b5563' },
+};
+
+const TRIGGER_COLORS = { honeypot: 'error', rbac_violation: 'warning', rate_limit: 'info', high_risk: 'error', manual: 'default' };
+const EXTEND_OPTIONS = [['+15 min', 900], ['+1 h', 3600], ['+24 h', 86400]];
+
+function remaining(until) {
+  const sec = Math.max(0, Math.round((new Date(until) - Date.now()) / 1000));
+  if (sec >= 3600) return `${Math.floor(sec / 3600)}h ${Math.floor((sec % 3600) / 60)}m`;
+  if (sec >= 60) return `${Math.floor(sec / 60)}m ${sec % 60}s`;
+  return `${sec}s`;
+}
+
+export default function BansPage() {
+  const session = useContext(SessionContext);
+  const canEdit = session?.role === 'operator';
+  const [bans, setBans] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({ target: 'ip', value: '', durationMin: '', reason: '' });
+
+  const loadBans = async () => {
+    try {
+      const res = await adminApi.get('/admin/bans');
+      setBans(res.data.bans);
+      setConfig(res.data.config);
+    } catch (err) {
+      console.error('Bans error:', err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadBans();
+    const id = setInterval(loadBans, 5000);
+    return () => clearInterval(id);
+  }, []);
+
+  const showError = (err) => {
+    const details = err.response?.data?.details;
+    setError(details ? details.join('\n') : err.message);
+  };
+
+  const run = async (request) => {
+    try {
+      await request();
+      setError(null);
+      await loadBans();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const addBan = () => run(async () => {
+    const body = { target: form.target, value: form.value.trim() };
+    if (String(form.durationMin).trim()) body.durationSec = Number(form.durationMin) * 60;
+    if (form.reason.trim()) body.reason = form.reason.trim();
+    await adminApi.post('/admin/bans', body);
+    setForm(prev => ({ ...prev, value: '', reason: '' }));
+  });
+
+  const extendBan = (id, durationSec) =>
+    run(() => adminApi.post(`/admin/bans/${encodeURIComponent(id)}/extend`, { durationSec }));
+
+  const liftBan = (id) => {
+    if (!window.confirm(`Lift ban ${id}?`)) return;
+    run(() => adminApi.delete(`/admin/bans/${encodeURIComponent(id)}`));
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      {error && (
+        <Alert severity="error" onClose={() => setError(null)} sx={{ mb: 2, whiteSpace: 'pre-line' }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 3, background: '#020617' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 2 }}>
+          <Typography variant="h6" color="white" sx={{ flexGrow: 1 }}>
+            Active Bans ({bans.length})
+          </Typography>
+          {config && (
+            <Typography variant="caption" sx={{ color: config.enabled ? '#9ca3af' : '#f87171' }}>
+              {config.enabled
+                ? `Auto-ban on ${Object.keys(config.triggers).join(', ')} · escalation ${config.escalation.durationsSec.map(s => `${s / 60}m`).join(' → ')}`
+                : 'Auto-ban disabled'}
+            </Typography>
+          )}
+          {!canEdit && <Chip label="Read-only (viewer)" size="small" variant="outlined" sx={{ color: '#9ca3af' }} />}
+        </Box>
+        <TableContainer sx={{ maxHeight: 420 }}>
+          <Table stickyHeader size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headSx}>Target</TableCell>
+                <TableCell sx={headSx}>Trigger</TableCell>
+                <TableCell sx={headSx}>Level</TableCell>
+                <TableCell sx={headSx}>Reason</TableCell>
+                <TableCell sx={headSx}>Since</TableCell>
+                <TableCell sx={headSx}>Remaining</TableCell>
+                <TableCell sx={headSx} />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {bans.map(ban => (
+                <TableRow key={ban.id} hover>
+                  <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{ban.id}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip label={ban.trigger} size="small" color={TRIGGER_COLORS[ban.trigger] || 'default'} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>{ban.level}</TableCell>
+                  <TableCell sx={cellSx}>
+                    {ban.reason}
+                    {ban.evidence?.path && (
+                      <Typography variant="caption" display="block" sx={{ color: '#9ca3af', fontFamily: 'monospace' }}>
+                        last: {ban.evidence.method} {ban.evidence.path}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={cellSx}>{new Date(ban.since).toLocaleTimeString()}</TableCell>
+                  <TableCell sx={cellSx}>{remaining(ban.until)}</TableCell>
+                  <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>
+                    {canEdit && (
+                      <>
+                        {EXTEND_OPTIONS.map(([label, seconds]) => (
+                          <Button key={label} size="small" onClick={() => extendBan(ban.id, seconds)}>{label}</Button>
+                        ))}
+                        <Button size="small" color="error" onClick={() => liftBan(ban.id)}>Lift</Button>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {bans.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} sx={{ color: 'white', textAlign: 'center' }}>No active bans</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {canEdit && (
+        <Paper sx={{ p: 2, mb: 3, background: '#020617', color: 'white' }}>
+          <Typography variant="h6" gutterBottom>Ban a Client</Typography>
+          <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'center', flexWrap: 'wrap' }}>
+            <TextField select size="small" label="Target" value={form.target} sx={{ ...inputSx, width: 120 }}
+              onChange={(e) => setForm({ ...form, target: e.target.value })}>
+              <MenuItem value="ip">IP</MenuItem>
+              <MenuItem value="userId">User</MenuItem>
+            </TextField>
+            <TextField size="small" label={form.target === 'ip' ? 'IP address' : 'User id'} value={form.value}
+              onChange={(e) => setForm({ ...form, value: e.target.value })} sx={{ ...inputSx, width: 200 }} />
+            <TextField size="small" type="number" label="Minutes (empty = escalate)" value={form.durationMin}
+              onChange={(e) => setForm({ ...form, durationMin: e.target.value })} sx={{ ...inputSx, width: 200 }} />
+            <TextField size="small" label="Reason" value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })} sx={{ ...inputSx, width: 220 }} />
+            <Button variant="contained" color="error" onClick={addBan} disabled={!form.value.trim()}>Ban</Button>
+          </Box>
+        </Paper>
+      )}
+    </Container>
+  );
+}
@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Chip, Divider, Drawer, IconButton, LinearProgress, Typography,
+  Table, TableBody, TableCell, TableHead, TableRow,
+} from '@mui/material';
+import adminApi from './adminApi';
+
+const cellSx = { color: 'white', borderColor: '#1f2937' };
+const headSx = { color: '#9ca3af', borderColor: '#1f2937' };
+const preSx = {
+  m: 0, p: 1, background: '#0b1220', color: '#d1d5db', fontSize: 12,
+  overflowX: 'auto', borderRadius: 1, fontFamily: 'monospace',
+};
+
+const fmt = (v, digits = 2) => (typeof v === 'number' ? v.toFixed(digits) : '-');
+
+function Section({ title, children }) {
+  return (
+    <Box sx={{ mb: 2.5 }}>
+      <Typography variant="overline" sx={{ color: '#9ca3af' }}>{title}</Typography>
+      {children}
+    </Box>
+  );
+}
+
+function Fields({ rows }) {
+  return (
+    <Table size="small">
+      <TableBody>
+        {rows.filter(([, v]) => v !== undefined && v !== null && v !== '').map(([k, v]) => (
+          <TableRow key={k}>
+            <TableCell sx={{ ...headSx, width: 140 }}>{k}</TableCell>
+            <TableCell sx={{ ...cellSx, fontFamily: 'monospace', wordBreak: 'break-all' }}>{String(v)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+// Risk bar with the block threshold marked
+function ThresholdBar({ risk }) {
+  const pct = (v) => `${Math.min(Math.max(v, 0), 1) * 100}%`;
+  return (
+    <Box sx={{ position: 'relative', my: 1 }}>
+      <LinearProgress variant="determinate" value={Math.min(risk.final, 1) * 100}
+        color={risk.block.reached ? 'error' : risk.final >= risk.thresholds.high ? 'warning' : 'success'}
+        sx={{ height: 10, borderRadius: 5, background: '#1f2937' }} />
+      {['medium', 'high', 'block'].map(t => (
+        <Box key={t} title={`${t} ${risk.thresholds[t]}`} sx={{
+          position: 'absolute', top: -3, left: pct(risk.thresholds[t]), width: 2, height: 16,
+          background: t === 'block' ? '#f87171' : '#6b7280',
+        }} />
+      ))}
+    </Box>
+  );
+}
+
+// Drill-down for one log row: GET /admin/logs/:index
+export default function DecisionDrawer({ index, onClose }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (index === null || index === undefined) return;
+    setDetail(null);
+    setError(null);
+    adminApi.get(`/admin/logs/${index}`)
+      .then(res => setDetail(res.data))
+      .catch(err => setError(err.response?.data?.error || err.message));
+  }, [index]);
+
+  const open = index !== null && index !== undefined;
+  const ctx = detail?.context || {};
+  const risk = detail?.risk;
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}
+      PaperProps={{ sx: { width: { xs: '100%', md: 640 }, background: '#020617', color: 'white', p: 3 } }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>Decision #{index}</Typography>
+        <IconButton onClick={onClose} sx={{ color: '#9ca3af' }} aria-label="close">×</IconButton>
+      </Box>
+      {error && <Typography color="error">{error}</Typography>}
+      {!detail && !error && <LinearProgress />}
+      {detail && (
+        <>
+          <Section title="Outcome">
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+              <Chip label={detail.outcome.allowed ? 'ALLOWED' : 'BLOCKED'} color={detail.outcome.allowed ? 'success' : 'error'} size="small" />
+              <Chip label={detail.outcome.decidedBy} size="small" variant="outlined" sx={{ color: '#d1d5db' }} />
+              {detail.outcome.statusCode && <Chip label={detail.outcome.statusCode} size="small" variant="outlined" sx={{ color: '#d1d5db' }} />}
+              {detail.feedback && <Chip label={detail.feedback.verdict} size="small" color="info" variant="outlined" />}
+            </Box>
+            <Typography sx={{ mt: 1 }}>{detail.outcome.summary}</Typography>
+            <Typography variant="caption" sx={{ color: '#9ca3af' }}>{new Date(detail.time).toLocaleString()}</Typography>
+          </Section>
+
+          {risk.scored && (
+            <Section title="Threshold comparison">
+              <Typography>
+                Final risk <b>{fmt(risk.final, 4)}</b> ({risk.label}, {risk.strategy}){' '}
+                {risk.block.reached ? '≥' : '<'} block threshold <b>{risk.block.threshold}</b>
+                {' '}(margin {risk.block.margin > 0 ? '+' : ''}{fmt(risk.block.margin, 4)})
+              </Typography>
+              <ThresholdBar risk={risk} />
+              <Typography variant="caption" sx={{ color: '#9ca3af' }}>
+                medium {risk.thresholds.medium} · high {risk.thresholds.high} · block {risk.thresholds.block}
+                {risk.thresholdsSource !== 'recorded' && ' (current config; not recorded with this decision)'}
+                {risk.vetoedBy.length > 0 && ` · vetoed by ${risk.vetoedBy.join(', ')}`}
+                {risk.overriddenBy && ` · block overridden by allow list ${risk.overriddenBy}`}
+              </Typography>
+            </Section>
+          )}
+
+          {detail.contributions.length > 0 && (
+            <Section title="Score contributions">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={headSx}>Scorer</TableCell>
+                    <TableCell sx={headSx}>Risk</TableCell>
+                    <TableCell sx={headSx}>Weight</TableCell>
+                    <TableCell sx={headSx}>Share</TableCell>
+                    <TableCell sx={headSx}>Signals</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {detail.contributions.map(c => (
+                    <TableRow key={c.scorer} sx={{ opacity: c.share || c.vetoed ? 1 : 0.6 }}>
+                      <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>
+                        {c.scorer}
+                        {c.vetoed && <Chip label="veto" size="small" color="error" sx={{ ml: 1 }} />}
+                        {c.unavailable && <Chip label="unavailable" size="small" color="warning" variant="outlined" sx={{ ml: 1 }} />}
+                      </TableCell>
+                      <TableCell sx={cellSx}>{fmt(c.risk)}</TableCell>
+                      <TableCell sx={cellSx}>{c.weight}</TableCell>
+                      <TableCell sx={cellSx}>{c.share === null ? '-' : fmt(c.share)}</TableCell>
+                      <TableCell sx={cellSx}>
+                        {c.signals.map(s => (
+                          <Chip key={s.name} label={`${s.name} +${fmt(s.risk)}`} size="small" variant="outlined"
+                            sx={{ mr: 0.5, mb: 0.5, color: '#d1d5db' }} />
+                        ))}
+                        {!c.signals.length && c.reasons.join(', ')}
+                        {c.error && <Typography variant="caption" display="block" color="error">{c.error}</Typography>}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Section>
+          )}
+
+          {detail.rbac && (
+            <Section title="RBAC">
+              <Fields rows={[['rule', detail.rbac.ruleId], ['result', detail.rbac.allowed ? 'allow' : 'deny'], ['role', ctx.role]]} />
+            </Section>
+          )}
+
+          {detail.ml && (
+            <Section title="ML score">
+              <Fields rows={[
+                ['risk', fmt(detail.ml.risk, 4)],
+                ['label', detail.ml.label],
+                ['status', detail.ml.status],
+                ['source', detail.ml.source],
+                ['latency', detail.ml.latencyMs !== undefined ? `${detail.ml.latencyMs} ms` : null],
+                ['error', detail.ml.error],
+                ['feature schema', detail.ml.featureSchema],
+              ]} />
+              {detail.ml.features && <Box component="pre" sx={{ ...preSx, mt: 1 }}>{JSON.stringify(detail.ml.features, null, 2)}</Box>}
+            </Section>
+          )}
+
+          <Section title="Context">
+            <Fields rows={[
+              ['ip', ctx.ip],
+              ['country', ctx.country],
+              ['method', ctx.method],
+              ['path', ctx.path],
+              ['user', ctx.userId],
+              ['role', ctx.role],
+              ['auth', detail.auth ? `${detail.auth.method}${detail.auth.failure ? ` (${detail.auth.failure})` : ''}` : ctx.authMethod],
+              ['user agent', ctx.userAgent],
+              ['ip list', ctx.ipList ? `${ctx.ipList.list}: ${ctx.ipList.match}` : null],
+              ['upstream', detail.upstream ? `${detail.upstream.pool} → ${detail.upstream.server || detail.upstream.error}` : null],
+              ['reasons', detail.reasons.join(', ')],
+            ]} />
+          </Section>
+
+          {detail.tls?.fingerprint && (
+            <Section title="TLS fingerprint">
+              <Box component="pre" sx={preSx}>{JSON.stringify(detail.tls.fingerprint, null, 2)}</Box>
+            </Section>
+          )}
+
+          <Divider sx={{ borderColor: '#1f2937', my: 1 }} />
+          <Typography variant="caption" sx={{ color: '#6b7280', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+            block {detail.index} · hash {detail.hash}
+          </Typography>
+        </>
+      )}
+    </Drawer>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { Box, Paper, Typography, TextField, Button, Alert } from '@mui/material';
+import { login } from './adminApi';
+
+export default function LoginPage({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      onLogin(await login(username, password));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#020617' }}>
+      <Paper component="form" onSubmit={submit}
+        sx={{ p: 4, width: 360, display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <Typography variant="h5">AI-NGFW Admin</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Sign in with your gateway admin account.
+        </Typography>
+        {error && <Alert severity="error">{error}</Alert>}
+        <TextField label="Username" value={username} autoFocus
+          onChange={(e) => setUsername(e.target.value)} />
+        <TextField label="Password" type="password" value={password}
+          onChange={(e) => setPassword(e.target.value)} />
+        <Button type="submit" variant="contained" disabled={busy || !username || !password}>
+          Sign in
+        </Button>
+      </Paper>
+    </Box>
+  );
+}
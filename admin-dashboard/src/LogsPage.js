@@ -1,18 +1,23 @@
 import React, { useEffect, useState } from "react";
-import axios from "axios";
+import adminApi from "./adminApi";
+import useLogStream from "./useLogStream";
 import {
   Table, TableBody, TableCell, TableContainer,
   TableHead, TableRow, Paper, Chip, Typography
 } from "@mui/material";
 
+const MAX_LOGS = 100;
+
 export default function LogsPage() {
   const [logs, setLogs] = useState([]);
+  const [since, setSince] = useState(null);
 
-  // Load logs every 2 seconds
+  // Load the latest page once; the live stream prepends new entries after that
   const loadLogs = async () => {
     try {
-      const res = await axios.get("http://localhost:4000/admin/logs");
-      setLogs(res.data.slice().reverse());
+      const res = await adminApi.get("/admin/logs");
+      setLogs(res.data.items); // newest first
+      setSince(res.data.items.length ? res.data.items[0].index : -1);
     } catch (err) {
       console.error("Error loading logs:", err);
     }
@@ -20,10 +25,14 @@ export default function LogsPage() {
 
   useEffect(() => {
     loadLogs();
-    const timer = setInterval(loadLogs, 2000);
-    return () => clearInterval(timer);
   }, []);
 
+  useLogStream({
+    since,
+    onLogs: (entries) => setLogs(prev => [...entries].reverse().concat(prev).slice(0, MAX_LOGS)),
+    onReset: loadLogs,
+  });
+
   return (
     <div style={{ padding: 20 }}>
       <Typography variant="h4" gutterBottom>
@@ -46,7 +55,7 @@ export default function LogsPage() {
 
           <TableBody>
             {logs.map((entry, index) => (
-              <TableRow key={index}>
+              <TableRow key={entry.index ?? index}>
                 <TableCell sx={{ color: "#ddd" }}>{entry.time}</TableCell>
                 <TableCell sx={{ color: "#ddd" }}>{entry.context.path}</TableCell>
                 <TableCell sx={{ color: "#ddd" }}>{entry.context.userId}</TableCell>
@@ -0,0 +1,271 @@
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  Container, Box, Paper, Typography, Button, Chip, TextField, MenuItem, Alert,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+  Dialog, DialogTitle, DialogContent, DialogActions,
+} from '@mui/material';
+import adminApi from './adminApi';
+import { SessionContext } from './AuthGate';
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const cellSx = { color: 'white' };
+const headSx = { color: 'white', background: '#111827' };
+const inputSx = {
+  input: { color: 'white' },
+  label: { color: '#9ca3af' },
+  '& .MuiSelect-select': { color: 'white' },
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: '#4b5563' },
+};
+
+const emptyRule = { id: '', scope: 'guest', effect: 'allow', path: '', methods: '', priority: '' };
+
+// Rule form state <-> API payload
+function toForm(rule) {
+  return {
+    id: rule.id || '',
+    scope: rule.scope,
+    effect: rule.effect,
+    path: rule.path ?? rule.pathRegex ?? '',
+    isRegex: rule.pathRegex !== undefined,
+    methods: Array.isArray(rule.methods) ? rule.methods.join(',') : '',
+    priority: rule.priority ?? '',
+  };
+}
+
+function toRule(form) {
+  const rule = { effect: form.effect };
+  if (form.id.trim()) rule.id = form.id.trim();
+  if (form.isRegex) rule.pathRegex = form.path;
+  else rule.path = form.path.trim();
+  const methods = form.methods.split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+  if (methods.length) rule.methods = methods;
+  if (String(form.priority).trim() !== '') rule.priority = Number(form.priority);
+  return rule;
+}
+
+export default function PoliciesPage() {
+  const session = useContext(SessionContext);
+  const canEdit = session?.role === 'operator';
+  const [rules, setRules] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // { original: id | null, form }
+  const [newRole, setNewRole] = useState('');
+  const [test, setTest] = useState({ role: 'guest', method: 'GET', path: '/info' });
+  const [testResult, setTestResult] = useState(null);
+
+  const loadPolicies = async () => {
+    try {
+      const res = await adminApi.get('/admin/policies');
+      setRules(res.data.rules);
+      setRoles(Object.keys(res.data.policy.roles || {}));
+      setStatus(res.data.status);
+    } catch (err) {
+      console.error('Policies error:', err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  const showError = (err) => {
+    const details = err.response?.data?.details;
+    setError(details ? details.join('\n') : err.message);
+  };
+
+  const saveRule = async () => {
+    const { original, form } = editing;
+    try {
+      const body = { scope: form.scope, rule: toRule(form) };
+      if (original) await adminApi.put(`/admin/policies/rules/${encodeURIComponent(original)}`, body);
+      else await adminApi.post('/admin/policies/rules', body);
+      setEditing(null);
+      setError(null);
+      await loadPolicies();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const deleteRule = async (id) => {
+    if (!window.confirm(`Delete rule "${id}"?`)) return;
+    try {
+      await adminApi.delete(`/admin/policies/rules/${encodeURIComponent(id)}`);
+      setError(null);
+      await loadPolicies();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const addRole = async () => {
+    try {
+      await adminApi.post('/admin/policies/roles', { name: newRole.trim() });
+      setNewRole('');
+      setError(null);
+      await loadPolicies();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const runTest = async () => {
+    try {
+      const res = await adminApi.post('/admin/policies/test', test);
+      setTestResult(res.data);
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const updateForm = (key, value) => setEditing(prev => ({ ...prev, form: { ...prev.form, [key]: value } }));
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      {error && (
+        <Alert severity="error" onClose={() => setError(null)} sx={{ mb: 2, whiteSpace: 'pre-line' }}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Rules */}
+      <Paper sx={{ p: 2, mb: 3, background: '#020617' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 2 }}>
+          <Typography variant="h6" color="white" sx={{ flexGrow: 1 }}>
+            RBAC Policy Rules ({rules.length})
+          </Typography>
+          {status && (
+            <Typography variant="caption" sx={{ color: status.lastError ? '#f87171' : '#9ca3af' }}>
+              {status.lastError ? 'Last file reload failed' : `Loaded ${new Date(status.loadedAt).toLocaleTimeString()}`}
+            </Typography>
+          )}
+          {canEdit ? (
+            <>
+              <TextField size="small" label="New role" value={newRole}
+                onChange={(e) => setNewRole(e.target.value)} sx={{ ...inputSx, width: 140 }} />
+              <Button variant="outlined" size="small" onClick={addRole} disabled={!newRole.trim()}
+                sx={{ borderColor: '#4b5563', color: 'white' }}>
+                Add role
+              </Button>
+              <Button variant="contained" size="small"
+                onClick={() => setEditing({ original: null, form: { ...emptyRule, isRegex: false } })}>
+                New rule
+              </Button>
+            </>
+          ) : (
+            <Chip label="Read-only (viewer)" size="small" variant="outlined" sx={{ color: '#9ca3af' }} />
+          )}
+        </Box>
+        <TableContainer sx={{ maxHeight: 420 }}>
+          <Table stickyHeader size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={headSx}>Scope</TableCell>
+                <TableCell sx={headSx}>Rule</TableCell>
+                <TableCell sx={headSx}>Effect</TableCell>
+                <TableCell sx={headSx}>Methods</TableCell>
+                <TableCell sx={headSx}>Path</TableCell>
+                <TableCell sx={headSx}>Priority</TableCell>
+                <TableCell sx={headSx} />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rules.map(rule => (
+                <TableRow key={rule.id} hover>
+                  <TableCell sx={cellSx}>{rule.scope}</TableCell>
+                  <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>{rule.id}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Chip label={rule.effect.toUpperCase()} size="small"
+                      color={rule.effect === 'allow' ? 'success' : 'error'} />
+                  </TableCell>
+                  <TableCell sx={cellSx}>{Array.isArray(rule.methods) ? rule.methods.join(', ') : 'ANY'}</TableCell>
+                  <TableCell sx={{ ...cellSx, fontFamily: 'monospace' }}>
+                    {rule.path ?? `/${rule.pathRegex}/`}
+                  </TableCell>
+                  <TableCell sx={cellSx}>{rule.priority ?? 0}</TableCell>
+                  <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>
+                    {canEdit && (
+                      <>
+                        <Button size="small" onClick={() => setEditing({ original: rule.id, form: toForm(rule) })}>Edit</Button>
+                        <Button size="small" color="error" onClick={() => deleteRule(rule.id)}>Delete</Button>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Dry run */}
+      <Paper sx={{ p: 2, mb: 3, background: '#020617', color: 'white' }}>
+        <Typography variant="h6" gutterBottom>Test Access</Typography>
+        <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField select size="small" label="Role" value={test.role} sx={{ ...inputSx, width: 140 }}
+            onChange={(e) => setTest({ ...test, role: e.target.value })}>
+            {roles.map(r => <MenuItem key={r} value={r}>{r}</MenuItem>)}
+          </TextField>
+          <TextField select size="small" label="Method" value={test.method} sx={{ ...inputSx, width: 120 }}
+            onChange={(e) => setTest({ ...test, method: e.target.value })}>
+            {METHODS.map(m => <MenuItem key={m} value={m}>{m}</MenuItem>)}
+          </TextField>
+          <TextField size="small" label="Path" value={test.path} sx={{ ...inputSx, width: 260 }}
+            onChange={(e) => setTest({ ...test, path: e.target.value })} />
+          <Button variant="contained" onClick={runTest}>Test</Button>
+          {testResult && (
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <Chip label={testResult.allowed ? 'ALLOWED' : 'DENIED'} color={testResult.allowed ? 'success' : 'error'} />
+              <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                {testResult.path} → rule {testResult.ruleId} (as {testResult.role})
+              </Typography>
+            </Box>
+          )}
+        </Box>
+      </Paper>
+
+      {/* Rule editor */}
+      <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.original ? `Edit rule ${editing.original}` : 'New rule'}</DialogTitle>
+        {editing && (
+          <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+            {!editing.original && (
+              <TextField size="small" label="Rule id (optional)" value={editing.form.id}
+                onChange={(e) => updateForm('id', e.target.value)} />
+            )}
+            <TextField select size="small" label="Scope" value={editing.form.scope}
+              onChange={(e) => updateForm('scope', e.target.value)}>
+              <MenuItem value="global">global (all roles)</MenuItem>
+              {roles.map(r => <MenuItem key={r} value={r}>{r}</MenuItem>)}
+            </TextField>
+            <TextField select size="small" label="Effect" value={editing.form.effect}
+              onChange={(e) => updateForm('effect', e.target.value)}>
+              <MenuItem value="allow">allow</MenuItem>
+              <MenuItem value="deny">deny</MenuItem>
+            </TextField>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <TextField select size="small" label="Match" value={editing.form.isRegex ? 'regex' : 'glob'}
+                onChange={(e) => updateForm('isRegex', e.target.value === 'regex')} sx={{ width: 120 }}>
+                <MenuItem value="glob">glob</MenuItem>
+                <MenuItem value="regex">regex</MenuItem>
+              </TextField>
+              <TextField size="small" fullWidth label={editing.form.isRegex ? 'Path regex' : 'Path glob (e.g. /admin/**)'}
+                value={editing.form.path} onChange={(e) => updateForm('path', e.target.value)} />
+            </Box>
+            <TextField size="small" label="Methods (comma separated, empty = any)" value={editing.form.methods}
+              onChange={(e) => updateForm('methods', e.target.value)} />
+            <TextField size="small" type="number" label="Priority (higher wins)" value={editing.form.priority}
+              onChange={(e) => updateForm('priority', e.target.value)} />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={saveRule}>Save</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Box, Button, Chip, TableCell, Tooltip } from '@mui/material';
+import adminApi from './adminApi';
+
+const VERDICT_LABELS = {
+  true_positive: { text: 'TRUE +', color: 'success' },
+  false_positive: { text: 'FALSE +', color: 'warning' },
+  true_negative: { text: 'TRUE −', color: 'success' },
+  false_negative: { text: 'MISSED', color: 'error' },
+};
+
+// Analyst feedback on one decision: blocked rows are confirmed or marked false positive,
+// allowed rows confirmed or marked missed. Viewers only see the current verdict.
+export default function VerdictCell({ entry, canEdit, onChange }) {
+  const [saving, setSaving] = useState(false);
+  const feedback = entry.feedback;
+  const blocked = entry.decision?.allow === false;
+  // Admin events, bans and stream sessions carry a type; failed proxy attempts an error
+  const labelable = !entry.type && !entry.error && entry.index !== undefined;
+
+  const save = async (verdict) => {
+    setSaving(true);
+    try {
+      if (verdict) {
+        const res = await adminApi.put(`/admin/logs/${entry.index}/label`, { verdict });
+        onChange(entry.index, res.data);
+      } else {
+        await adminApi.delete(`/admin/logs/${entry.index}/label`);
+        onChange(entry.index, null);
+      }
+    } catch (err) {
+      alert(err.response?.data?.details?.join('\n') || err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const verdict = feedback && VERDICT_LABELS[feedback.verdict];
+  // Clicks here must not open the row's decision drawer
+  return (
+    <TableCell sx={{ color: 'white', whiteSpace: 'nowrap' }} onClick={(e) => e.stopPropagation()}>
+      {verdict && (
+        <Tooltip title={`${feedback.by} · ${new Date(feedback.at).toLocaleString()}${feedback.note ? ` — ${feedback.note}` : ''}`}>
+          <Chip label={verdict.text} size="small" color={verdict.color} variant="outlined"
+            onDelete={canEdit && !saving ? () => save(null) : undefined} />
+        </Tooltip>
+      )}
+      {canEdit && labelable && !feedback && (
+        <Box sx={{ display: 'flex', gap: 0.5 }}>
+          <Button size="small" disabled={saving} onClick={() => save(blocked ? 'true_positive' : 'true_negative')}>
+            Correct
+          </Button>
+          <Button size="small" color={blocked ? 'warning' : 'error'} disabled={saving}
+            onClick={() => save(blocked ? 'false_positive' : 'false_negative')}>
+            {blocked ? 'False +' : 'Missed'}
+          </Button>
+        </Box>
+      )}
+    </TableCell>
+  );
+}
@@ -0,0 +1,50 @@
+import axios from 'axios';
+
+export const TLS_GATEWAY = 'https://localhost:4001';
+const SESSION_KEY = 'ngfw-admin-session';
+
+// Admin API client: carries the admin session token. Proxied /fw traffic (simulator)
+// uses plain axios so admin credentials never reach the firewall path.
+const adminApi = axios.create({ baseURL: TLS_GATEWAY });
+
+export function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+let onUnauthorized = () => {};
+export function setUnauthorizedHandler(fn) {
+  onUnauthorized = fn;
+}
+
+// Session rejected by the gateway: drop it and send the admin back to the login page
+export function handleUnauthorized() {
+  clearSession();
+  onUnauthorized();
+}
+
+adminApi.interceptors.request.use(config => {
+  const session = loadSession();
+  if (session?.token) config.headers.Authorization = `Bearer ${session.token}`;
+  return config;
+});
+
+adminApi.interceptors.response.use(res => res, err => {
+  if (err.response?.status === 401) handleUnauthorized();
+  return Promise.reject(err);
+});
+
+export async function login(username, password) {
+  const res = await axios.post(`${TLS_GATEWAY}/admin/login`, { username, password });
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(res.data));
+  return res.data;
+}
+
+export default adminApi;
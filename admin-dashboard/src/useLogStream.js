@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import { TLS_GATEWAY, handleUnauthorized, loadSession } from './adminApi';
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+// Splits a Server-Sent Events buffer into complete events; returns [events, rest]
+function parseEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = blocks.map(block => {
+    const event = { event: 'message', data: '', id: null };
+    for (const line of block.split(/\r?\n/)) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'data') event.data += (event.data ? '\n' : '') + value;
+      else if (field === 'event') event.event = value;
+      else if (field === 'id') event.id = value;
+    }
+    return event;
+  });
+  return [events, rest];
+}
+
+// Live audit blocks from /admin/logs/stream. Uses fetch rather than EventSource so the
+// admin token travels in the Authorization header. Starts after block `since` (null = wait),
+// reconnects with backoff and resumes from the last block seen; `onReset` fires when the
+// gateway can no longer backfill the gap and the caller should reload over REST.
+export default function useLogStream({ params = {}, since, onLogs, onReset }) {
+  const [status, setStatus] = useState('idle');
+  const handlers = useRef({ onLogs, onReset });
+  handlers.current = { onLogs, onReset };
+  const sinceRef = useRef(since);
+  sinceRef.current = since;
+  const paramsKey = JSON.stringify(params);
+  const started = since !== null && since !== undefined;
+
+  useEffect(() => {
+    if (!started) return undefined;
+    const controller = new AbortController();
+    let lastId = sinceRef.current;
+    let retryMs = RETRY_MIN_MS;
+    let retryTimer = null;
+    let attempts = 0;
+
+    const connect = async () => {
+      setStatus(attempts++ ? 'reconnecting' : 'connecting');
+      try {
+        const query = new URLSearchParams(Object.entries(JSON.parse(paramsKey)).filter(([, v]) => v !== '' && v !== null));
+        const res = await fetch(`${TLS_GATEWAY}/admin/logs/stream?${query}`, {
+          headers: {
+            Authorization: `Bearer ${loadSession()?.token || ''}`,
+            'Last-Event-ID': String(lastId)
+          },
+          signal: controller.signal
+        });
+        if (res.status === 401) return handleUnauthorized();
+        if (!res.ok || !res.body) throw new Error(`stream HTTP ${res.status}`);
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          const [events, rest] = parseEvents(buffer + decoder.decode(value, { stream: true }));
+          buffer = rest;
+          const logs = [];
+          for (const e of events) {
+            if (e.event === 'log') {
+              logs.push(JSON.parse(e.data));
+              lastId = Number(e.id);
+            } else if (e.event === 'ready') {
+              // Everything up to the head has been sent (or filtered out)
+              const { head } = JSON.parse(e.data);
+              if (head !== null) lastId = Math.max(lastId, head);
+              setStatus('live');
+              retryMs = RETRY_MIN_MS;
+            } else if (e.event === 'reset') {
+              handlers.current.onReset?.();
+            } else if (e.event === 'session_expired') {
+              return handleUnauthorized();
+            }
+          }
+          if (logs.length) handlers.current.onLogs(logs);
+        }
+        throw new Error('stream closed');
+      } catch (err) {
+        if (controller.signal.aborted) return undefined;
+        console.error('Log stream error:', err.message);
+        setStatus('reconnecting');
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, RETRY_MAX_MS);
+      }
+      return undefined;
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      setStatus('idle');
+    };
+  }, [paramsKey, started]);
+
+  return status;
+}
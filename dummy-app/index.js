@@ -4,6 +4,8 @@ const cors = require('cors');
 const fs = require('fs');
 const pem = require('pem');
 
+const PORT = Number(process.env.PORT) || 9001;
+
 const app = express();
 app.use(express.json());
 app.use(cors());
@@ -26,6 +28,11 @@ async function ensureCerts() {
   });
 }
 
+// Gateway health checks (see gateway/upstreams.json)
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', port: PORT });
+});
+
 app.get('/info', (req, res) => {
   res.json({
     service: 'Dummy Backend Info',
@@ -87,8 +94,8 @@ async function startServer() {
     rejectUnauthorized: false
   };
 
-  https.createServer(tlsOptions, app).listen(9001, () => {
-    console.log('Dummy Backend running at https://localhost:9001');
+  https.createServer(tlsOptions, app).listen(PORT, () => {
+    console.log(`Dummy Backend running at https://localhost:${PORT}`);
     console.log('Available endpoints: /info, /profile, /admin/secret, /honeypot/db-export');
     console.log('Remember to trust backend cert in browser/OS');
   });
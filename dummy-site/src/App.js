@@ -20,8 +20,6 @@ function App() {
     try {
       const res = await axios.get(`${TLS_GATEWAY}${path}`, {
         headers: { 
-          'x-user-id': 'testuser', 
-          'x-user-role': 'guest',
           'Accept': 'application/json'
         },
         timeout: 8000
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { signHS256, verifyJwt } = require('./auth');
+
+// Credentials for the gateway's own admin API (separate from proxied traffic).
+// Roles are ranked: an operator can do everything a viewer can.
+const ADMIN_ROLES = ['viewer', 'operator'];
+const ADMIN_AUDIENCE = 'ngfw-admin';
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const KEY_LENGTH = 64; // scrypt output bytes
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// Async, so a login attempt does not stall the event loop (and proxied traffic)
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  // Buffer.from() silently drops bad hex; an empty or short key would match anything
+  if (scheme !== 'scrypt' || !salt || !/^[0-9a-f]+$/i.test(hash || '')) return false;
+  const expected = Buffer.from(hash, 'hex');
+  if (expected.length !== KEY_LENGTH) return false;
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Unknown usernames are checked against this, so they cost the same single scrypt call
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function loadAdminUsers(file) {
+  const users = new Map();
+  if (file && fs.existsSync(file)) {
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const u of doc.users || []) {
+      if (!ADMIN_ROLES.includes(u.role)) throw new Error(`Admin user "${u.username}": role must be one of ${ADMIN_ROLES.join(', ')}`);
+      users.set(u.username, u);
+    }
+  }
+  // Bootstrap operator for first run / demos
+  if (process.env.NGFW_ADMIN_PASSWORD) {
+    const username = process.env.NGFW_ADMIN_USER || 'admin';
+    users.set(username, { username, role: 'operator', passwordHash: hashPassword(process.env.NGFW_ADMIN_PASSWORD) });
+  }
+  return users;
+}
+
+// clientIp(req): the real client address (trusted proxies resolved), used for lockouts
+function createAdminAuth({ usersFile, sessionTtlSec = 8 * 60 * 60, recordSecurityEvent, clientIp = req => req.socket.remoteAddress }) {
+  const users = loadAdminUsers(usersFile);
+  const secret = process.env.NGFW_ADMIN_SECRET || crypto.randomBytes(32).toString('hex');
+  const failures = new Map(); // `${ip}|${username}` -> { count, lockedUntil }
+
+  if (!process.env.NGFW_ADMIN_SECRET) console.log('Admin auth: NGFW_ADMIN_SECRET not set, sessions end on restart');
+  console.log(`Admin auth: ${users.size} admin user(s)`);
+
+  // → { ok, username, role, expiresAt } | { ok: false, failure }
+  function identify(req) {
+    const authz = req.headers.authorization || '';
+    if (!/^Bearer\s+/i.test(authz)) return { ok: false, failure: 'missing_credentials' };
+    const result = verifyJwt(authz.replace(/^Bearer\s+/i, '').trim(), {
+      secret, jwks: [], issuer: null, audience: ADMIN_AUDIENCE, clockToleranceSec: 0
+    });
+    if (!result.ok) return { ok: false, failure: result.failure };
+    const user = users.get(result.claims.sub);
+    if (!user) return { ok: false, failure: 'unknown_admin' };
+    return { ok: true, username: user.username, role: user.role, expiresAt: result.claims.exp * 1000 };
+  }
+
+  function requireAdmin(minRole = 'viewer') {
+    return (req, res, next) => {
+      const admin = identify(req);
+      if (!admin.ok) {
+        // An expired session is routine (a dashboard left open keeps polling), not an attack
+        if (!['missing_credentials', 'token_expired'].includes(admin.failure)) {
+          recordSecurityEvent(req, 'admin_auth_failure', { failure: admin.failure, path: req.path });
+        }
+        return res.status(401).json({ error: 'Admin authentication required', reason: admin.failure });
+      }
+      if (ADMIN_ROLES.indexOf(admin.role) < ADMIN_ROLES.indexOf(minRole)) {
+        recordSecurityEvent(req, 'admin_forbidden', { failure: 'insufficient_role', path: req.path }, admin);
+        return res.status(403).json({ error: 'Insufficient admin role', required: minRole, role: admin.role });
+      }
+      req.admin = admin;
+      next();
+    };
+  }
+
+  async function login(req, res) {
+    const { username, password } = req.body || {};
+    const key = `${clientIp(req)}|${username}`;
+    const state = failures.get(key);
+    const now = Date.now();
+
+    if (state && state.lockedUntil > now) {
+      recordSecurityEvent(req, 'admin_login_failed', { failure: 'locked_out', username });
+      return res.status(429).json({ error: 'Too many failed logins', retryAfter: Math.ceil((state.lockedUntil - now) / 1000) });
+    }
+
+    const user = typeof username === 'string' ? users.get(username) : null;
+    // Always run scrypt once so unknown users take as long as wrong passwords
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) {
+      // Re-read: other attempts from this client may have failed while scrypt ran
+      const current = failures.get(key);
+      const lockExpired = current && current.lockedUntil && current.lockedUntil <= now;
+      const next = { count: (current && !lockExpired ? current.count : 0) + 1, lockedUntil: current && !lockExpired ? current.lockedUntil : 0 };
+      if (next.count >= MAX_FAILED_LOGINS) next.lockedUntil = now + LOCKOUT_MS;
+      failures.set(key, next);
+      if (failures.size > 10000) {
+        for (const [k, v] of failures) if (!v.lockedUntil || v.lockedUntil <= now) failures.delete(k);
+      }
+      recordSecurityEvent(req, 'admin_login_failed', {
+        failure: user ? 'bad_password' : 'unknown_user',
+        username: typeof username === 'string' ? username : null,
+        attempts: next.count
+      });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    failures.delete(key);
+    const iat = Math.floor(now / 1000);
+    const token = signHS256({ sub: user.username, role: user.role, aud: ADMIN_AUDIENCE, iat, exp: iat + sessionTtlSec }, secret);
+    res.json({ token, username: user.username, role: user.role, expiresIn: sessionTtlSec });
+  }
+
+  return { identify, requireAdmin, login };
+}
+
+module.exports = { ADMIN_ROLES, hashPassword, verifyPassword, createAdminAuth };
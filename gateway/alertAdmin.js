@@ -0,0 +1,25 @@
+// Alerts: /admin/alerts history + rules, acknowledge, and channel test sends
+function createAlertEndpoints(app, { alerts, viewer, operator }) {
+  app.get('/admin/alerts', viewer, (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    res.json({ alerts: alerts.list(limit), config: alerts.describe() });
+  });
+
+  app.post('/admin/alerts/:id/ack', operator, (req, res) => {
+    const alert = alerts.acknowledge(req.params.id, req.admin.username);
+    if (!alert) return res.status(404).json({ error: 'Alert not found', id: req.params.id });
+    res.json(alert);
+  });
+
+  // body: { channel } — sends a synthetic "info" alert through that channel only
+  app.post('/admin/alerts/test', operator, async (req, res) => {
+    const { channel } = req.body || {};
+    if (typeof channel !== 'string' || !alerts.hasChannel(channel)) {
+      return res.status(400).json({ error: 'Invalid test request', details: [`unknown channel "${channel}"`] });
+    }
+    const result = await alerts.test(channel, req.admin.username);
+    res.status(result.ok ? 200 : 502).json(result);
+  });
+}
+
+module.exports = { createAlertEndpoints };
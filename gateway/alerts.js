@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const axios = require('axios');
+const { parseLogQuery, matchesLogFilters } = require('./logQuery');
+
+// Alerting: rules evaluated over every sealed audit block ("decision" rules, with the
+// same filters as /admin/logs) or over gateway signals (chain_invalid, ml_unavailable).
+// A rule fires when `count` matches land within `windowSec` (per `groupBy` value);
+// repeats inside `cooldownSec` are suppressed and counted on the next alert.
+const SIGNALS = ['decision', 'chain_invalid', 'ml_unavailable'];
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+const GROUP_BY = ['ip', 'userId', 'country'];
+const CHANNEL_TYPES = ['webhook', 'syslog', 'smtp'];
+const MATCH_KEYS = ['userId', 'role', 'ip', 'country', 'pathPrefix', 'decision', 'label', 'minRisk', 'q'];
+// RFC 5424 severities
+const SYSLOG_SEVERITY = { critical: 2, high: 3, medium: 4, low: 5, info: 6 };
+
+function validateChannel(name, ch, issues) {
+  const where = `channels.${name}`;
+  if (!ch || typeof ch !== 'object') return issues.push(`${where}: must be an object`);
+  if (!CHANNEL_TYPES.includes(ch.type)) return issues.push(`${where}.type: must be one of ${CHANNEL_TYPES.join(', ')}`);
+  if (ch.type === 'webhook' && !/^https?:\/\//.test(ch.url || '')) issues.push(`${where}.url: must be an http(s) URL`);
+  if (ch.type !== 'webhook') {
+    if (typeof ch.host !== 'string' || !ch.host) issues.push(`${where}.host: is required`);
+    if (!(Number.isInteger(ch.port) && ch.port > 0 && ch.port < 65536)) issues.push(`${where}.port: must be a TCP/UDP port`);
+  }
+  if (ch.type === 'syslog' && ch.protocol !== undefined && !['udp', 'tcp'].includes(ch.protocol)) issues.push(`${where}.protocol: must be udp or tcp`);
+  if (ch.type === 'smtp') {
+    if (typeof ch.from !== 'string' || !ch.from.includes('@')) issues.push(`${where}.from: must be an email address`);
+    if (!Array.isArray(ch.to) || !ch.to.length || ch.to.some(t => typeof t !== 'string' || !t.includes('@'))) {
+      issues.push(`${where}.to: must be a non-empty array of email addresses`);
+    }
+  }
+  return issues;
+}
+
+function validateAlertConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.enabled !== undefined && typeof doc.enabled !== 'boolean') issues.push('enabled: must be a boolean');
+  const channels = doc.channels || {};
+  for (const [name, ch] of Object.entries(channels)) validateChannel(name, ch, issues);
+
+  const ids = new Set();
+  (Array.isArray(doc.rules) ? doc.rules : []).forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (typeof rule?.id !== 'string' || !rule.id) issues.push(`${where}.id: must be a non-empty string`);
+    else if (ids.has(rule.id)) issues.push(`${where}.id: duplicate id "${rule.id}"`);
+    else ids.add(rule.id);
+    if (!SIGNALS.includes(rule?.when)) issues.push(`${where}.when: must be one of ${SIGNALS.join(', ')}`);
+    if (rule?.severity !== undefined && !SEVERITIES.includes(rule.severity)) issues.push(`${where}.severity: must be one of ${SEVERITIES.join(', ')}`);
+    if (rule?.groupBy !== undefined && !GROUP_BY.includes(rule.groupBy)) issues.push(`${where}.groupBy: must be one of ${GROUP_BY.join(', ')}`);
+    if (rule?.count !== undefined && !(Number.isInteger(rule.count) && rule.count > 0)) issues.push(`${where}.count: must be a positive integer`);
+    for (const key of ['windowSec', 'cooldownSec']) {
+      if (rule?.[key] !== undefined && !(typeof rule[key] === 'number' && rule[key] >= 0)) issues.push(`${where}.${key}: must be a number of seconds`);
+    }
+    if (rule?.match !== undefined) {
+      if (rule.when !== 'decision') issues.push(`${where}.match: only applies to "decision" rules`);
+      const unknown = Object.keys(rule.match || {}).filter(k => !MATCH_KEYS.includes(k));
+      if (unknown.length) issues.push(`${where}.match: unknown filter(s) ${unknown.join(', ')} (use ${MATCH_KEYS.join(', ')})`);
+      parseLogQuery(rule.match || {}).errors.forEach(e => issues.push(`${where}.match: ${e}`));
+    }
+    (rule?.channels || []).forEach(name => {
+      if (!channels[name]) issues.push(`${where}.channels: unknown channel "${name}"`);
+    });
+  });
+  return issues;
+}
+
+function loadAlertConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateAlertConfig(doc);
+  if (issues.length) throw new Error(`Invalid alert config ${file}:\n  - ${issues.join('\n  - ')}`);
+  return {
+    enabled: doc.enabled ?? true,
+    historySize: doc.historySize || 500,
+    channels: doc.channels || {},
+    rules: (doc.rules || []).map(rule => ({
+      severity: 'medium',
+      count: 1,
+      windowSec: 60,
+      cooldownSec: 300,
+      ...rule
+    }))
+  };
+}
+
+// --- Delivery channels ---
+
+function syslogLine(alert, ch) {
+  const pri = (ch.facility ?? 4) * 8 + SYSLOG_SEVERITY[alert.severity];
+  const msg = `${alert.summary} ${JSON.stringify({ id: alert.id, rule: alert.rule, group: alert.group, count: alert.count })}`;
+  return `<${pri}>1 ${alert.time} ${os.hostname()} ${ch.appName || 'ai-ngfw'} ${process.pid} ${alert.rule} - ${msg}`;
+}
+
+function sendSyslog(alert, ch) {
+  const line = syslogLine(alert, ch);
+  if ((ch.protocol || 'udp') === 'udp') {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(ch.host) ? 'udp6' : 'udp4');
+      socket.send(Buffer.from(line), ch.port, ch.host, err => {
+        socket.close();
+        if (err) reject(err); else resolve();
+      });
+    });
+  }
+  // TCP with octet-counting framing (RFC 6587)
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: ch.host, port: ch.port, timeout: ch.timeoutMs || 5000 }, () => {
+      socket.end(`${Buffer.byteLength(line)} ${line}`, resolve);
+    });
+    socket.on('timeout', () => socket.destroy(new Error('syslog timeout')));
+    socket.on('error', reject);
+  });
+}
+
+// Minimal SMTP client (no AUTH / STARTTLS): meant for a local relay or scripts/smtp-stub.js
+function sendSmtp(alert, ch) {
+  const message = [
+    `From: ${ch.from}`,
+    `To: ${ch.to.join(', ')}`,
+    `Subject: [AI-NGFW ${alert.severity.toUpperCase()}] ${alert.summary}`,
+    `Date: ${new Date(alert.time).toUTCString()}`,
+    `Message-ID: <${alert.id}@${os.hostname()}>`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    alert.summary,
+    '',
+    JSON.stringify(alert, null, 2)
+  ].join('\r\n').replace(/^\./gm, '..');
+
+  return new Promise((resolve, reject) => {
+    const connect = ch.secure ? tls.connect : net.connect;
+    const socket = connect({ host: ch.host, port: ch.port, servername: ch.host, timeout: ch.timeoutMs || 10000 });
+    const steps = [
+      [null, 220],
+      [`EHLO ${os.hostname()}`, 250],
+      [`MAIL FROM:<${ch.from}>`, 250],
+      ...ch.to.map(to => [`RCPT TO:<${to}>`, 250]),
+      ['DATA', 354],
+      [`${message}\r\n.`, 250],
+      ['QUIT', 221]
+    ];
+    let buffer = '';
+    const next = () => {
+      const [command] = steps[0];
+      if (command !== null) socket.write(`${command}\r\n`);
+    };
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      // A reply ends with a "NNN " line; "NNN-" lines continue it
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (/^\d{3}-/.test(line)) continue;
+        if (!steps.length) return; // dialog finished; ignore anything the server adds
+        const code = Number(line.slice(0, 3));
+        const [command, expected] = steps.shift();
+        if (code !== expected && !(expected === 250 && code === 251)) {
+          socket.destroy();
+          return reject(new Error(`SMTP ${command ? command.split(/[\s:]/)[0] : 'greeting'} failed: ${line}`));
+        }
+        if (!steps.length) {
+          socket.end();
+          return resolve();
+        }
+        next();
+      }
+    });
+    socket.on('timeout', () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('error', reject);
+    // Server hung up mid-dialog (a no-op once the QUIT reply has resolved the promise)
+    socket.on('close', () => {
+      if (steps.length) reject(new Error(`SMTP connection closed before ${steps[0][0] ? steps[0][0].split(/[\s:]/)[0] : 'greeting'} reply`));
+    });
+  });
+}
+
+function sendWebhook(alert, ch) {
+  return axios.post(ch.url, alert, { timeout: ch.timeoutMs || 5000, headers: ch.headers || {} }).then(res => {
+    if (res.status >= 300) throw new Error(`webhook HTTP ${res.status}`);
+  });
+}
+
+const SENDERS = { webhook: sendWebhook, syslog: sendSyslog, smtp: sendSmtp };
+
+function createAlertEngine(config = loadAlertConfig(null), { log = console.log, senders = SENDERS } = {}) {
+  const history = [];                 // newest last, capped at historySize
+  const windows = new Map();          // `${ruleId}|${group}` → [{ at, index }]
+  const cooldowns = new Map();        // `${ruleId}|${group}` → { until, suppressed }
+  const rules = config.rules.map(rule => ({
+    ...rule,
+    filters: rule.when === 'decision' ? parseLogQuery(rule.match || {}).filters : null
+  }));
+  const enabledChannels = Object.keys(config.channels).filter(name => config.channels[name].enabled !== false);
+
+  async function deliver(alert, channelNames) {
+    const results = await Promise.allSettled(channelNames.map(name => {
+      const ch = config.channels[name];
+      return senders[ch.type](alert, ch);
+    }));
+    alert.deliveries = channelNames.map((channel, i) => (
+      results[i].status === 'fulfilled'
+        ? { channel, ok: true }
+        : { channel, ok: false, error: results[i].reason?.message || String(results[i].reason) }
+    ));
+    for (const d of alert.deliveries.filter(x => !x.ok)) log(`Alert ${alert.id} not delivered to ${d.channel}: ${d.error}`);
+    return alert.deliveries;
+  }
+
+  function fire(rule, key, { group, count, blocks = [], details = null }) {
+    const now = Date.now();
+    const cooldown = cooldowns.get(key);
+    if (cooldown && cooldown.until > now) {
+      cooldown.suppressed++;
+      return null;
+    }
+    cooldowns.set(key, { until: now + rule.cooldownSec * 1000, suppressed: 0 });
+
+    const scope = group ? ` (${group.by} ${group.value})` : '';
+    const what = rule.when === 'decision'
+      ? `${count} matching decision${count === 1 ? '' : 's'}${count > 1 ? ` in ${rule.windowSec}s` : ''}`
+      : details?.message || rule.when;
+    const alert = {
+      id: crypto.randomUUID(),
+      time: new Date(now).toISOString(),
+      rule: rule.id,
+      severity: rule.severity,
+      summary: `${rule.description || rule.id}${scope}: ${what}`,
+      group,
+      count,
+      ...(blocks.length ? { blocks } : {}),
+      ...(details ? { details } : {}),
+      ...(cooldown?.suppressed ? { suppressedSinceLast: cooldown.suppressed } : {}),
+      acknowledged: null,
+      deliveries: []
+    };
+    history.push(alert);
+    if (history.length > config.historySize) history.shift();
+    log(`ALERT [${alert.severity}] ${alert.summary}`);
+    deliver(alert, (rule.channels || enabledChannels).filter(name => enabledChannels.includes(name)));
+    return alert;
+  }
+
+  // One sealed audit block from the decision stream
+  function observe(block) {
+    if (!config.enabled) return;
+    const now = Date.now();
+    for (const rule of rules) {
+      if (rule.when !== 'decision' || !matchesLogFilters(block, rule.filters)) continue;
+      const value = rule.groupBy ? block.context?.[rule.groupBy] : null;
+      if (rule.groupBy && !value) continue;
+      const key = `${rule.id}|${value ?? '*'}`;
+      const hits = (windows.get(key) || []).filter(h => now - h.at < rule.windowSec * 1000);
+      hits.push({ at: now, index: block.index });
+      if (hits.length < rule.count) {
+        windows.set(key, hits);
+        continue;
+      }
+      windows.delete(key);
+      fire(rule, key, {
+        group: rule.groupBy ? { by: rule.groupBy, value } : null,
+        count: hits.length,
+        blocks: hits.slice(-10).map(h => h.index)
+      });
+    }
+  }
+
+  // Gateway conditions outside the decision stream: chain_invalid, ml_unavailable
+  function signal(name, details = {}) {
+    if (!config.enabled) return;
+    for (const rule of rules.filter(r => r.when === name)) {
+      fire(rule, `${rule.id}|*`, { group: null, count: 1, details });
+    }
+  }
+
+  function acknowledge(id, by) {
+    const alert = history.find(a => a.id === id);
+    if (!alert) return null;
+    alert.acknowledged = { by, at: new Date().toISOString() };
+    return alert;
+  }
+
+  // Sends a synthetic alert through one channel → { channel, ok, error? }
+  async function test(channelName, by) {
+    const alert = {
+      id: crypto.randomUUID(),
+      time: new Date().toISOString(),
+      rule: 'test',
+      severity: 'info',
+      summary: `Test alert from AI-NGFW (requested by ${by})`,
+      group: null,
+      count: 1
+    };
+    const [result] = await deliver(alert, [channelName]);
+    return result;
+  }
+
+  // Drop idle windows and expired cooldowns
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    const longest = Math.max(...rules.map(r => r.windowSec), 0) * 1000;
+    for (const [key, hits] of windows) if (!hits.length || now - hits[hits.length - 1].at > longest) windows.delete(key);
+    for (const [key, c] of cooldowns) if (c.until <= now && !c.suppressed) cooldowns.delete(key);
+  }, 60 * 1000);
+  sweep.unref();
+
+  function describe() {
+    return {
+      enabled: config.enabled,
+      rules: rules.map(({ filters, ...rule }) => rule),
+      channels: Object.entries(config.channels).map(([name, ch]) => ({
+        name,
+        type: ch.type,
+        enabled: ch.enabled !== false,
+        target: ch.type === 'webhook' ? ch.url : ch.type === 'smtp' ? `${ch.host}:${ch.port} → ${ch.to.join(', ')}` : `${ch.protocol || 'udp'}://${ch.host}:${ch.port}`
+      })),
+      total: history.length,
+      unacknowledged: history.filter(a => !a.acknowledged).length
+    };
+  }
+
+  return {
+    observe,
+    signal,
+    acknowledge,
+    test,
+    list: (limit = 100) => history.slice(-limit).reverse(),
+    hasChannel: name => Boolean(config.channels[name]),
+    describe,
+    close: () => clearInterval(sweep)
+  };
+}
+
+module.exports = { SIGNALS, SEVERITIES, validateAlertConfig, loadAlertConfig, createAlertEngine };
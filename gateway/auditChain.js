@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Hash-linked audit chain: every block carries index, prevHash and its own hash
+const GENESIS_HASH = '0'.repeat(64);
+
+// Deterministic JSON (sorted keys) so a block hashes the same after a round trip
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return '[' + value.map(v => (v === undefined ? 'null' : canonicalize(v))).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalize(value[k])).join(',') + '}';
+}
+
+function hashBlock(block) {
+  const { hash, ...content } = block;
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+}
+
+function sealBlock(prevBlock, entry) {
+  const { index: _i, prevHash: _p, hash: _h, ...data } = entry;
+  const block = {
+    index: prevBlock ? prevBlock.index + 1 : 0,
+    ...data,
+    prevHash: prevBlock ? prevBlock.hash : GENESIS_HASH
+  };
+  block.hash = hashBlock(block);
+  return block;
+}
+
+// Streaming verifier: feed blocks in order, then read the result.
+// `anchor` ({ index, hash }) is the block preceding the first one fed, if any.
+function createChainVerifier(anchor = null) {
+  const issues = [];
+  let prev = anchor;
+  let length = 0;
+
+  function push(block) {
+    const expectedIndex = prev ? prev.index + 1 : 0;
+    const gap = block.index > expectedIndex;
+
+    if (gap) {
+      issues.push({
+        type: 'missing',
+        index: expectedIndex,
+        count: block.index - expectedIndex,
+        detail: `blocks ${expectedIndex}..${block.index - 1} missing`
+      });
+    } else if (block.index !== expectedIndex) {
+      issues.push({ type: 'out_of_order', index: block.index, detail: `expected index ${expectedIndex}` });
+    }
+
+    const expectedPrev = prev ? prev.hash : GENESIS_HASH;
+    if (!gap && block.prevHash !== expectedPrev) {
+      issues.push({ type: 'broken_link', index: block.index, detail: 'prevHash does not match previous block' });
+    }
+
+    if (block.hash !== hashBlock(block)) {
+      issues.push({ type: 'tampered', index: block.index, detail: 'block content does not match its hash' });
+    }
+
+    prev = block;
+    length++;
+  }
+
+  function result() {
+    return {
+      valid: issues.length === 0,
+      length,
+      anchorIndex: anchor ? anchor.index : null,
+      headIndex: prev ? prev.index : null,
+      headHash: prev ? prev.hash : GENESIS_HASH,
+      firstInvalidIndex: issues.length ? issues[0].index : null,
+      issues
+    };
+  }
+
+  return { push, result };
+}
+
+// Walks the chain and reports every tampered, missing or unlinked block
+function verifyChain(blocks, anchor = null) {
+  const verifier = createChainVerifier(anchor);
+  blocks.forEach(verifier.push);
+  return verifier.result();
+}
+
+module.exports = { GENESIS_HASH, canonicalize, hashBlock, sealBlock, createChainVerifier, verifyChain };
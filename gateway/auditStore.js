@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { sealBlock } = require('./auditChain');
+
+// Durable audit log: append-only NDJSON segments with size/age rotation and retention.
+// Segment files are named audit-<firstIndex>-<createdMs>.ndjson so they sort by chain order.
+const SEGMENT_RE = /^audit-(\d+)-(\d+)\.ndjson$/;
+const MANIFEST_FILE = 'manifest.json';
+
+function createAuditStore({
+  dir,
+  maxSegmentBytes = 5 * 1024 * 1024,
+  maxSegmentAgeMs = 24 * 60 * 60 * 1000,
+  maxSegments = 20,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+  memoryWindow = 10000
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  let cache = [];       // most recent blocks, oldest first
+  let head = null;      // last sealed block
+  let manifest = { prunedThrough: null, prunedSegments: 0 };
+  let active = null;    // { file, fd, bytes, createdMs }
+
+  function segmentName(firstIndex, createdMs) {
+    return `audit-${String(firstIndex).padStart(12, '0')}-${createdMs}.ndjson`;
+  }
+
+  function listSegments() {
+    return fs.readdirSync(dir)
+      .map(name => {
+        const m = SEGMENT_RE.exec(name);
+        return m && { name, file: path.join(dir, name), firstIndex: Number(m[1]), createdMs: Number(m[2]) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.firstIndex - b.firstIndex);
+  }
+
+  function readSegment(file) {
+    const blocks = [];
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        blocks.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`Audit store: skipping unreadable line in ${path.basename(file)}:`, err.message);
+      }
+    }
+    return blocks;
+  }
+
+  function saveManifest() {
+    const tmp = path.join(dir, MANIFEST_FILE + '.tmp');
+    fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmp, path.join(dir, MANIFEST_FILE));
+  }
+
+  function loadManifest() {
+    const file = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(file)) return;
+    try {
+      manifest = { ...manifest, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (err) {
+      console.error('Audit store: unreadable manifest:', err.message);
+    }
+  }
+
+  function openSegment(firstIndex) {
+    const createdMs = Date.now();
+    const file = path.join(dir, segmentName(firstIndex, createdMs));
+    active = { file, fd: fs.openSync(file, 'a'), bytes: 0, createdMs };
+  }
+
+  function closeSegment() {
+    if (!active) return;
+    fs.closeSync(active.fd);
+    active = null;
+  }
+
+  // Drop whole segments past the count/age limits, remembering the last pruned block
+  // so verification can still anchor the oldest retained block.
+  function applyRetention() {
+    const now = Date.now();
+    const closed = listSegments().filter(s => !active || s.file !== active.file);
+    let excess = closed.length + (active ? 1 : 0) - maxSegments;
+
+    for (const seg of closed) {
+      const expired = now - fs.statSync(seg.file).mtimeMs > retentionMs;
+      if (excess <= 0 && !expired) break;
+      const blocks = readSegment(seg.file);
+      const last = blocks[blocks.length - 1];
+      if (last) manifest.prunedThrough = { index: last.index, hash: last.hash, time: last.time };
+      manifest.prunedSegments++;
+      saveManifest();
+      fs.unlinkSync(seg.file);
+      excess--;
+      console.log(`Audit store: pruned ${seg.name}`);
+    }
+  }
+
+  function rotateIfNeeded() {
+    if (!active) return;
+    const tooBig = active.bytes >= maxSegmentBytes;
+    const tooOld = Date.now() - active.createdMs >= maxSegmentAgeMs;
+    if (!tooBig && !tooOld) return;
+    closeSegment();
+    applyRetention();
+  }
+
+  // Reload the recent window (and chain head) from the newest segments
+  function load() {
+    loadManifest();
+    const segments = listSegments();
+    let loaded = [];
+    for (let i = segments.length - 1; i >= 0 && loaded.length < memoryWindow; i--) {
+      loaded = readSegment(segments[i].file).concat(loaded);
+    }
+    cache = loaded.slice(-memoryWindow);
+    head = cache[cache.length - 1] || null;
+
+    const newest = segments[segments.length - 1];
+    if (newest) {
+      const bytes = fs.statSync(newest.file).size;
+      if (bytes < maxSegmentBytes && Date.now() - newest.createdMs < maxSegmentAgeMs) {
+        active = { file: newest.file, fd: fs.openSync(newest.file, 'a'), bytes, createdMs: newest.createdMs };
+      }
+    }
+    applyRetention();
+    console.log(`Audit store: loaded ${cache.length} recent blocks from ${segments.length} segment(s) in ${dir}`);
+  }
+
+  function append(entry) {
+    const block = sealBlock(head || manifest.prunedThrough, entry);
+    const line = JSON.stringify(block) + '\n';
+
+    rotateIfNeeded();
+    if (!active) openSegment(block.index);
+    fs.writeSync(active.fd, line);
+    active.bytes += Buffer.byteLength(line);
+
+    head = block;
+    cache.push(block);
+    if (cache.length > memoryWindow) cache.splice(0, cache.length - memoryWindow);
+
+    rotateIfNeeded();
+    return block;
+  }
+
+  // Every retained block on disk, oldest first, one segment in memory at a time
+  function forEach(fn) {
+    for (const seg of listSegments()) {
+      readSegment(seg.file).forEach(fn);
+    }
+  }
+
+  function readAll() {
+    const blocks = [];
+    forEach(b => blocks.push(b));
+    return blocks;
+  }
+
+  function stats() {
+    const segments = listSegments();
+    return {
+      dir,
+      segments: segments.length,
+      bytes: segments.reduce((sum, s) => sum + fs.statSync(s.file).size, 0),
+      cached: cache.length,
+      headIndex: head ? head.index : null,
+      prunedThrough: manifest.prunedThrough,
+      prunedSegments: manifest.prunedSegments
+    };
+  }
+
+  load();
+
+  return {
+    append,
+    recent: () => cache,
+    head: () => head,
+    anchor: () => manifest.prunedThrough,
+    forEach,
+    readAll,
+    stats,
+    close: closeSegment
+  };
+}
+
+module.exports = { createAuditStore };
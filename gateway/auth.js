@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Client authentication for proxied traffic: signed JWTs (HS256 / RS256 + local JWKS), API keys
+// or a verified mTLS client certificate (see mtls.js).
+// Identity comes only from verified credentials; client-supplied identity headers are rejected.
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-role'];
+const ANONYMOUS = { userId: 'anonymous', role: 'guest' };
+
+function base64UrlDecode(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function base64UrlEncode(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Dev/test helper (scripts/mint-token.js)
+function signHS256(claims, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  const sig = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  return `${header}.${payload}.${base64UrlEncode(sig)}`;
+}
+
+function loadJwks(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const jwks = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (jwks.keys || [])
+    .filter(k => k.kty === 'RSA')
+    .map(k => ({ kid: k.kid || null, key: crypto.createPublicKey({ key: k, format: 'jwk' }) }));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function fail(reason) {
+  return { ok: false, failure: reason };
+}
+
+function verifyJwt(token, { secret, jwks, issuer, audience, clockToleranceSec }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return fail('malformed_token');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch {
+    return fail('malformed_token');
+  }
+  // `null`, numbers and arrays are valid JSON but not a JOSE header or claims set
+  if (!isPlainObject(header) || !isPlainObject(claims)) return fail('malformed_token');
+
+  const data = `${parts[0]}.${parts[1]}`;
+  const sig = base64UrlDecode(parts[2]);
+
+  if (header.alg === 'HS256') {
+    if (!secret) return fail('alg_not_enabled');
+    const expected = crypto.createHmac('sha256', secret).update(data).digest();
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(sig, expected)) return fail('bad_signature');
+  } else if (header.alg === 'RS256') {
+    const candidates = header.kid ? jwks.filter(k => k.kid === header.kid) : jwks;
+    if (!candidates.length) return fail('unknown_key');
+    const valid = candidates.some(k => crypto.verify('RSA-SHA256', Buffer.from(data), k.key, sig));
+    if (!valid) return fail('bad_signature');
+  } else {
+    return fail('alg_not_allowed');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') return fail('missing_exp');
+  if (now > claims.exp + clockToleranceSec) return fail('token_expired');
+  if (typeof claims.nbf === 'number' && now + clockToleranceSec < claims.nbf) return fail('token_not_yet_valid');
+  if (issuer && claims.iss !== issuer) return fail('bad_issuer');
+  if (audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) return fail('bad_audience');
+  }
+
+  return { ok: true, alg: header.alg, claims };
+}
+
+function createAuthenticator(config, { baseDir = __dirname, mtls = null } = {}) {
+  const jwtConfig = config.jwt || {};
+  const secret = process.env[jwtConfig.hs256SecretEnv || 'NGFW_JWT_SECRET'] || null;
+  const jwks = loadJwks(jwtConfig.jwksFile && path.resolve(baseDir, jwtConfig.jwksFile));
+  const apiKeys = new Map((config.apiKeys || []).map(k => [k.keyHash, k]));
+  const mode = config.mode === 'required' ? 'required' : 'optional';
+  const verifyOptions = {
+    secret,
+    jwks,
+    issuer: jwtConfig.issuer || null,
+    audience: jwtConfig.audience || null,
+    clockToleranceSec: jwtConfig.clockToleranceSec ?? 30
+  };
+  const userClaim = jwtConfig.userClaim || 'sub';
+  const roleClaim = jwtConfig.roleClaim || 'role';
+  const defaultRole = jwtConfig.defaultRole || 'user';
+
+  console.log(`Auth: mode=${mode}, HS256 ${secret ? 'enabled' : 'disabled'}, ${jwks.length} RS256 key(s), ${apiKeys.size} API key(s), mTLS ${mtls?.enabled ? 'enabled' : 'disabled'}`);
+
+  // → { ok, method, userId, role, failure?, keyId?, alg?, clientCert? }
+  function authenticate(req) {
+    const forged = IDENTITY_HEADERS.filter(h => req.headers[h] !== undefined);
+    if (forged.length) {
+      return { ok: false, method: 'none', ...ANONYMOUS, failure: 'forged_identity_headers', detail: forged };
+    }
+
+    // A presented certificate must be valid even when other credentials are sent too
+    const cert = mtls ? mtls.identify(req) : null;
+    const certInfo = cert ? { clientCert: cert.cert } : {};
+    if (cert && !cert.ok) return { ok: false, method: 'mtls', ...ANONYMOUS, failure: cert.failure, ...certInfo };
+    const requiredBy = mtls ? mtls.requires(req.path) : null;
+    if (requiredBy && !cert) {
+      return { ok: false, method: 'mtls', ...ANONYMOUS, failure: 'client_cert_required', detail: requiredBy };
+    }
+
+    const result = authenticateCredentials(req, cert);
+    return cert ? { ...result, ...certInfo } : result;
+  }
+
+  function authenticateCredentials(req, cert) {
+    const authz = req.headers.authorization || '';
+    if (/^Bearer\s+/i.test(authz)) {
+      const result = verifyJwt(authz.replace(/^Bearer\s+/i, '').trim(), verifyOptions);
+      if (!result.ok) return { ok: false, method: 'jwt', ...ANONYMOUS, failure: result.failure };
+      const userId = result.claims[userClaim];
+      const role = result.claims[roleClaim] || defaultRole;
+      if (typeof userId !== 'string' || !userId) return { ok: false, method: 'jwt', ...ANONYMOUS, failure: 'missing_subject' };
+      if (typeof role !== 'string') return { ok: false, method: 'jwt', ...ANONYMOUS, failure: 'bad_role_claim' };
+      return { ok: true, method: 'jwt', alg: result.alg, userId, role };
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      const entry = apiKeys.get(hashApiKey(apiKey));
+      if (!entry) return { ok: false, method: 'api_key', ...ANONYMOUS, failure: 'unknown_api_key' };
+      return { ok: true, method: 'api_key', keyId: entry.id, userId: entry.userId, role: entry.role || defaultRole };
+    }
+
+    if (cert) return { ok: true, method: 'mtls', identityRule: cert.identityRule, userId: cert.userId, role: cert.role };
+    if (mode === 'required') return { ok: false, method: 'none', ...ANONYMOUS, failure: 'missing_credentials' };
+    return { ok: true, method: 'none', ...ANONYMOUS };
+  }
+
+  return { authenticate, mode };
+}
+
+module.exports = {
+  IDENTITY_HEADERS,
+  hashApiKey,
+  signHS256,
+  verifyJwt,
+  createAuthenticator
+};
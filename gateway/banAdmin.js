@@ -0,0 +1,52 @@
+const { TARGETS } = require('./bans');
+
+// Ban management: /admin/bans list, manual ban, extend and lift — every change audited
+function createBanEndpoints(app, { bans, recordBanChange, viewer, operator }) {
+  const badRequest = (res, details) => res.status(400).json({ error: 'Invalid ban request', details });
+  const validSeconds = v => Number.isFinite(v) && v > 0 && v <= 365 * 86400;
+
+  app.get('/admin/bans', viewer, (req, res) => {
+    res.json({ bans: bans.list(), config: bans.describe() });
+  });
+
+  // body: { target: 'ip' | 'userId', value, durationSec?, reason? } — no durationSec = next escalation level
+  app.post('/admin/bans', operator, (req, res) => {
+    const { target, value, durationSec, reason } = req.body || {};
+    const issues = [];
+    if (!TARGETS.includes(target)) issues.push(`"target" must be one of ${TARGETS.join(', ')}`);
+    if (typeof value !== 'string' || !value.trim()) issues.push('"value" is required');
+    if (durationSec !== undefined && !validSeconds(durationSec)) issues.push('"durationSec" must be between 1 and 31536000');
+    if (issues.length) return badRequest(res, issues);
+
+    const ban = bans.issue({
+      target,
+      value: value.trim(),
+      trigger: 'manual',
+      durationSec: durationSec || null,
+      reason: reason || `banned by ${req.admin.username}`,
+      by: req.admin.username
+    });
+    recordBanChange(req, { action: 'ban_created', banId: ban.id, before: null, after: ban });
+    res.status(201).json(ban);
+  });
+
+  // body: { durationSec } — added to the current expiry
+  app.post('/admin/bans/:id/extend', operator, (req, res) => {
+    const { durationSec } = req.body || {};
+    if (!validSeconds(durationSec)) return badRequest(res, ['"durationSec" must be between 1 and 31536000']);
+    const before = bans.get(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Ban not found', id: req.params.id });
+    const after = bans.extend(req.params.id, durationSec, req.admin.username);
+    recordBanChange(req, { action: 'ban_extended', banId: after.id, before, after });
+    res.json(after);
+  });
+
+  app.delete('/admin/bans/:id', operator, (req, res) => {
+    const before = bans.lift(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Ban not found', id: req.params.id });
+    recordBanChange(req, { action: 'ban_lifted', banId: before.id, before, after: null });
+    res.status(204).end();
+  });
+}
+
+module.exports = { createBanEndpoints };
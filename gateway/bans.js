@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, normalizeRequestPath } = require('./policy');
+
+// Auto-ban: offences (honeypot hits, RBAC violations, rate-limit breaches, high-risk
+// requests) are counted per IP and per user in sliding windows; crossing a trigger's
+// threshold bans that client, for longer each time it re-offends. Bans are checked
+// before anything else and survive restarts (state file next to the audit log).
+const TRIGGERS = ['honeypot', 'rbac_violation', 'rate_limit', 'high_risk'];
+const TARGETS = ['ip', 'userId'];
+
+const DEFAULT_BANS = {
+  enabled: true,
+  targets: ['ip', 'userId'],
+  honeypotPaths: ['/honeypot/**'],
+  triggers: {
+    honeypot: { threshold: 1, windowSec: 3600 },
+    rbac_violation: { threshold: 5, windowSec: 300 },
+    rate_limit: { threshold: 3, windowSec: 300 },
+    high_risk: { threshold: 5, windowSec: 300, minRisk: 0.7 }
+  },
+  escalation: { durationsSec: [300, 1800, 7200, 86400], resetAfterSec: 7 * 86400 },
+  exempt: { ips: [], userIds: [] }
+};
+
+function validateBanConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.enabled !== undefined && typeof doc.enabled !== 'boolean') issues.push('enabled: must be a boolean');
+  if (doc.targets !== undefined && (!Array.isArray(doc.targets) || doc.targets.some(t => !TARGETS.includes(t)))) {
+    issues.push(`targets: must be an array of ${TARGETS.join(', ')}`);
+  }
+  if (doc.honeypotPaths !== undefined && (!Array.isArray(doc.honeypotPaths) || doc.honeypotPaths.some(p => typeof p !== 'string' || !p.startsWith('/')))) {
+    issues.push('honeypotPaths: must be an array of path globs starting with "/"');
+  }
+  for (const [name, trigger] of Object.entries(doc.triggers || {})) {
+    const where = `triggers.${name}`;
+    if (!TRIGGERS.includes(name)) { issues.push(`${where}: unknown trigger (use ${TRIGGERS.join(', ')})`); continue; }
+    if (!trigger || typeof trigger !== 'object') { issues.push(`${where}: must be an object`); continue; }
+    if (trigger.threshold !== undefined && !(Number.isInteger(trigger.threshold) && trigger.threshold > 0)) issues.push(`${where}.threshold: must be a positive integer`);
+    if (trigger.windowSec !== undefined && !(typeof trigger.windowSec === 'number' && trigger.windowSec > 0)) issues.push(`${where}.windowSec: must be a positive number`);
+    if (trigger.minRisk !== undefined && !(typeof trigger.minRisk === 'number' && trigger.minRisk >= 0 && trigger.minRisk <= 1)) {
+      issues.push(`${where}.minRisk: must be a number between 0 and 1`);
+    }
+  }
+  const durations = doc.escalation?.durationsSec;
+  if (durations !== undefined && (!Array.isArray(durations) || !durations.length || durations.some(d => !(typeof d === 'number' && d > 0)))) {
+    issues.push('escalation.durationsSec: must be a non-empty array of positive numbers');
+  }
+  return issues;
+}
+
+function loadBanConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateBanConfig(doc);
+  if (issues.length) throw new Error(`Invalid ban config ${file}:\n  - ${issues.join('\n  - ')}`);
+  const triggers = {};
+  for (const name of TRIGGERS) {
+    const t = { enabled: true, ...DEFAULT_BANS.triggers[name], ...(doc.triggers || {})[name] };
+    if (t.enabled) triggers[name] = t;
+  }
+  return {
+    enabled: doc.enabled ?? DEFAULT_BANS.enabled,
+    targets: doc.targets || DEFAULT_BANS.targets,
+    honeypotPaths: doc.honeypotPaths || DEFAULT_BANS.honeypotPaths,
+    triggers,
+    escalation: { ...DEFAULT_BANS.escalation, ...doc.escalation },
+    exempt: { ...DEFAULT_BANS.exempt, ...doc.exempt }
+  };
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// Ban ids double as lookup keys: "ip:203.0.113.7", "userId:alice"
+function banId(target, value) {
+  return `${target}:${target === 'ip' ? normalizeIp(value) : value}`;
+}
+
+function createBanManager(config = loadBanConfig(null), { stateFile = null, log = console.log, sweepIntervalMs = 60 * 1000 } = {}) {
+  const bans = new Map();      // id → { id, target, value, reason, trigger, level, since, until, by, evidence }
+  const history = new Map();   // id → { level, lastBanAt } — drives escalation
+  const offences = new Map();  // `${id}|${trigger}` → [timestamps]
+  const honeypots = config.honeypotPaths.map(globToRegExp);
+  const exemptIps = new Set(config.exempt.ips.map(normalizeIp));
+  const exemptUsers = new Set(config.exempt.userIds);
+
+  if (stateFile && fs.existsSync(stateFile)) {
+    try {
+      const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      for (const ban of state.bans || []) bans.set(ban.id, ban);
+      for (const [id, h] of Object.entries(state.history || {})) history.set(id, h);
+    } catch (err) {
+      log(`Ban state ${stateFile} unreadable, starting empty: ${err.message}`);
+    }
+  }
+
+  function persist() {
+    if (!stateFile) return;
+    const tmp = stateFile + '.tmp';
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ bans: [...bans.values()], history: Object.fromEntries(history) }, null, 2));
+    fs.renameSync(tmp, stateFile);
+  }
+
+  function active(ban, now = Date.now()) {
+    return ban && new Date(ban.until).getTime() > now;
+  }
+
+  // The client's identities that may be banned; anonymous requests only have an IP
+  function subjects({ ip, userId }) {
+    const out = [];
+    if (config.targets.includes('ip') && ip && !exemptIps.has(normalizeIp(ip))) out.push({ target: 'ip', value: normalizeIp(ip) });
+    if (config.targets.includes('userId') && userId && userId !== 'anonymous' && !exemptUsers.has(userId)) {
+      out.push({ target: 'userId', value: userId });
+    }
+    return out;
+  }
+
+  // → the active ban for this IP or user, or null
+  function check(client) {
+    if (!config.enabled) return null;
+    const now = Date.now();
+    for (const { target, value } of subjects(client)) {
+      const ban = bans.get(banId(target, value));
+      if (active(ban, now)) return ban;
+    }
+    return null;
+  }
+
+  function issue({ target, value, reason, trigger = 'manual', durationSec = null, by = 'auto', evidence = null }) {
+    const id = banId(target, value);
+    const now = Date.now();
+    const past = history.get(id);
+    const reset = !past || now - past.lastBanAt > config.escalation.resetAfterSec * 1000;
+    const level = reset ? 1 : past.level + 1;
+    const durations = config.escalation.durationsSec;
+    const seconds = durationSec || durations[Math.min(level, durations.length) - 1];
+    const ban = {
+      id,
+      target,
+      value: id.slice(target.length + 1),
+      reason,
+      trigger,
+      level,
+      since: new Date(now).toISOString(),
+      until: new Date(now + seconds * 1000).toISOString(),
+      by,
+      ...(evidence ? { evidence } : {})
+    };
+    bans.set(id, ban);
+    history.set(id, { level, lastBanAt: now });
+    persist();
+    log(`Ban ${id} for ${seconds}s (level ${level}, ${trigger}): ${reason}`);
+    return ban;
+  }
+
+  function isHoneypot(reqPath) {
+    const normalized = normalizeRequestPath(reqPath);
+    return honeypots.some(re => re.test(normalized));
+  }
+
+  // Count one offence for each of the client's identities → the bans this caused
+  function record(trigger, client, evidence = {}) {
+    const settings = config.triggers[trigger];
+    if (!config.enabled || !settings) return [];
+    if (trigger === 'high_risk' && !(client.risk >= settings.minRisk)) return [];
+    const now = Date.now();
+    const issued = [];
+    for (const { target, value } of subjects(client)) {
+      const id = banId(target, value);
+      if (active(bans.get(id), now)) continue;
+      const key = `${id}|${trigger}`;
+      const times = (offences.get(key) || []).filter(t => now - t < settings.windowSec * 1000);
+      times.push(now);
+      offences.set(key, times);
+      if (times.length < settings.threshold) continue;
+      offences.delete(key);
+      issued.push(issue({
+        target,
+        value,
+        trigger,
+        reason: `${trigger} x${times.length} within ${settings.windowSec}s`,
+        evidence: { ...evidence, count: times.length, windowSec: settings.windowSec }
+      }));
+    }
+    return issued;
+  }
+
+  function get(id) {
+    const ban = bans.get(id);
+    return active(ban) ? ban : null;
+  }
+
+  function extend(id, seconds, by) {
+    const ban = get(id);
+    if (!ban) return null;
+    const extended = { ...ban, until: new Date(new Date(ban.until).getTime() + seconds * 1000).toISOString(), extendedBy: by };
+    bans.set(id, extended);
+    persist();
+    return extended;
+  }
+
+  // Lifting keeps the escalation history: a client that re-offends still gets the next level
+  function lift(id) {
+    const ban = get(id);
+    if (!ban) return null;
+    bans.delete(id);
+    persist();
+    return ban;
+  }
+
+  function list() {
+    const now = Date.now();
+    return [...bans.values()].filter(b => active(b, now)).sort((a, b) => b.since.localeCompare(a.since));
+  }
+
+  // Drop expired bans and offence windows nobody has touched for a while
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    let changed = false;
+    for (const [id, ban] of bans) {
+      if (!active(ban, now)) { bans.delete(id); changed = true; }
+    }
+    const longest = Math.max(...Object.values(config.triggers).map(t => t.windowSec), 0) * 1000;
+    for (const [key, times] of offences) {
+      if (!times.length || now - times[times.length - 1] > longest) offences.delete(key);
+    }
+    for (const [id, h] of history) {
+      if (now - h.lastBanAt > config.escalation.resetAfterSec * 1000) { history.delete(id); changed = true; }
+    }
+    if (changed) persist();
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  function describe() {
+    return {
+      enabled: config.enabled,
+      targets: config.targets,
+      honeypotPaths: config.honeypotPaths,
+      triggers: config.triggers,
+      escalation: config.escalation,
+      active: list().length,
+      tracked: offences.size
+    };
+  }
+
+  return { check, record, issue, isHoneypot, get, extend, lift, list, describe, close: () => clearInterval(sweep) };
+}
+
+module.exports = { TRIGGERS, TARGETS, validateBanConfig, loadBanConfig, banId, createBanManager };
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const { globToRegExp, normalizeRequestPath } = require('./policy');
+
+// Behavioral anomaly detection: every decision is folded into sliding-window profiles per
+// IP and per user, and each new request is scored against its client's recent behavior.
+// A signal that fires adds its weight (combined as 1 - Π(1 - weight)) and a
+// `behavior_<signal>` reason, so a client walking /info → /profile → /admin stands out
+// even though each request on its own looks ordinary.
+const SIGNALS = ['path_diversity', 'error_ratio', 'cadence', 'new_path_rate', 'time_of_day', 'sensitivity_escalation'];
+const KEYS = ['ip', 'userId'];
+
+const DEFAULT_BEHAVIOR = {
+  enabled: true,
+  keys: ['ip', 'userId'],
+  windowSec: 300,
+  maxProfiles: 20000,
+  maxEvents: 1000,
+  baseline: { minRequests: 50, maxPaths: 500 },
+  sensitivity: [],
+  signals: {
+    path_diversity: { minRequests: 10, threshold: 0.8, weight: 0.3 },
+    error_ratio: { minRequests: 5, threshold: 0.5, weight: 0.35 },
+    cadence: { minRequests: 8, minPerMinute: 30, maxJitter: 0.15, weight: 0.25 },
+    new_path_rate: { minRequests: 5, threshold: 0.6, weight: 0.25 },
+    time_of_day: { threshold: 0.02, weight: 0.2 },
+    sensitivity_escalation: { minTiers: 3, weight: 0.45 }
+  }
+};
+
+function validateBehaviorConfig(doc) {
+  const issues = [];
+  const isPositive = v => typeof v === 'number' && v > 0;
+  const isRatio = v => typeof v === 'number' && v >= 0 && v <= 1;
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.enabled !== undefined && typeof doc.enabled !== 'boolean') issues.push('enabled: must be a boolean');
+  if (doc.keys !== undefined && (!Array.isArray(doc.keys) || !doc.keys.length || doc.keys.some(k => !KEYS.includes(k)))) {
+    issues.push(`keys: must be a non-empty array of ${KEYS.join(', ')}`);
+  }
+  for (const key of ['windowSec', 'maxProfiles', 'maxEvents']) {
+    if (doc[key] !== undefined && !isPositive(doc[key])) issues.push(`${key}: must be a positive number`);
+  }
+  for (const key of ['minRequests', 'maxPaths']) {
+    if (doc.baseline?.[key] !== undefined && !(Number.isInteger(doc.baseline[key]) && doc.baseline[key] > 0)) issues.push(`baseline.${key}: must be a positive integer`);
+  }
+  (doc.sensitivity || []).forEach((tier, i) => {
+    if (!(Number.isInteger(tier?.tier) && tier.tier > 0)) issues.push(`sensitivity[${i}].tier: must be a positive integer`);
+    if (!Array.isArray(tier?.paths) || tier.paths.some(p => typeof p !== 'string' || !p.startsWith('/'))) {
+      issues.push(`sensitivity[${i}].paths: must be an array of path globs starting with "/"`);
+    }
+  });
+  for (const [name, s] of Object.entries(doc.signals || {})) {
+    const where = `signals.${name}`;
+    if (!SIGNALS.includes(name)) { issues.push(`${where}: unknown signal (use ${SIGNALS.join(', ')})`); continue; }
+    if (!s || typeof s !== 'object') { issues.push(`${where}: must be an object`); continue; }
+    if (s.enabled !== undefined && typeof s.enabled !== 'boolean') issues.push(`${where}.enabled: must be a boolean`);
+    if (s.weight !== undefined && !isRatio(s.weight)) issues.push(`${where}.weight: must be a number between 0 and 1`);
+    if (s.threshold !== undefined && !isRatio(s.threshold)) issues.push(`${where}.threshold: must be a number between 0 and 1`);
+    if (s.maxJitter !== undefined && !isPositive(s.maxJitter)) issues.push(`${where}.maxJitter: must be a positive number`);
+    for (const key of ['minRequests', 'minPerMinute', 'minTiers']) {
+      if (s[key] !== undefined && !(Number.isInteger(s[key]) && s[key] > 0)) issues.push(`${where}.${key}: must be a positive integer`);
+    }
+  }
+  return issues;
+}
+
+function loadBehaviorConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateBehaviorConfig(doc);
+  if (issues.length) throw new Error(`Invalid behavior config ${file}:\n  - ${issues.join('\n  - ')}`);
+  const signals = {};
+  for (const name of SIGNALS) {
+    const s = { enabled: true, ...DEFAULT_BEHAVIOR.signals[name], ...(doc.signals || {})[name] };
+    if (s.enabled) signals[name] = s;
+  }
+  return {
+    enabled: doc.enabled ?? DEFAULT_BEHAVIOR.enabled,
+    keys: doc.keys || DEFAULT_BEHAVIOR.keys,
+    windowSec: doc.windowSec || DEFAULT_BEHAVIOR.windowSec,
+    maxProfiles: doc.maxProfiles || DEFAULT_BEHAVIOR.maxProfiles,
+    maxEvents: doc.maxEvents || DEFAULT_BEHAVIOR.maxEvents,
+    baseline: { ...DEFAULT_BEHAVIOR.baseline, ...doc.baseline },
+    sensitivity: doc.sensitivity || DEFAULT_BEHAVIOR.sensitivity,
+    signals
+  };
+}
+
+// Length of the longest strictly rising run of sensitivity tiers (not necessarily adjacent)
+// that ends with the last one, i.e. the request being scored
+function riseToLast(tiers) {
+  const best = new Map(); // tier → longest rising sequence ending there
+  for (const t of tiers) {
+    let before = 0;
+    for (const [tier, len] of best) if (tier < t && len > before) before = len;
+    best.set(t, Math.max(best.get(t) || 0, before + 1));
+  }
+  return tiers.length ? best.get(tiers[tiers.length - 1]) : 0;
+}
+
+const round = v => Number(v.toFixed(4));
+
+function createBehaviorProfiles(config = loadBehaviorConfig(null), { now: clock = Date.now } = {}) {
+  const profiles = new Map(); // `${key}:${value}` → { events, known, hours, total }; LRU order
+  const pending = new Map();  // block index → events awaiting the upstream status
+  const windowMs = config.windowSec * 1000;
+  const tiers = config.sensitivity
+    .map(t => ({ tier: t.tier, regexes: t.paths.map(globToRegExp) }))
+    .sort((a, b) => b.tier - a.tier);
+
+  function tierOf(reqPath) {
+    const normalized = normalizeRequestPath(reqPath);
+    const hit = tiers.find(t => t.regexes.some(re => re.test(normalized)));
+    return hit ? hit.tier : 0;
+  }
+
+  function profileIds(client) {
+    const ids = [];
+    if (config.keys.includes('ip') && client.ip) ids.push(`ip:${client.ip}`);
+    if (config.keys.includes('userId') && client.userId && client.userId !== 'anonymous') ids.push(`userId:${client.userId}`);
+    return ids;
+  }
+
+  function prune(profile, at) {
+    let drop = 0;
+    while (drop < profile.events.length && at - profile.events[drop].at > windowMs) drop++;
+    if (drop) profile.events.splice(0, drop);
+    if (profile.events.length > config.maxEvents) profile.events.splice(0, profile.events.length - config.maxEvents);
+  }
+
+  function record(id, event) {
+    const profile = profiles.get(id) || { events: [], known: new Map(), hours: new Array(24).fill(0), total: 0 };
+    profiles.delete(id); // re-insert as most recently used
+    profile.events.push(event);
+    prune(profile, event.at);
+    if (!profile.known.has(event.path)) {
+      profile.known.set(event.path, event.at);
+      if (profile.known.size > config.baseline.maxPaths) profile.known.delete(profile.known.keys().next().value);
+    }
+    profile.hours[new Date(event.at).getHours()]++;
+    profile.total++;
+    profiles.set(id, profile);
+    while (profiles.size > config.maxProfiles) profiles.delete(profiles.keys().next().value);
+  }
+
+  // Audit stream consumer: one traffic decision per request (admin events, bans and stream
+  // sessions carry a `type`; a failed proxy attempt re-appends its decision with an `error`)
+  function observe(block) {
+    if (!config.enabled || block.type || block.error || !block.context?.ip) return;
+    const at = new Date(block.time).getTime() || clock();
+    const reqPath = block.targetPath || block.context.path;
+    const events = profileIds(block.context).map(id => {
+      const event = {
+        at,
+        path: normalizeRequestPath(reqPath),
+        tier: tierOf(reqPath),
+        error: block.decision?.allow === false || block.statusCode >= 400
+      };
+      record(id, event);
+      return event;
+    });
+    // Allowed requests learn their status once the backend answers. WebSocket handshakes
+    // are left out: their outcome is only known when the session ends (stream_session)
+    const websocket = block.stream?.protocol === 'websocket';
+    if (events.length && !websocket && block.decision?.allow !== false && block.statusCode === undefined) {
+      pending.set(block.index, events);
+      if (pending.size > 10000) pending.delete(pending.keys().next().value);
+    }
+  }
+
+  function observeResponse(blockIndex, status) {
+    const events = pending.get(blockIndex);
+    if (!events) return;
+    pending.delete(blockIndex);
+    if (status >= 400) events.forEach(e => { e.error = true; });
+  }
+
+  // Signals for one profile, counting the request being scored as the latest event
+  function analyze(profile, current, now) {
+    prune(profile, now);
+    const events = [...profile.events, { at: now, path: current.path, tier: current.tier, error: false }];
+    const n = events.length;
+    const fired = [];
+    const s = config.signals;
+    const fire = (name, value, detail) => fired.push({ name, weight: s[name].weight, value: round(value), ...detail });
+
+    if (s.path_diversity && n >= s.path_diversity.minRequests) {
+      const ratio = new Set(events.map(e => e.path)).size / n;
+      if (ratio >= s.path_diversity.threshold) fire('path_diversity', ratio, { threshold: s.path_diversity.threshold });
+    }
+    // The current request's outcome is unknown yet, so it is left out of the ratio
+    if (s.error_ratio && n - 1 >= s.error_ratio.minRequests) {
+      const ratio = profile.events.filter(e => e.error).length / (n - 1);
+      if (ratio >= s.error_ratio.threshold) fire('error_ratio', ratio, { threshold: s.error_ratio.threshold });
+    }
+    if (s.cadence && n >= s.cadence.minRequests) {
+      const gaps = events.slice(1).map((e, i) => e.at - events[i].at);
+      const mean = gaps.reduce((sum, g) => sum + g, 0) / gaps.length;
+      const perMinute = mean > 0 ? 60000 / mean : Infinity;
+      const jitter = mean > 0 ? Math.sqrt(gaps.reduce((sum, g) => sum + (g - mean) ** 2, 0) / gaps.length) / mean : 0;
+      // Fast and metronome-regular: a script, not a person
+      if (perMinute >= s.cadence.minPerMinute && jitter <= s.cadence.maxJitter) {
+        fire('cadence', jitter, { perMinute: Number.isFinite(perMinute) ? round(perMinute) : null, maxJitter: s.cadence.maxJitter });
+      }
+    }
+    // New-path rate and time of day need a baseline from before this window
+    const baselineTotal = profile.total - profile.events.length;
+    if (s.new_path_rate && baselineTotal >= config.baseline.minRequests && n >= s.new_path_rate.minRequests) {
+      const windowStart = now - windowMs;
+      const isNew = e => !profile.known.has(e.path) || profile.known.get(e.path) >= windowStart;
+      const ratio = events.filter(isNew).length / n;
+      if (ratio >= s.new_path_rate.threshold) fire('new_path_rate', ratio, { threshold: s.new_path_rate.threshold });
+    }
+    if (s.time_of_day && baselineTotal >= config.baseline.minRequests) {
+      const hour = new Date(now).getHours();
+      const inWindow = profile.events.filter(e => new Date(e.at).getHours() === hour).length;
+      const share = (profile.hours[hour] - inWindow + 1) / (baselineTotal + 24); // Laplace-smoothed
+      if (share < s.time_of_day.threshold) fire('time_of_day', share, { hour, threshold: s.time_of_day.threshold });
+    }
+    if (s.sensitivity_escalation && tiers.length) {
+      // Only the request that climbs to the new tier is flagged, not everything after it
+      const rise = riseToLast(events.map(e => e.tier));
+      if (rise >= s.sensitivity_escalation.minTiers) {
+        fire('sensitivity_escalation', rise, { tiers: [...new Set(events.map(e => e.tier))].sort((a, b) => a - b) });
+      }
+    }
+    return { requests: n, fired };
+  }
+
+  // Scorer entry point: { risk, reasons, signals, profiles, contributions }
+  function score(ctx, reqPath) {
+    if (!config.enabled) return { risk: 0.0, reasons: [] };
+    const now = clock();
+    const current = { path: normalizeRequestPath(reqPath), tier: tierOf(reqPath) };
+    const byName = new Map(); // strongest evidence per signal across the client's profiles
+    const summary = {};
+    for (const id of profileIds(ctx)) {
+      const profile = profiles.get(id);
+      if (!profile) continue;
+      const { requests, fired } = analyze(profile, current, now);
+      summary[id] = requests;
+      for (const signal of fired) if (!byName.has(signal.name)) byName.set(signal.name, { ...signal, profile: id });
+    }
+    const signals = [...byName.values()];
+    const risk = 1 - signals.reduce((keep, s) => keep * (1 - s.weight), 1);
+    return {
+      risk: round(risk),
+      reasons: signals.map(s => `behavior_${s.name}`),
+      signals,
+      profiles: summary,
+      // Combined as 1 - Π(1 - weight), so these do not add up to the risk
+      contributions: signals.map(s => ({ name: s.name, risk: s.weight }))
+    };
+  }
+
+  function describe() {
+    return {
+      enabled: config.enabled,
+      keys: config.keys,
+      windowSec: config.windowSec,
+      profiles: profiles.size,
+      maxProfiles: config.maxProfiles,
+      sensitivityTiers: config.sensitivity.length,
+      signals: Object.fromEntries(Object.entries(config.signals).map(([name, s]) => [name, s.weight]))
+    };
+  }
+
+  return { observe, observeResponse, score, describe };
+}
+
+module.exports = { SIGNALS, validateBehaviorConfig, loadBehaviorConfig, createBehaviorProfiles };
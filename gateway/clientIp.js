@@ -0,0 +1,161 @@
+const fs = require('fs');
+const { parseIp, parseCidr } = require('./ipLists');
+
+// Client IP resolution behind load balancers: X-Forwarded-For / Forwarded are only
+// believed when the socket peer (and each hop walked through) is a trusted proxy.
+// The chain is walked right to left; the first address that is not a trusted proxy
+// is the client. Forwarding headers from anyone else are ignored and flagged.
+const HEADER_MODES = ['auto', 'x-forwarded-for', 'forwarded'];
+const FORWARDING_HEADERS = [
+  'x-forwarded-for', 'forwarded', 'x-real-ip', 'x-forwarded-proto', 'x-forwarded-host', 'x-client-ip', 'true-client-ip'
+];
+
+function validateTrustedProxyConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.trustedProxies !== undefined && !Array.isArray(doc.trustedProxies)) issues.push('trustedProxies: must be an array');
+  (Array.isArray(doc.trustedProxies) ? doc.trustedProxies : []).forEach((c, i) => {
+    if (!parseCidr(c)) issues.push(`trustedProxies[${i}]: "${c}" is not an IPv4/IPv6 address or CIDR`);
+  });
+  if (doc.header !== undefined && !HEADER_MODES.includes(doc.header)) issues.push(`header: must be one of ${HEADER_MODES.join(', ')}`);
+  if (doc.maxHops !== undefined && !(Number.isInteger(doc.maxHops) && doc.maxHops > 0)) issues.push('maxHops: must be a positive integer');
+  return issues;
+}
+
+function loadTrustedProxyConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateTrustedProxyConfig(doc);
+  if (issues.length) throw new Error(`Invalid trusted proxy config ${file}:\n  - ${issues.join('\n  - ')}`);
+  return { trustedProxies: doc.trustedProxies || [], header: doc.header || 'auto', maxHops: doc.maxHops || 10 };
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// "203.0.113.7", " 2001:db8::1 " → address, or null when it is not an IP
+function cleanAddress(value) {
+  const s = String(value || '').trim();
+  return parseIp(s) ? normalizeIp(s) : null;
+}
+
+// Splits on `sep` outside double quotes
+function splitUnquoted(value, sep) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of value) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === sep && !quoted) { parts.push(current); current = ''; } else current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// RFC 7239 node: 192.0.2.60 | "192.0.2.60:8080" | "[2001:db8::17]:4711" | unknown | _hidden
+function forwardedNode(value) {
+  let s = String(value || '').trim().replace(/^"(.*)"$/, '$1');
+  const bracketed = s.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) s = bracketed[1];
+  else if (/^[\d.]+:\d+$/.test(s)) s = s.replace(/:\d+$/, '');
+  return cleanAddress(s) ? { address: cleanAddress(s) } : { address: null, raw: s };
+}
+
+// → [{ address, raw?, proto? }] in order, client side first
+function parseForwarded(header) {
+  return splitUnquoted(String(header), ',').map(element => {
+    const params = {};
+    for (const pair of splitUnquoted(element, ';')) {
+      const eq = pair.indexOf('=');
+      if (eq > 0) params[pair.slice(0, eq).trim().toLowerCase()] = pair.slice(eq + 1).trim();
+    }
+    const node = forwardedNode(params.for);
+    const proto = params.proto?.replace(/^"(.*)"$/, '$1').toLowerCase();
+    return { ...node, ...(proto ? { proto } : {}) };
+  });
+}
+
+function parseXForwardedFor(header) {
+  return String(header).split(',').map(s => s.trim()).filter(Boolean).map(s => {
+    const address = cleanAddress(s);
+    return address ? { address } : { address: null, raw: s };
+  });
+}
+
+function firstValue(header) {
+  return header === undefined ? null : String(header).split(',')[0].trim().toLowerCase() || null;
+}
+
+function createClientIpResolver(config = loadTrustedProxyConfig(null)) {
+  const trusted = config.trustedProxies.map(parseCidr);
+
+  function isTrusted(ip) {
+    const parsed = parseIp(ip);
+    return Boolean(parsed) && trusted.some(c => c.family === parsed.family && parsed.value >= c.start && parsed.value <= c.end);
+  }
+
+  // → { ip, peer, peerTrusted, chain, trustedHops, proto, source, spoofed, malformed }
+  function resolve(req) {
+    const peer = normalizeIp(req.socket.remoteAddress);
+    const socketProto = req.socket.encrypted ? 'https' : 'http';
+    const present = FORWARDING_HEADERS.filter(h => req.headers[h] !== undefined);
+    const result = {
+      ip: peer,
+      peer,
+      peerTrusted: isTrusted(peer),
+      chain: [peer],
+      trustedHops: 0,
+      proto: socketProto,
+      source: 'socket',
+      spoofed: [],
+      malformed: []
+    };
+
+    if (!result.peerTrusted) {
+      result.spoofed = present;
+      return result;
+    }
+
+    const useForwarded = config.header === 'forwarded' || (config.header === 'auto' && req.headers.forwarded !== undefined);
+    const header = useForwarded ? 'forwarded' : 'x-forwarded-for';
+    if (req.headers[header] === undefined) return result;
+    const hops = (useForwarded ? parseForwarded(req.headers.forwarded) : parseXForwardedFor(req.headers['x-forwarded-for']))
+      .slice(-config.maxHops);
+    result.source = header;
+    result.chain = [...hops.map(h => h.address || h.raw), peer];
+
+    // Walk right to left through trusted proxies; stop at the first client (or unusable) hop
+    let clientHop = null;
+    result.trustedHops = 1;
+    for (let i = hops.length - 1; i >= 0; i--) {
+      const hop = hops[i];
+      if (!hop.address) {
+        result.malformed.push(hop.raw);
+        break;
+      }
+      clientHop = hop;
+      if (!isTrusted(hop.address)) break;
+      result.trustedHops++;
+    }
+    if (clientHop) result.ip = clientHop.address;
+
+    const proto = useForwarded ? (clientHop?.proto || hops[0]?.proto) : firstValue(req.headers['x-forwarded-proto']);
+    if (proto === 'http' || proto === 'https') result.proto = proto;
+    return result;
+  }
+
+  function describe() {
+    return { trustedProxies: config.trustedProxies, header: config.header, maxHops: config.maxHops };
+  }
+
+  return { resolve, isTrusted, describe };
+}
+
+module.exports = {
+  FORWARDING_HEADERS,
+  validateTrustedProxyConfig,
+  loadTrustedProxyConfig,
+  parseForwarded,
+  parseXForwardedFor,
+  createClientIpResolver
+};
@@ -0,0 +1,117 @@
+// Decision breakdown for /admin/logs/:id: what decided the outcome, how much each scorer
+// (and each signal inside it) contributed, and how the final risk compared with the
+// thresholds. Built from what the block recorded at decision time; blocks written before
+// thresholds were recorded fall back to the current scoring config and say so.
+
+// Decisions refused before scoring carry these labels (see evaluateRequest)
+const PRE_SCORING = {
+  ip_denied: 'ip_deny_list',
+  banned: 'ban',
+  ratelimited: 'rate_limit',
+  auth_failed: 'authentication',
+  body_too_large: 'body_limit'
+};
+
+const round = v => (typeof v === 'number' ? Number(v.toFixed(4)) : v);
+
+function decidedBy(block) {
+  const dec = block.decision || {};
+  if (block.type) return block.type;
+  if (PRE_SCORING[dec.label]) return PRE_SCORING[dec.label];
+  if (dec.rbac === false) return 'rbac';
+  if (dec.allow === false && dec.vetoedBy?.length) return 'veto';
+  if (dec.allow === false) return 'risk_threshold';
+  if (dec.riskOverriddenBy) return 'ip_allow_list';
+  if (block.upstream?.error) return 'upstream';
+  return 'risk_threshold';
+}
+
+function summarize(block, by, thresholds) {
+  const dec = block.decision || {};
+  const risk = round(dec.risk ?? 0);
+  switch (by) {
+    case 'ip_deny_list': return `Refused: client IP matched deny list entry ${block.context?.ipList?.match}`;
+    case 'ban': return `Refused: client banned (${block.ban?.id || 'unknown ban'})`;
+    case 'rate_limit': return `Refused: rate limit ${block.rateLimit?.rule || ''} exceeded`.trim();
+    case 'authentication': return `Refused: authentication failed (${block.auth?.failure || 'unknown'})`;
+    case 'body_limit': return `Refused: request body over the ${block.body?.limit ?? 'configured'} byte limit`;
+    case 'rbac': return `Refused by RBAC rule ${dec.rbacRule}`;
+    case 'veto': return `Refused: ${dec.vetoedBy.join(', ')} reached its veto threshold`;
+    case 'ip_allow_list': return `Allowed: risk ${risk} would block, but the client IP is allow-listed (${dec.riskOverriddenBy})`;
+    case 'upstream': return `Allowed by the firewall; upstream ${block.upstream.error === 'no_route' ? 'route not found' : 'unavailable'}`;
+    case 'risk_threshold':
+      return dec.allow === false
+        ? `Refused: risk ${risk} ≥ block threshold ${thresholds.block}`
+        : `Allowed: risk ${risk} < block threshold ${thresholds.block}`;
+    default: return `${by} event`;
+  }
+}
+
+function explainScorers(scorers = []) {
+  return scorers.map(s => ({
+    scorer: s.name,
+    risk: round(s.risk),
+    weight: s.weight,
+    weighted: round(s.weight * s.risk),
+    share: s.share ?? null, // null: recorded before shares were
+    label: s.label,
+    vetoed: Boolean(s.vetoed),
+    ...(s.unavailable ? { unavailable: true } : {}),
+    ...(s.error ? { error: s.error } : {}),
+    reasons: s.reasons || [],
+    signals: (s.contributions || []).map(c => ({ ...c, risk: round(c.risk) }))
+  }));
+}
+
+// `currentThresholds`: the scoring config now, for blocks that did not record their own
+function explainDecision(block, { currentThresholds }) {
+  const dec = block.decision || {};
+  const thresholds = dec.thresholds || currentThresholds;
+  const by = decidedBy(block);
+  const risk = round(dec.risk ?? 0);
+  const scored = Array.isArray(dec.scorers);
+
+  return {
+    index: block.index,
+    hash: block.hash,
+    prevHash: block.prevHash,
+    time: block.time,
+    type: block.type || 'firewall_decision',
+    context: block.context || {},
+    auth: block.auth || null,
+    outcome: {
+      allowed: dec.allow !== false,
+      statusCode: block.statusCode ?? null,
+      decidedBy: by,
+      summary: summarize(block, by, thresholds)
+    },
+    risk: {
+      final: risk,
+      label: dec.label || null,
+      strategy: dec.strategy || null,
+      scored,
+      thresholds,
+      thresholdsSource: dec.thresholds ? 'recorded' : 'current_config',
+      block: {
+        threshold: thresholds.block,
+        reached: risk >= thresholds.block,
+        margin: round(risk - thresholds.block)
+      },
+      vetoedBy: dec.vetoedBy || [],
+      overriddenBy: dec.riskOverriddenBy || null
+    },
+    contributions: explainScorers(dec.scorers),
+    rbac: dec.rbac === undefined ? null : { allowed: dec.rbac, ruleId: dec.rbacRule ?? null },
+    ml: block.ml ? { risk: round(block.mlRisk ?? null), ...block.ml } : null,
+    tls: block.tls || null,
+    waf: block.waf || null,
+    behavior: block.behavior || null,
+    rateLimit: block.rateLimit || null,
+    ban: block.ban || null,
+    upstream: block.upstream || null,
+    reasons: block.reasons || dec.reasons || [],
+    ...(block.error ? { error: block.error } : {})
+  };
+}
+
+module.exports = { decidedBy, explainDecision };
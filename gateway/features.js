@@ -0,0 +1,174 @@
+// Feature-vector contract between the gateway and the ML scorer (in-process model or
+// ml_server.py). Bump FEATURE_SCHEMA_VERSION whenever a feature is added, removed or
+// changes meaning; the version is sent with every vector and stored in the audit log,
+// so training data can be matched to the gateway that produced it.
+// `npm run feature-schema` writes this schema to ml/feature_schema.json for the Python side.
+const FEATURE_SCHEMA_VERSION = 2;
+
+const HISTORY_WINDOW_MS = 10 * 60 * 1000;
+const HISTORY_MAX_EVENTS = 1000;   // per client
+const HISTORY_MAX_CLIENTS = 20000; // LRU beyond this
+
+// v1 was the first six fields (method .. risk_rule); v2 keeps their names and meaning
+const FEATURE_SCHEMA = [
+  { name: 'method', type: 'categorical', group: 'request', description: 'HTTP method' },
+  { name: 'path', type: 'categorical', group: 'request', description: 'request path, without /fw and the query string' },
+  { name: 'role', type: 'categorical', group: 'identity', description: 'authenticated role (guest when anonymous)' },
+  { name: 'userId', type: 'categorical', group: 'identity', description: 'authenticated user id (anonymous when none)' },
+  { name: 'userAgent', type: 'categorical', group: 'request', description: 'User-Agent header' },
+  { name: 'risk_rule', type: 'numeric', group: 'score', description: 'rule engine risk, 0-1' },
+
+  { name: 'auth_method', type: 'categorical', group: 'identity', description: 'jwt, api_key, mtls or none' },
+  { name: 'country', type: 'categorical', group: 'identity', description: 'GeoIP country of the client IP (unknown when not resolved)' },
+
+  { name: 'header_count', type: 'numeric', group: 'request', description: 'number of request headers' },
+  { name: 'header_bytes', type: 'numeric', group: 'request', description: 'total length of header names and values' },
+  { name: 'cookie_count', type: 'numeric', group: 'request', description: 'cookies in the Cookie header' },
+  { name: 'query_param_count', type: 'numeric', group: 'request', description: 'query string parameters' },
+  { name: 'path_depth', type: 'numeric', group: 'request', description: 'non-empty path segments' },
+  { name: 'path_length', type: 'numeric', group: 'request', description: 'path length in characters' },
+  { name: 'body_bytes', type: 'numeric', group: 'request', description: 'request body size (Content-Length when the body is not buffered)' },
+
+  { name: 'ja3_hash', type: 'categorical', group: 'tls', description: 'JA3 hash of the ClientHello (none when missing)' },
+  { name: 'ja4', type: 'categorical', group: 'tls', description: 'JA4 fingerprint (none when missing)' },
+  { name: 'tls_client', type: 'categorical', group: 'tls', description: 'known TLS client id from fingerprints.json (unknown when unmatched)' },
+  { name: 'tls_client_category', type: 'categorical', group: 'tls', description: 'browser, library, tool, bot, malware or unknown' },
+  { name: 'ja3_bot_score', type: 'numeric', group: 'tls', description: 'fingerprint bot score, 0-1' },
+  { name: 'tls_signals_count', type: 'numeric', group: 'tls', description: 'number of TLS / User-Agent bot signals' },
+  { name: 'tls_version', type: 'categorical', group: 'tls', description: 'negotiated protocol, e.g. TLSv1.3' },
+  { name: 'tls_cipher', type: 'categorical', group: 'tls', description: 'negotiated cipher suite' },
+  { name: 'tls_issuer', type: 'categorical', group: 'tls', description: 'client certificate issuer CN (unknown without mTLS)' },
+
+  { name: 'client_requests_10s', type: 'numeric', group: 'history', description: 'earlier requests from this IP in the last 10 s' },
+  { name: 'client_requests_60s', type: 'numeric', group: 'history', description: 'earlier requests from this IP in the last 60 s' },
+  { name: 'client_distinct_paths_60s', type: 'numeric', group: 'history', description: 'distinct paths this IP requested in the last 60 s' },
+  { name: 'client_blocked_10m', type: 'numeric', group: 'history', description: 'requests from this IP refused in the last 10 min' },
+  { name: 'client_avg_risk_10m', type: 'numeric', group: 'history', description: 'mean final risk of this IP\'s requests in the last 10 min (0 when none)' },
+  { name: 'client_seconds_since_last', type: 'numeric', group: 'history', description: 'seconds since this IP\'s previous request (-1 when none)' }
+];
+
+const FEATURE_NAMES = FEATURE_SCHEMA.map(f => f.name);
+
+// Recent decisions per client IP, fed from the audit stream (see createClientHistory().observe)
+function createClientHistory({ maxClients = HISTORY_MAX_CLIENTS } = {}) {
+  const clients = new Map(); // ip → [{ at, path, allow, risk }], oldest first
+
+  function prune(events, now) {
+    let drop = 0;
+    while (drop < events.length && now - events[drop].at > HISTORY_WINDOW_MS) drop++;
+    if (drop) events.splice(0, drop);
+    if (events.length > HISTORY_MAX_EVENTS) events.splice(0, events.length - HISTORY_MAX_EVENTS);
+  }
+
+  function record(ip, event) {
+    const events = clients.get(ip) || [];
+    clients.delete(ip); // re-insert as most recently used
+    events.push(event);
+    prune(events, event.at);
+    clients.set(ip, events);
+    while (clients.size > maxClients) clients.delete(clients.keys().next().value);
+  }
+
+  // One traffic decision per request: admin events, bans and stream sessions carry a
+  // `type`, and a failed proxy attempt re-appends its decision with an `error`
+  function observe(block) {
+    if (block.type || block.error || !block.context?.ip) return;
+    record(block.context.ip, {
+      at: new Date(block.time || block.timestamp).getTime() || Date.now(),
+      path: block.targetPath || block.context.path,
+      allow: block.decision?.allow !== false,
+      risk: Number(block.decision?.risk) || 0
+    });
+  }
+
+  function snapshot(ip, now = Date.now()) {
+    const events = clients.get(ip) || [];
+    prune(events, now);
+    const within = ms => events.filter(e => now - e.at <= ms);
+    const last10s = within(10 * 1000);
+    const last60s = within(60 * 1000);
+    const last = events[events.length - 1];
+    return {
+      client_requests_10s: last10s.length,
+      client_requests_60s: last60s.length,
+      client_distinct_paths_60s: new Set(last60s.map(e => e.path)).size,
+      client_blocked_10m: events.filter(e => !e.allow).length,
+      client_avg_risk_10m: events.length ? Number((events.reduce((sum, e) => sum + e.risk, 0) / events.length).toFixed(4)) : 0,
+      client_seconds_since_last: last ? Number(((now - last.at) / 1000).toFixed(3)) : -1
+    };
+  }
+
+  return { observe, snapshot, describe: () => ({ clients: clients.size, maxClients, windowSec: HISTORY_WINDOW_MS / 1000 }) };
+}
+
+function headerStats(req) {
+  const raw = req.rawHeaders || [];
+  return {
+    header_count: raw.length / 2,
+    header_bytes: raw.reduce((sum, part) => sum + String(part).length, 0),
+    cookie_count: req.headers.cookie ? req.headers.cookie.split(';').filter(c => c.trim()).length : 0
+  };
+}
+
+function bodyBytes(req) {
+  if (Buffer.isBuffer(req.body)) return req.body.length;
+  const declared = Number(req.headers['content-length']);
+  return Number.isFinite(declared) && declared > 0 ? declared : 0;
+}
+
+// Builds the vector for one request: { schemaVersion, values } with every schema field set
+function buildFeatureVector({ req, ctx, ruleRisk = 0, history = null }) {
+  const fp = req.tlsFingerprint || {};
+  const url = new URL(req.originalUrl || req.url, 'https://gateway.local');
+  const values = {
+    method: ctx.method,
+    path: ctx.path,
+    role: ctx.role,
+    userId: ctx.userId,
+    userAgent: ctx.userAgent,
+    risk_rule: ruleRisk,
+
+    auth_method: ctx.authMethod || 'none',
+    country: ctx.country || 'unknown',
+
+    ...headerStats(req),
+    query_param_count: [...url.searchParams.keys()].length,
+    path_depth: ctx.path.split('/').filter(Boolean).length,
+    path_length: ctx.path.length,
+    body_bytes: bodyBytes(req),
+
+    ja3_hash: fp.ja3 || 'none',
+    ja4: fp.ja4 || 'none',
+    tls_client: fp.match?.id || 'unknown',
+    tls_client_category: fp.match?.category || 'unknown',
+    ja3_bot_score: fp.botScore || 0.0,
+    tls_signals_count: fp.signals?.length || 0,
+    tls_version: fp.tlsInfo?.version || 'unknown',
+    tls_cipher: fp.tlsInfo?.cipher || 'unknown',
+    tls_issuer: fp.tlsInfo?.issuer || 'unknown',
+
+    ...(history ? history.snapshot(ctx.ip) : {
+      client_requests_10s: 0,
+      client_requests_60s: 0,
+      client_distinct_paths_60s: 0,
+      client_blocked_10m: 0,
+      client_avg_risk_10m: 0,
+      client_seconds_since_last: -1
+    })
+  };
+  // Schema order, so the stored vectors line up column for column
+  return { schemaVersion: FEATURE_SCHEMA_VERSION, values: Object.fromEntries(FEATURE_NAMES.map(name => [name, values[name]])) };
+}
+
+function describeSchema() {
+  return { version: FEATURE_SCHEMA_VERSION, features: FEATURE_SCHEMA };
+}
+
+module.exports = {
+  FEATURE_SCHEMA_VERSION,
+  FEATURE_SCHEMA,
+  FEATURE_NAMES,
+  createClientHistory,
+  buildFeatureVector,
+  describeSchema
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { trackClientHellos } = require('read-tls-client-hello');
+
+// TLS client fingerprinting: the ClientHello of every connection is parsed before
+// the handshake (read-tls-client-hello), hashed as JA3 and JA4, and looked up in a
+// local database of known browsers, tools and bots that feeds the TLS botScore.
+const CATEGORIES = ['browser', 'library', 'tool', 'bot', 'malware'];
+
+// Default botScore contribution per category when an entry has no explicit score
+const CATEGORY_SCORES = { browser: 0.0, library: 0.25, tool: 0.35, bot: 0.6, malware: 0.9 };
+
+// Cipher suites nobody modern should offer: NULL / EXPORT, RC4, 3DES
+const LEGACY_CIPHERS = new Set([0x0000, 0x0001, 0x0002, 0x0003, 0x0004, 0x0005, 0x0006, 0x000a, 0x0016, 0xc007, 0xc008, 0xc011, 0xc012]);
+
+const BROWSER_UA = /mozilla\/5\.0 .*(chrome|firefox|safari|edg)\//i;
+const SCRIPTED_UA = ['curl', 'python-urllib', 'python-requests', 'wget', 'node-fetch', 'go-http-client', 'okhttp'];
+
+function validateFingerprintDb(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.fingerprints)) return ['fingerprints: must be an array'];
+  const ids = new Set();
+  doc.fingerprints.forEach((fp, i) => {
+    const where = `fingerprints[${i}]`;
+    if (!fp || typeof fp !== 'object') { issues.push(`${where}: must be an object`); return; }
+    if (!fp.id) issues.push(`${where}.id: required`);
+    else if (ids.has(fp.id)) issues.push(`${where}.id: duplicate id "${fp.id}"`);
+    ids.add(fp.id);
+    if (!CATEGORIES.includes(fp.category)) issues.push(`${where}.category: must be one of ${CATEGORIES.join(', ')}`);
+    if (!fp.ja3 && !fp.ja4) issues.push(`${where}: needs a ja3 or ja4 value`);
+    if (fp.ja3 !== undefined && !/^[0-9a-f]{32}$/.test(fp.ja3)) issues.push(`${where}.ja3: must be a 32-char hex MD5`);
+    if (fp.ja4 !== undefined && !/^[tqd][0-9a-z ]{2}[di][0-9]{4}[0-9a-z]{2}_[0-9a-f]{12}_[0-9a-f]{12}$/.test(fp.ja4)) {
+      issues.push(`${where}.ja4: must look like t13d1516h2_8daaf6152771_02713d6af862`);
+    }
+    if (fp.score !== undefined && !(typeof fp.score === 'number' && fp.score >= 0 && fp.score <= 1)) {
+      issues.push(`${where}.score: must be a number between 0 and 1`);
+    }
+  });
+  return issues;
+}
+
+function loadFingerprintDb(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { fingerprints: [] };
+  const issues = validateFingerprintDb(doc);
+  if (issues.length) throw new Error(`Invalid fingerprint database ${file}:\n  - ${issues.join('\n  - ')}`);
+  return doc;
+}
+
+// "771,4865-4866-...,0-11-10-...,29-23-24,0" — the string JA3 hashes, kept for DB authors
+function ja3String(fingerprintData) {
+  return fingerprintData.slice(0, 5).map(part => [].concat(part).join('-')).join(',');
+}
+
+function createFingerprinter(db) {
+  const byJa3 = new Map();
+  const byJa4 = new Map();
+  for (const fp of db.fingerprints) {
+    const entry = { ...fp, score: fp.score ?? CATEGORY_SCORES[fp.category] };
+    if (fp.ja3) byJa3.set(fp.ja3, entry);
+    if (fp.ja4) byJa4.set(fp.ja4, entry);
+  }
+  const stats = { matched: 0, unmatched: 0, missing: 0 };  // requests, by lookup outcome
+
+  // JA4 is stable across extension-order randomisation, so it wins when both match
+  function lookup(ja3, ja4) {
+    const hit = (ja4 && byJa4.get(ja4)) || (ja3 && byJa3.get(ja3));
+    return hit ? { id: hit.id, name: hit.name, category: hit.category, score: hit.score, by: byJa4.get(ja4) === hit ? 'ja4' : 'ja3' } : null;
+  }
+
+  // Sets req.tlsFingerprint = { ja3, ja4, ja3String, match, botScore, signals, tlsInfo }
+  function fingerprint(req) {
+    const socket = req.socket;
+    const hello = socket.tlsClientHello;
+    const peerCert = socket.getPeerCertificate ? socket.getPeerCertificate(false) || {} : {};
+    const tlsInfo = {
+      version: (socket.getProtocol && socket.getProtocol()) || 'unknown',
+      cipher: (socket.getCipher && socket.getCipher()?.name) || 'unknown',
+      sni: socket.servername || hello?.serverName || 'none',
+      alpn: hello?.alpnProtocols || [],
+      issuer: peerCert.issuer?.CN || 'unknown',
+      subject: peerCert.subject?.CN || 'unknown'
+    };
+
+    const signals = [];
+    let botScore = 0.0;
+    const add = (signal, score) => { signals.push(signal); botScore += score; };
+
+    const ua = String(req.headers['user-agent'] || '');
+    const scriptedUa = SCRIPTED_UA.some(s => ua.toLowerCase().includes(s));
+    if (scriptedUa) add('scripted_ua', 0.35);
+
+    const match = hello ? lookup(hello.ja3, hello.ja4) : null;
+    if (!hello) {
+      stats.missing++;
+      add('no_client_hello', 0.10);
+    } else if (match) {
+      stats.matched++;
+      // A tool that admits what it is in its User-Agent is already counted above
+      if (match.category !== 'browser') add(`fp_${match.category}:${match.id}`, scriptedUa ? 0.0 : match.score);
+      // A browser User-Agent over a non-browser TLS stack is a classic bot tell
+      if (match.category !== 'browser' && BROWSER_UA.test(ua)) add('ua_fingerprint_mismatch', 0.30);
+    } else {
+      stats.unmatched++;
+    }
+
+    if (hello && hello.fingerprintData[1].some(c => LEGACY_CIPHERS.has(c))) add('legacy_ciphers_offered', 0.20);
+    if (/RC4|CBC|3DES/.test(tlsInfo.cipher)) add('weak_cipher', 0.25);
+    if (hello && !hello.serverName) add('no_sni', 0.10);
+    if (tlsInfo.sni === 'localhost' || tlsInfo.sni === '127.0.0.1') add('local_sni', 0.10);
+
+    req.tlsFingerprint = {
+      ja3: hello?.ja3 || null,
+      ja4: hello?.ja4 || null,
+      ja3String: hello ? ja3String(hello.fingerprintData) : null,
+      match,
+      botScore: Math.min(botScore, 1.0),
+      signals,
+      tlsInfo
+    };
+    return req.tlsFingerprint;
+  }
+
+  function describe() {
+    const counts = {};
+    for (const fp of db.fingerprints) counts[fp.category] = (counts[fp.category] || 0) + 1;
+    return { entries: db.fingerprints.length, categories: counts, ...stats };
+  }
+
+  return { fingerprint, lookup, describe };
+}
+
+// trackClientHellos(server) is re-exported so index.js has one place to wire fingerprinting from
+module.exports = { CATEGORIES, validateFingerprintDb, loadFingerprintDb, ja3String, createFingerprinter, trackClientHellos };
@@ -1,15 +1,83 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const fs = require('fs');
 const pem = require('pem');
 const https = require('https');
+const path = require('path');
+const { createChainVerifier, verifyChain } = require('./auditChain');
+const { createAuditStore } = require('./auditStore');
+const { parseLogQuery, matchesLogFilters, queryLogs } = require('./logQuery');
+const { createLogHub, createLogStreamEndpoints } = require('./logStream');
+const { createPolicyEngine } = require('./policy');
+const { createPolicyEndpoints } = require('./policyAdmin');
+const { loadBanConfig, createBanManager } = require('./bans');
+const { loadIpListConfig, createIpLists } = require('./ipLists');
+const { loadTrustedProxyConfig, createClientIpResolver } = require('./clientIp');
+const { createBanEndpoints } = require('./banAdmin');
+const { loadAlertConfig, createAlertEngine } = require('./alerts');
+const { createAlertEndpoints } = require('./alertAdmin');
+const { createLabelStore } = require('./labels');
+const { createLabelEndpoints } = require('./labelAdmin');
+const { explainDecision } = require('./explain');
+const { createAuthenticator } = require('./auth');
+const { createMtls } = require('./mtls');
+const { createAdminAuth } = require('./adminAuth');
+const { inspectRequest } = require('./waf');
+const { loadScoringConfig, createScoringPipeline } = require('./scoring');
+const { loadMlConfig, createMlScorer } = require('./mlScorer');
+const { loadBehaviorConfig, createBehaviorProfiles } = require('./behavior');
+const { FEATURE_SCHEMA_VERSION, FEATURE_NAMES, createClientHistory, buildFeatureVector } = require('./features');
+const { loadRateLimitConfig, createRateLimiter, rateLimitHeaders, setRateLimitHeaders } = require('./rateLimit');
+const { loadUpstreamConfig, createUpstreamRouter } = require('./upstreams');
+const { stripHopByHop, forwardedHeaders, proxyRequest } = require('./proxy');
+const { proxyWebSocket, rejectUpgrade } = require('./wsProxy');
+const { loadFingerprintDb, createFingerprinter, trackClientHellos } = require('./fingerprint');
 
-// Shared global logs
-let auditLogs = [];
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 20;
+// Audit log storage (hash-linked NDJSON segments on disk)
+const AUDIT_DIR = process.env.NGFW_AUDIT_DIR || path.join(__dirname, 'db', 'audit');
+const AUDIT_SEGMENT_MAX_BYTES = Number(process.env.NGFW_AUDIT_SEGMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const AUDIT_SEGMENT_MAX_AGE = (Number(process.env.NGFW_AUDIT_SEGMENT_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+const AUDIT_MAX_SEGMENTS = Number(process.env.NGFW_AUDIT_MAX_SEGMENTS) || 20;
+const AUDIT_RETENTION = (Number(process.env.NGFW_AUDIT_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const AUDIT_MEMORY_WINDOW = Number(process.env.NGFW_AUDIT_MEMORY_WINDOW) || 10000;
+
+const POLICY_FILE = process.env.NGFW_POLICY_FILE || path.join(__dirname, 'policies.json');
+const AUTH_CONFIG_FILE = process.env.NGFW_AUTH_CONFIG || path.join(__dirname, 'auth.json');
+const ADMIN_USERS_FILE = process.env.NGFW_ADMIN_USERS || path.join(__dirname, 'admins.json');
+const SCORING_CONFIG_FILE = process.env.NGFW_SCORING_CONFIG || path.join(__dirname, 'scoring.json');
+const ML_CONFIG_FILE = process.env.NGFW_ML_CONFIG || path.join(__dirname, 'ml.json');
+const BEHAVIOR_CONFIG_FILE = process.env.NGFW_BEHAVIOR_CONFIG || path.join(__dirname, 'behavior.json');
+const RATE_LIMIT_CONFIG_FILE = process.env.NGFW_RATE_LIMIT_CONFIG || path.join(__dirname, 'ratelimit.json');
+const UPSTREAMS_CONFIG_FILE = process.env.NGFW_UPSTREAMS_CONFIG || path.join(__dirname, 'upstreams.json');
+const BANS_CONFIG_FILE = process.env.NGFW_BANS_CONFIG || path.join(__dirname, 'bans.json');
+const BANS_STATE_FILE = process.env.NGFW_BANS_STATE || path.join(__dirname, 'db', 'bans.json');
+const LABELS_STATE_FILE = process.env.NGFW_LABELS_STATE || path.join(__dirname, 'db', 'labels.json');
+const IP_LISTS_CONFIG_FILE = process.env.NGFW_IP_LISTS_CONFIG || path.join(__dirname, 'iplists.json');
+const TRUSTED_PROXIES_CONFIG_FILE = process.env.NGFW_TRUSTED_PROXIES_CONFIG || path.join(__dirname, 'trustedproxies.json');
+const ALERTS_CONFIG_FILE = process.env.NGFW_ALERTS_CONFIG || path.join(__dirname, 'alerts.json');
+const FINGERPRINT_DB_FILE = process.env.NGFW_FINGERPRINT_DB || path.join(__dirname, 'fingerprints.json');
+const PROXY_MAX_BODY = process.env.NGFW_PROXY_MAX_BODY || '10mb';
+const PROXY_TIMEOUT_MS = Number(process.env.NGFW_PROXY_TIMEOUT_MS) || 10000;
+
+let auditStore = null;
+const logHub = createLogHub();
+const clientHistory = createClientHistory();
+let policyEngine = null;
+let authenticator = null;
+let mtls = null;
+let adminAuth = null;
+let scoring = null;
+let mlScorer = null;
+let behavior = null;
+let rateLimiter = null;
+let upstreams = null;
+let fingerprinter = null;
+let bans = null;
+let ipLists = null;
+let clientIps = null;
+let alerts = null;
+let labels = null;
+let chainCheckpoint = { verified: null, valid: true, issues: [], verifiedAt: null };
 
 // Generate self-signed certs (one-time)
 async function ensureCerts() {
@@ -25,125 +93,214 @@ async function ensureCerts() {
   });
 }
 
-// Core functions
-function buildContext(req) {
-  return {
-    ip: req.socket.remoteAddress,
-    method: req.method,
-    path: req.path,
-    userAgent: req.headers['user-agent'] || 'unknown',
-    timestamp: new Date().toISOString(),
-    userId: req.headers['x-user-id'] || 'anonymous',
-    role: req.headers['x-user-role'] || 'guest'
-  };
+// Append an entry to the audit chain as a sealed block, and push it to live log streams
+function appendAudit(entry) {
+  const block = auditStore.append(entry);
+  logHub.publish(block);
+  return block;
 }
 
-async function checkRiskRule(ctx) {
-  let risk = 0.0;
-  const reasons = [];
-  if (!ctx.userId || ctx.userId === 'anonymous') { risk += 0.15; reasons.push('no_user_id'); }
-  if (ctx.path.startsWith('/admin')) { risk += 0.45; reasons.push('admin_path'); }
-  if (ctx.path.startsWith('/admin') && ctx.role === 'guest') { risk += 0.25; reasons.push('guest_on_admin_path'); }
-  if (ctx.path.startsWith('/honeypot')) { risk += 0.75; reasons.push('honeypot_path'); }
-  const label = risk >= 0.7 ? 'high_risk' : risk >= 0.35 ? 'medium_risk' : 'normal';
-  return { risk, label, reasons };
+// Admin actions and admin security events go into the same audit chain as traffic decisions
+const ADMIN_CHANGE_EVENTS = ['policy_change', 'ban_change', 'label_change'];
+
+function recordAdminEvent(req, type, fields, admin = req.admin) {
+  const identity = admin
+    ? { userId: admin.username, role: admin.role, method: 'admin_session' }
+    : { userId: 'anonymous', role: 'guest', method: 'none' };
+  const securityEvent = !ADMIN_CHANGE_EVENTS.includes(type);
+  return appendAudit({
+    time: new Date().toISOString(),
+    type,
+    context: buildContext(req, identity),
+    decision: { allow: !securityEvent, label: type, risk: securityEvent ? 1.0 : 0 },
+    ...fields
+  });
 }
 
-async function scoreWithML(ctx) {
-  try {
-    const res = await axios.post('http://localhost:5000/score', {
-      method: ctx.method, path: ctx.path, role: ctx.role,
-      userId: ctx.userId, userAgent: ctx.userAgent, risk_rule: ctx.risk_rule
-    }, { validateStatus: () => true });
-    return { ml_risk: res.data.ml_risk || 0.0, ml_label: res.data.ml_label || 'normal' };
-  } catch (err) {
-    console.error('ML service error:', err.message);
-    return { ml_risk: 0.0, ml_label: 'normal' };
-  }
+function recordPolicyChange(req, change) {
+  return recordAdminEvent(req, 'policy_change', {
+    change,
+    reasons: [`${change.action}: ${change.ruleId || change.role}`]
+  });
+}
+
+function recordBanChange(req, change) {
+  return recordAdminEvent(req, 'ban_change', {
+    change,
+    reasons: [`${change.action}: ${change.banId}`]
+  });
 }
 
-const RBAC = {
-  guest: { allow: ['/info'], deny: ['/admin', '/admin/secret', '/admin/*'] },
-  user: { allow: ['/info', '/profile'], deny: ['/admin', '/admin/*'] },
-  admin: { allow: ['*'], deny: [] }
-};
-
-function checkRBAC(role, pathReq) {
-  const rules = RBAC[role] || RBAC.guest;
-  if (pathReq.startsWith('/honeypot')) return false;
-  if (rules.allow.includes('*')) return true;
-  for (const d of rules.deny) {
-    if (pathReq.startsWith(d.replace('*', ''))) return false;
+function recordLabelChange(req, change) {
+  return recordAdminEvent(req, 'label_change', {
+    change,
+    reasons: [`${change.action}: block ${change.blockIndex}${change.after ? ` (${change.after.verdict})` : ''}`]
+  });
+}
+
+function recordSecurityEvent(req, type, details, admin) {
+  return recordAdminEvent(req, type, {
+    security: details,
+    reasons: [`${type}:${details.failure}`]
+  }, admin);
+}
+
+// Full tamper-check of every retained block on disk
+function verifyStoredChain() {
+  const verifier = createChainVerifier(auditStore.anchor());
+  auditStore.forEach(verifier.push);
+  return verifier.result();
+}
+
+// Recent in-memory window by default; scope=all scans every retained segment on disk
+function collectLogs(scope, filters) {
+  if (scope !== 'all') return auditStore.recent();
+  const matched = [];
+  auditStore.forEach(block => {
+    if (matchesLogFilters(block, filters)) matched.push(block);
+  });
+  return matched;
+}
+
+// Blocks by index (Map), from the in-memory window when possible, else from disk
+function findBlocks(indexes) {
+  const wanted = new Set(indexes);
+  const found = new Map();
+  for (const block of auditStore.recent()) {
+    if (wanted.has(block.index)) found.set(block.index, block);
   }
-  for (const a of rules.allow) {
-    if (pathReq.startsWith(a.replace('*', ''))) return true;
+  if (found.size < wanted.size) {
+    auditStore.forEach(block => {
+      if (wanted.has(block.index) && !found.has(block.index)) found.set(block.index, block);
+    });
   }
-  return false;
+  return found;
 }
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const ipData = rateLimitMap.get(ip) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
-  
-  // Reset window if expired
-  if (now > ipData.resetTime) {
-    ipData.count = 0;
-    ipData.resetTime = now + RATE_LIMIT_WINDOW;
+// Attaches the analyst's verdict (if any) to log entries for the dashboard
+function withFeedback(block) {
+  const feedback = labels.get(block);
+  return feedback ? { ...block, feedback } : block;
+}
+
+// Failed verifications raise a chain_invalid alert (cooldown-deduplicated)
+function reportChainIssues(issues, source) {
+  if (!issues.length) return;
+  alerts.signal('chain_invalid', { message: `${issues.length} integrity issue(s) found by ${source}`, issues: issues.slice(0, 5) });
+}
+
+// Incrementally verifies blocks appended since the last check
+function chainStatus() {
+  const recent = auditStore.recent();
+  let anchor = chainCheckpoint.verified;
+  let pending = anchor ? recent.filter(b => b.index > anchor.index) : recent;
+
+  // Window rolled past the checkpoint: verify what is cached, /verify-chain covers the rest
+  if (anchor && pending.length && pending[0].index > anchor.index + 1) {
+    anchor = pending[0];
+    pending = pending.slice(1);
   }
-  
-  ipData.count++;
-  rateLimitMap.set(ip, ipData);
-  
-  const exceeded = ipData.count > MAX_REQUESTS_PER_WINDOW;
+
+  const result = verifyChain(pending, anchor);
+  const head = auditStore.head();
+  chainCheckpoint = {
+    verified: head ? { index: head.index, hash: head.hash } : chainCheckpoint.verified,
+    valid: chainCheckpoint.valid && result.valid,
+    issues: [...chainCheckpoint.issues, ...result.issues],
+    verifiedAt: new Date().toISOString()
+  };
+  reportChainIssues(chainCheckpoint.issues, 'incremental check');
   return {
-    allowed: !exceeded,
-    remaining: MAX_REQUESTS_PER_WINDOW - ipData.count,
-    reset: Math.ceil((ipData.resetTime - now) / 1000)
+    valid: chainCheckpoint.valid,
+    length: head ? head.index + 1 : 0,
+    headIndex: head ? head.index : null,
+    headHash: head ? head.hash : result.headHash,
+    issueCount: chainCheckpoint.issues.length,
+    verifiedAt: chainCheckpoint.verifiedAt
   };
 }
 
-// TLS Inspection + Forwarding
-async function inspectAndForward(req, res) {
-  // if (!req.url.startsWith('/fw')) {
-  //   return res.status(404).json({ error: 'Use /fw/* endpoints only' });
-  // }
+// Core functions
+// Real client address, resolved once per request (forwarding headers only from trusted proxies)
+function clientAddress(req) {
+  if (!req.clientAddress) req.clientAddress = clientIps.resolve(req);
+  return req.clientAddress;
+}
 
-  const ctx = buildContext(req);
-  const rateLimit = checkRateLimit(ctx.ip);
-  if (!rateLimit.allowed) {
-    const entry = {
-      time: new Date().toISOString(),
-      context: ctx,
-      decision: { 
-        allow: false, 
-        risk: 1.0, 
-        label: 'ratelimited',
-        reasons: [`Rate limit exceeded: ${rateLimit.remaining < 0 ? 0 : rateLimit.remaining} remaining, resets in ${rateLimit.reset}s`]
+// Identity only ever comes from a verified credential (see auth.js)
+function buildContext(req, identity = { userId: 'anonymous', role: 'guest', method: 'none' }) {
+  const client = clientAddress(req);
+  const network = ipLists.check(client.ip);
+  return {
+    ip: client.ip,
+    country: network.country,
+    ipList: network.list ? { list: network.list, match: network.match } : null,
+    ...(client.source !== 'socket' || client.spoofed.length ? {
+      forwarding: {
+        peer: client.peer,
+        chain: client.chain,
+        trustedHops: client.trustedHops,
+        proto: client.proto,
+        source: client.source,
+        ...(client.spoofed.length ? { spoofed: client.spoofed } : {}),
+        ...(client.malformed.length ? { malformed: client.malformed } : {})
       }
-    };
-    auditLogs.push(entry);
-    return res.status(429).json({ 
-      error: 'Too Many Requests', 
-      rateLimit: { remaining: rateLimit.remaining, reset: rateLimit.reset }
-    });
-  }
-  const forwardPath = req.url.replace(/^\/fw/, '');
-  const target = 'https://localhost:9001' + forwardPath; 
+    } : {}),
+    method: req.method,
+    path: req.path,
+    userAgent: req.headers['user-agent'] || 'unknown',
+    timestamp: new Date().toISOString(),
+    userId: identity.userId,
+    role: identity.role,
+    authMethod: identity.method
+  };
+}
 
-  // TLS DPI rules
+async function checkRiskRule(ctx) {
+  const contributions = [];
+  const add = (name, risk) => contributions.push({ name, risk });
+  if (!ctx.userId || ctx.userId === 'anonymous') add('no_user_id', 0.15);
+  if (ctx.path.startsWith('/admin')) add('admin_path', 0.45);
+  if (ctx.path.startsWith('/admin') && ctx.role === 'guest') add('guest_on_admin_path', 0.25);
+  if (ctx.path.startsWith('/honeypot')) add('honeypot_path', 0.75);
+  return {
+    risk: contributions.reduce((sum, c) => sum + c.risk, 0.0),
+    reasons: contributions.map(c => c.name),
+    contributions
+  };
+}
+
+// TLS DPI rules
+function checkTlsRisk(req, ctx) {
   let tlsRisk = 0.0;
   const tlsReasons = [];
+  const contributions = [];
 
   // JA3 BOT SIGNALS (primary contributor)
   if (req.tlsFingerprint?.botScore) {
     tlsRisk += req.tlsFingerprint.botScore;  // Full botScore contribution
     tlsReasons.push(...req.tlsFingerprint.signals);
+    contributions.push({ name: 'ja3_bot_score', risk: req.tlsFingerprint.botScore, signals: req.tlsFingerprint.signals });
   }
 
-  // Protocol downgrade detection
-  if (req.headers['x-forwarded-proto'] !== 'https') {
+  // Protocol downgrade: a trusted proxy reports the client connected over plain HTTP
+  const client = clientAddress(req);
+  if (client.proto !== 'https') {
     tlsRisk += 0.20;
     tlsReasons.push('protocol_downgrade');
+    contributions.push({ name: 'protocol_downgrade', risk: 0.20 });
+  }
+
+  // Forwarding headers from a client that is not a trusted proxy are ignored, and suspicious
+  if (client.spoofed.length) {
+    tlsRisk += 0.25;
+    tlsReasons.push('spoofed_forwarding_headers');
+    contributions.push({ name: 'spoofed_forwarding_headers', risk: 0.25 });
+  }
+  if (client.malformed.length) {
+    tlsRisk += 0.10;
+    tlsReasons.push('malformed_forwarding_chain');
+    contributions.push({ name: 'malformed_forwarding_chain', risk: 0.10 });
   }
 
   // Weak cipher suites
@@ -153,6 +310,7 @@ async function inspectAndForward(req, res) {
       req.socket.getCipher().name.includes('3DES'))) {
     tlsRisk += 0.30;
     tlsReasons.push('weak_cipher_suite');
+    contributions.push({ name: 'weak_cipher_suite', risk: 0.30 });
   }
 
   // Suspicious User-Agent patterns (additional signal)
@@ -160,81 +318,400 @@ async function inspectAndForward(req, res) {
   if ((ua.includes('curl') || ua.includes('wget') || ua.includes('Python-urllib')) && ctx.role === 'guest') {
     tlsRisk += 0.15;
     tlsReasons.push('suspicious_ua');
+    contributions.push({ name: 'suspicious_ua', risk: 0.15 });
   }
 
   // Cap at 1.0
-  tlsRisk = Math.min(tlsRisk, 1.0);
-
-  const ruleDecision = await checkRiskRule(ctx);
-  const ml = await scoreWithML({
-    ...ctx,
-    risk_rule: ruleDecision.risk,
-    // JA3 + TLS Features
-    ja3_bot_score: req.tlsFingerprint?.botScore || 0.0,
-    ja3_hash: req.tlsFingerprint?.ja3Lite || '',
-    tls_signals_count: req.tlsFingerprint?.signals?.length || 0,
-    tls_cipher_strength: req.socket.getCipher()?.name || 'unknown',
-    tls_issuer: req.tlsFingerprint?.tlsInfo?.issuer || 'unknown'
+  return { risk: Math.min(tlsRisk, 1.0), reasons: tlsReasons, contributions };
+}
+
+// In-process model first, remote service as fallback (see mlScorer.js)
+async function scoreWithML(features) {
+  const ml = await mlScorer.score(features);
+  if (ml.status !== 'ok') {
+    if (ml.error !== 'circuit_open') console.error(`ML scoring ${ml.status}:`, ml.error);
+    alerts.signal('ml_unavailable', { message: `ML scoring ${ml.status}: ${ml.error}`, status: ml.status });
+  }
+  return ml;
+}
+
+// Risk scorers, in evaluation order (combined by scoring.js per NGFW_SCORING_CONFIG)
+function registerScorers(pipeline) {
+  pipeline.register({ name: 'rule', score: ({ ctx }) => checkRiskRule(ctx) });
+  pipeline.register({
+    name: 'ml',
+    score: async ({ req, ctx }, previous) => {
+      // Versioned feature vector (features.js): request, TLS and per-client history features
+      const features = buildFeatureVector({ req, ctx, ruleRisk: previous.rule?.risk ?? 0.0, history: clientHistory });
+      const ml = await scoreWithML(features);
+      return {
+        risk: ml.risk ?? 0.0,
+        reasons: [],
+        ml_label: ml.label || null,
+        ml_status: ml.status,
+        ml_source: ml.source,
+        latencyMs: ml.latencyMs,
+        features,
+        // An ML outage is recorded, not scored as zero risk
+        ...(ml.status !== 'ok' ? { unavailable: true, error: ml.error } : {})
+      };
+    }
   });
-  const finalRisk = Math.max(ruleDecision.risk, ml.ml_risk, tlsRisk);
-  const finalLabel = finalRisk >= 0.7 ? 'high_risk' : finalRisk >= 0.4 ? 'medium_risk' : 'normal';
-  const rbacAllowed = checkRBAC(ctx.role, forwardPath);
+  pipeline.register({ name: 'tls', score: ({ req, ctx }) => checkTlsRisk(req, ctx) });
+  pipeline.register({ name: 'waf', score: ({ req, ctx }) => inspectRequest(req, ctx.path) });
+  // Anomalies in the client's recent request history (behavior.js)
+  pipeline.register({ name: 'behavior', score: ({ ctx }) => behavior.score(ctx, ctx.path) });
+}
+
+// RBAC policy (declarative, hot-reloaded from NGFW_POLICY_FILE)
+function checkRBAC(role, method, pathReq) {
+  return policyEngine.evaluate(role, method, pathReq);
+}
+
+// Backend sees the verified identity, never the client's own identity headers or API key
+function forwardHeaders(req, ctx) {
+  const { host, 'x-api-key': apiKey, forwarded, 'x-real-ip': realIp, ...headers } = stripHopByHop(req.headers);
+  return {
+    ...headers,
+    ...forwardedHeaders(req, clientAddress(req)),
+    'x-user-id': ctx.userId,
+    'x-user-role': ctx.role
+  };
+}
+
+// Count an offence towards auto-bans; every ban it triggers gets its own audit block
+function recordOffence(trigger, ctx, evidence = {}) {
+  if (ctx.ipList?.list === 'allow') return [];
+  const issued = bans.record(trigger, { ip: ctx.ip, userId: ctx.userId, risk: evidence.risk }, {
+    method: ctx.method,
+    path: ctx.path,
+    ...evidence
+  });
+  for (const ban of issued) {
+    appendAudit({
+      time: new Date().toISOString(),
+      type: 'ban',
+      context: ctx,
+      decision: { allow: false, label: 'ban_issued', risk: 1.0 },
+      ban,
+      reasons: [`ban_issued:${ban.trigger}`]
+    });
+  }
+  return issued;
+}
+
+// Firewall decision for one /fw request — plain HTTP, SSE or a WebSocket handshake.
+// Appends the decision block and returns either a rejection to send or the upstream to use.
+async function evaluateRequest(req) {
+  const auth = authenticator.authenticate(req);
+  const ctx = buildContext(req, auth);
+  const authInfo = {
+    method: auth.method,
+    ok: auth.ok,
+    ...(auth.keyId ? { keyId: auth.keyId } : {}),
+    ...(auth.alg ? { alg: auth.alg } : {}),
+    ...(auth.identityRule ? { identityRule: auth.identityRule } : {}),
+    ...(auth.failure ? { failure: auth.failure } : {}),
+    ...(auth.detail ? { detail: auth.detail } : {}),
+    ...(auth.clientCert ? { clientCert: auth.clientCert } : {})
+  };
+  const forwardPath = req.url.replace(/^\/fw/, '') || '/';
+
+  // Static IP lists come first: deny-listed networks are refused outright, allow-listed
+  // ones skip bans, rate limits and risk blocking (authentication and RBAC still apply)
+  if (ctx.ipList?.list === 'deny') {
+    const reasons = [`ip_denied:${ctx.ipList.match}`];
+    appendAudit({
+      time: new Date().toISOString(),
+      context: ctx,
+      auth: authInfo,
+      decision: { allow: false, risk: 1.0, label: 'ip_denied', reasons },
+      targetPath: forwardPath,
+      statusCode: 403,
+      reasons
+    });
+    return { reject: { status: 403, body: { error: 'Access denied by IP list', match: ctx.ipList.match } } };
+  }
+  const trusted = ctx.ipList?.list === 'allow';
+
+  // Bans are enforced before rate limiting and scoring; a honeypot hit bans on contact
+  if (bans.isHoneypot(forwardPath)) recordOffence('honeypot', ctx);
+  const ban = trusted ? null : bans.check({ ip: ctx.ip, userId: ctx.userId });
+  if (ban) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(ban.until).getTime() - Date.now()) / 1000));
+    const reasons = [`banned:${ban.id}`];
+    appendAudit({
+      time: new Date().toISOString(),
+      context: ctx,
+      auth: authInfo,
+      decision: { allow: false, risk: 1.0, label: 'banned', reasons },
+      ban: { id: ban.id, trigger: ban.trigger, level: ban.level, until: ban.until },
+      targetPath: forwardPath,
+      statusCode: 403,
+      reasons
+    });
+    return {
+      reject: {
+        status: 403,
+        headers: { 'Retry-After': String(retryAfter) },
+        body: { error: 'Client banned', ban: { target: ban.target, trigger: ban.trigger, until: ban.until, retryAfter } }
+      }
+    };
+  }
+
+  const rateLimit = trusted ? null : await rateLimiter.check({ ctx, auth, req });
+  const rateLimitInfo = rateLimit ? {
+    rule: rateLimit.rule,
+    algorithm: rateLimit.algorithm,
+    key: rateLimit.key,
+    limit: rateLimit.limit,
+    remaining: rateLimit.remaining,
+    ...(rateLimit.error ? { error: rateLimit.error } : {})
+  } : { bypassed: 'ip_allow_list' };
+  if (rateLimit && !rateLimit.allowed) {
+    const entry = {
+      time: new Date().toISOString(),
+      context: ctx,
+      auth: authInfo,
+      rateLimit: { ...rateLimitInfo, retryAfter: rateLimit.retryAfterSec },
+      decision: { 
+        allow: false, 
+        risk: 1.0, 
+        label: 'ratelimited',
+        reasons: [`Rate limit exceeded (${rateLimit.rule}, ${rateLimit.algorithm} ${rateLimit.policy}): retry in ${rateLimit.retryAfterSec}s`]
+      }
+    };
+    appendAudit(entry);
+    recordOffence('rate_limit', ctx, { rule: rateLimit.rule });
+    return {
+      rateLimit,
+      reject: {
+        status: 429,
+        body: { 
+          error: 'Too Many Requests', 
+          rateLimit: { rule: rateLimit.rule, limit: rateLimit.limit, remaining: rateLimit.remaining, reset: rateLimit.resetSec, retryAfter: rateLimit.retryAfterSec }
+        }
+      }
+    };
+  }
+
+  // Authentication failures never reach scoring or the backend
+  if (!auth.ok) {
+    const reasons = [`auth_failed:${auth.failure}`];
+    appendAudit({
+      time: new Date().toISOString(),
+      context: ctx,
+      auth: authInfo,
+      decision: { allow: false, risk: 1.0, label: 'auth_failed', reasons },
+      targetPath: forwardPath,
+      statusCode: 401,
+      reasons
+    });
+    return { rateLimit, reject: { status: 401, body: { error: 'Authentication failed', reason: auth.failure } } };
+  }
+
+  const scored = await scoring.score({ req, ctx });
+  const { rule: ruleResult, ml, tls, waf, behavior: behaviorResult } = scored.results;
+  const ruleRisk = ruleResult?.risk ?? 0.0;
+  const mlRisk = ml?.risk ?? 0.0;
+  const tlsRisk = tls?.risk ?? 0.0;
+  const wafRisk = waf?.risk ?? 0.0;
+  const finalRisk = scored.risk;
+  const finalLabel = scored.label;
+  const rbac = checkRBAC(ctx.role, ctx.method, forwardPath);
+  const rbacAllowed = rbac.allowed;
+  const allowed = rbacAllowed && (trusted || !scored.block);
+  // Upstream is only chosen for requests that will actually be forwarded
+  const upstream = allowed ? upstreams.select(req.headers.host, forwardPath) : null;
 
   const entry = {
     time: new Date().toISOString(),
     context: ctx,
+    auth: authInfo,
+    ...(req.streamProtocol ? { stream: { protocol: req.streamProtocol, phase: 'handshake' } } : {}),
     tls: { 
       risk: tlsRisk, 
-      reasons: tlsReasons,
-      fingerprint: req.tlsFingerprint  // Full JA3 data
+      reasons: tls?.reasons || [],
+      fingerprint: req.tlsFingerprint  // JA3 / JA4 hashes + known-client match
+    },
+    waf: { risk: wafRisk, categories: waf?.categories || [], hits: waf?.hits || [] },
+    ...(behaviorResult ? { behavior: { risk: behaviorResult.risk, signals: behaviorResult.signals || [], profiles: behaviorResult.profiles || {} } } : {}),
+    ...(ml ? {
+      ml: {
+        status: ml.ml_status,
+        source: ml.ml_source,
+        label: ml.ml_label,
+        latencyMs: ml.latencyMs,
+        ...(ml.error ? { error: ml.error } : {}),
+        featureSchema: ml.features.schemaVersion,
+        features: ml.features.values
+      }
+    } : {}),
+    rateLimit: rateLimitInfo,
+    decision: {
+      allow: allowed,
+      label: finalLabel,
+      rbac: rbacAllowed,
+      rbacRule: rbac.ruleId,
+      risk: finalRisk,
+      ...(trusted && scored.block ? { riskOverriddenBy: ctx.ipList.match } : {}),
+      strategy: scored.strategy,
+      thresholds: scored.thresholds,
+      scorers: scored.breakdown,
+      ...(scored.vetoedBy.length ? { vetoedBy: scored.vetoedBy } : {})
     },
-    decision: { allow: rbacAllowed && finalRisk < 0.95, label: finalLabel, rbac: rbacAllowed, risk: finalRisk },
     targetPath: forwardPath,
-    ruleRisk: ruleDecision.risk,
-    mlRisk: ml.ml_risk,
+    ...(upstream ? { upstream: { route: upstream.route, pool: upstream.pool, server: upstream.server || null, ...(upstream.error ? { error: upstream.error } : {}) } } : {}),
+    ...(upstream?.error ? { statusCode: upstream.error === 'no_route' ? 404 : 503 } : {}),
+    ruleRisk,
+    mlRisk,
     tlsRisk,
-    reasons: [...ruleDecision.reasons, ...tlsReasons]
+    wafRisk,
+    reasons: scored.reasons
   };
-  auditLogs.push(entry);
+  const block = appendAudit(entry);
+  if (!rbacAllowed) recordOffence('rbac_violation', ctx, { rule: rbac.ruleId });
+  // Only refused requests count: a score alone (a WAF or behavior false positive on an
+  // allowed request) must not add up to a ban
+  if (!allowed) recordOffence('high_risk', ctx, { risk: finalRisk });
 
-  if (!rbacAllowed || finalRisk >= 0.95) {
-    return res.status(403).json({
-      error: 'Access denied by AI-NGFW',
-      reason: !rbacAllowed ? 'RBAC violation' : 'Critical risk',
-      risk: finalRisk,
-      tlsRisk,
-      reasons: entry.reasons
-    });
+  let reject = null;
+  if (!allowed) {
+    reject = {
+      status: 403,
+      body: {
+        error: 'Access denied by AI-NGFW',
+        reason: !rbacAllowed ? 'RBAC violation' : scored.vetoedBy.includes('waf') ? 'WAF signature match' : 'Critical risk',
+        rbacRule: rbac.ruleId,
+        risk: finalRisk,
+        tlsRisk,
+        wafRisk,
+        reasons: entry.reasons
+      }
+    };
+  } else if (upstream.error === 'no_route') {
+    reject = { status: 404, body: { error: 'No upstream route for this request' } };
+  } else if (upstream.error) {
+    reject = { status: 503, body: { error: 'No healthy upstream available', pool: upstream.pool } };
   }
 
-  // Forward to TLS backend
+  return {
+    rateLimit,
+    reject,
+    ctx,
+    entry,
+    block,
+    upstream,
+    riskHeaders: {
+      'x-ngfw-rule-risk': ruleRisk.toString(),
+      'x-ngfw-ml-risk': mlRisk.toString(),
+      'x-ngfw-tls-risk': tlsRisk.toString(),
+      'x-ngfw-waf-risk': wafRisk.toString(),
+      'x-ngfw-final-risk': finalRisk.toString(),
+      'x-ngfw-label': finalLabel
+    }
+  };
+}
+
+// One closing block per long-lived connection (SSE / WebSocket), linked to its handshake decision
+function recordStreamSession(decision, session) {
+  const { entry, block } = decision;
+  return appendAudit({
+    time: new Date().toISOString(),
+    type: 'stream_session',
+    context: entry.context,
+    auth: entry.auth,
+    decision: { allow: true, label: 'stream_session', risk: entry.decision.risk },
+    targetPath: entry.targetPath,
+    upstream: entry.upstream,
+    stream: { handshakeIndex: block.index, openedAt: entry.time, ...session },
+    reasons: [`${session.protocol} closed: ${session.closeReason}`]
+  });
+}
+
+// TLS Inspection + Forwarding
+async function inspectAndForward(req, res) {
+  if (String(req.headers.accept || '').includes('text/event-stream')) req.streamProtocol = 'sse';
+  const decision = await evaluateRequest(req);
+  if (decision.rateLimit) setRateLimitHeaders(res, decision.rateLimit);
+  if (decision.reject) return res.status(decision.reject.status).set(decision.reject.headers || {}).json(decision.reject.body);
+
+  const { ctx, entry, upstream } = decision;
+
+  // Stream the request through to the selected backend
   try {
-    const response = await axios({
-      method: req.method,
-      url: target,
-      data: req.body,
-      headers: { ...req.headers, host: undefined },
-      httpsAgent: new (require('https').Agent)({
-        rejectUnauthorized: false,  // Trust backend-cert.pem
-        keepAlive: true
-      }),
-      validateStatus: () => true,
-      timeout: 10000
+    const result = await proxyRequest(req, res, {
+      url: upstream.url,
+      agent: upstream.agent,  // Per-pool keep-alive agent (trusts backend-cert.pem)
+      headers: forwardHeaders(req, ctx),
+      body: Buffer.isBuffer(req.body) ? req.body : null,
+      timeoutMs: PROXY_TIMEOUT_MS,
+      responseHeaders: decision.riskHeaders
     });
+    const failed = !!result.error || (result.status >= 502 && result.status <= 504);
+    behavior.observeResponse(decision.block.index, result.error ? 502 : result.status);
+    upstreams.release(upstream, { ok: !failed, error: result.error || `HTTP ${result.status}` });
+    if (result.error) console.error(`Backend stream error (${upstream.pool}/${upstream.server}):`, result.error);
+    if (result.eventStream) {
+      recordStreamSession(decision, {
+        protocol: 'sse',
+        status: result.status,
+        durationMs: result.durationMs,
+        messagesOut: result.events,
+        bytesOut: result.bytes,
+        closeReason: result.closeReason
+      });
+    }
+  } catch (err) {
+    console.error(`Backend error (${upstream.pool}/${upstream.server}):`, err.message);
+    behavior.observeResponse(decision.block.index, 502);
+    upstreams.release(upstream, { ok: false, error: err.message });
+    appendAudit({ ...entry, statusCode: 502, error: err.message });
+    return res.status(502).json({ error: 'TLS Backend unavailable', upstream: upstream.server });
+  }
+}
 
-    // Set NGFW headers
-    res.set('x-ngfw-rule-risk', ruleDecision.risk.toString());
-    res.set('x-ngfw-ml-risk', ml.ml_risk.toString());
-    res.set('x-ngfw-tls-risk', tlsRisk.toString());
-    res.set('x-ngfw-final-risk', finalRisk.toString());
-    res.set('x-ngfw-label', finalLabel);
+// WebSocket upgrades bypass Express, so the request is shaped like a mounted /fw request first
+async function inspectUpgrade(req, socket, head) {
+  // Before any write: a client that resets mid-rejection must not crash the process
+  socket.on('error', err => console.error('Upgrade socket error:', err.message));
+  console.log('TLS Client:', req.socket.remoteAddress, req.method, req.url, '(upgrade)');
+  const url = new URL(req.url, 'https://gateway.local');
+  if (!/^\/fw(\/|$)/.test(url.pathname) || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    return rejectUpgrade(socket, 404, { error: 'WebSocket upgrades are only proxied under /fw/*' });
+  }
+  req.url = req.url.replace(/^\/fw/, '') || '/';
+  req.path = url.pathname.replace(/^\/fw/, '') || '/';
+  req.query = Object.fromEntries(url.searchParams);
+  req.streamProtocol = 'websocket';
+  fingerprinter.fingerprint(req);
 
-    return res.status(response.status).json(response.data);
+  let decision;
+  try {
+    decision = await evaluateRequest(req);
   } catch (err) {
-    console.error('Backend error:', err.message);
-    auditLogs.push({ ...entry, statusCode: 500, error: err.message });
-    return res.status(500).json({ error: 'TLS Backend unavailable' });
+    console.error('Upgrade evaluation failed:', err.message);
+    return rejectUpgrade(socket, 500, { error: 'Gateway error' });
   }
+  if (decision.reject) {
+    const headers = { ...(decision.rateLimit ? rateLimitHeaders(decision.rateLimit) : {}), ...decision.reject.headers };
+    return rejectUpgrade(socket, decision.reject.status, decision.reject.body, headers);
+  }
+
+  const { ctx, upstream } = decision;
+  const session = await proxyWebSocket({
+    req,
+    socket,
+    head,
+    url: upstream.url,
+    agent: upstream.agent,
+    headers: forwardHeaders(req, ctx),
+    timeoutMs: PROXY_TIMEOUT_MS
+  });
+  // A client that hung up before the backend answered says nothing about the backend
+  const ok = session.upgraded || session.closeReason === 'client_disconnected' || session.status < 502;
+  upstreams.release(upstream, { ok, error: session.error || `HTTP ${session.status}` });
+  recordStreamSession(decision, { protocol: 'websocket', ...session });
 }
 
   // Admin endpoints (HTTPS only)
@@ -246,25 +723,101 @@ function createAdminEndpoints(app) {
       'http://localhost:3002'   // Any other dev ports
     ],
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'x-user-id', 'x-user-role', 'x-tls-sim'],
+    // No x-user-id / x-user-role: identity headers from clients are rejected as forged
+    allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'x-api-key', 'x-tls-sim'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
     credentials: true
   }));
 
+  // Proxied traffic keeps its raw bytes: read once (size-capped) for inspection, forwarded unchanged
+  app.use('/fw', express.raw({ type: () => true, limit: PROXY_MAX_BODY }));
   app.use(express.json());
 
-  app.get('/health', (req, res) => res.json({
-    status: 'ok',
-    service: 'AI-NGFW Gateway',
-    time: new Date().toISOString(),
-    logCount: auditLogs.length
-  }));
+  const viewer = adminAuth.requireAdmin('viewer');
+  const operator = adminAuth.requireAdmin('operator');
 
-  app.get('/admin/logs', (req, res) => {
-    console.log('Logs requested:', auditLogs.length, 'entries');
-    res.json(auditLogs);
+  app.post('/admin/login', adminAuth.login);
+  app.get('/admin/session', viewer, (req, res) => res.json({ username: req.admin.username, role: req.admin.role }));
+
+  // Liveness is public; details only for signed-in admins
+  app.get('/health', (req, res) => {
+    const basic = { status: 'ok', service: 'AI-NGFW Gateway', time: new Date().toISOString() };
+    if (!adminAuth.identify(req).ok) return res.json(basic);
+    res.json({
+      ...basic,
+      logCount: auditStore.head() ? auditStore.head().index + 1 : 0,
+      logStreams: logHub.subscribers(),
+      alerts: alerts.describe(),
+      chainValid: chainCheckpoint.valid,
+      storage: auditStore.stats(),
+      policy: policyEngine.status(),
+      scoring: scoring.describe(),
+      ml: { ...mlScorer.describe(), featureSchema: FEATURE_SCHEMA_VERSION, clientHistory: clientHistory.describe() },
+      behavior: behavior.describe(),
+      rateLimits: rateLimiter.describe(),
+      upstreams: upstreams.status(),
+      fingerprints: fingerprinter.describe(),
+      mtls: mtls.status(),
+      bans: bans.describe(),
+      labels: labels.describe(),
+      ipLists: ipLists.describe(),
+      trustedProxies: clientIps.describe()
+    });
+  });
+
+  // Query: limit, cursor, from, to, userId, role, ip, country, pathPrefix, decision, label, minRisk, q, scope
+  app.get('/admin/logs', viewer, (req, res) => {
+    const query = parseLogQuery(req.query);
+    if (query.errors.length) {
+      return res.status(400).json({ error: 'Invalid log query', details: query.errors });
+    }
+    const scope = req.query.scope === 'all' ? 'all' : 'recent';
+    const result = queryLogs(collectLogs(scope, query.filters), query);
+    console.log('Logs requested:', result.items.length, 'of', result.total, 'entries');
+    res.json({ ...result, items: result.items.map(withFeedback), scope });
   });
+
+  // Live feed of new blocks (SSE); same filters, Last-Event-ID backfill
+  createLogStreamEndpoints(app, { hub: logHub, recent: () => auditStore.recent(), viewer });
+
+  // Full tamper-check of every block
+  app.get('/verify-chain', viewer, (req, res) => {
+    const result = verifyStoredChain();
+    reportChainIssues(result.issues, 'full verification');
+    res.status(result.valid ? 200 : 409).json({ ...result, verifiedAt: new Date().toISOString() });
+  });
+
+  // Lightweight integrity indicator for the dashboard
+  app.get('/admin/chain/status', viewer, (req, res) => res.json(chainStatus()));
+
+  // Routing table, pools and per-backend health
+  app.get('/admin/upstreams', viewer, (req, res) => res.json(upstreams.status()));
   
+  createPolicyEndpoints(app, { policyEngine, recordPolicyChange, viewer, operator });
+  createBanEndpoints(app, { bans, recordBanChange, viewer, operator });
+  createAlertEndpoints(app, { alerts, viewer, operator });
+  createLabelEndpoints(app, { labels, findBlocks, recordLabelChange, viewer, operator });
+
   app.use('/fw', inspectAndForward);
+  app.use('/fw', (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    // Refused before authentication and scoring, but still a firewall decision on record
+    if (err.type === 'entity.too.large') {
+      const reasons = [`body_too_large:${PROXY_MAX_BODY}`];
+      appendAudit({
+        time: new Date().toISOString(),
+        context: buildContext(req),
+        decision: { allow: false, risk: 1.0, label: 'body_too_large', reasons },
+        body: { length: err.length ?? null, limit: err.limit },
+        targetPath: req.url || '/',
+        statusCode: 413,
+        reasons
+      });
+      return res.status(413).json({ error: 'Request body too large', limit: PROXY_MAX_BODY });
+    }
+    console.error('Proxy error:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Gateway error' });
+  });
 
   // Export logs (JSON / CSV, SIEM-style)
   function normalizeLogForSIEM(entry) {
@@ -279,12 +832,19 @@ function createAdminEndpoints(app) {
     return {
       // Core SIEM fields
       timestamp: entry.time || ctx.timestamp,
-      event_type: "firewall_decision",
+      event_type: entry.type || "firewall_decision",
       source_ip: ctx.ip || "unknown",
+      source_country: ctx.country || null,
+      ip_list: ctx.ipList ? `${ctx.ipList.list}:${ctx.ipList.match}` : null,
+      peer_ip: ctx.forwarding?.peer || null,
+      forwarded_chain: ctx.forwarding?.chain || [],
       http_method: ctx.method || "GET",
       url_path: ctx.path || entry.targetPath || "/",
       user_id: ctx.userId || "anonymous",
       user_role: ctx.role || "guest",
+      auth_method: ctx.authMethod || entry.auth?.method || "none",
+      auth_failure: entry.auth?.failure || null,
+      client_cert_subject: entry.auth?.clientCert?.subjectCN || null,
 
       // Decision outcome
       action: isAllowed ? "allowed" : "blocked",
@@ -292,15 +852,36 @@ function createAdminEndpoints(app) {
 
       // Risk / AI fields
       risk_score: dec.risk ?? null,
-      rule_risk: dec.rule_risk ?? null,
-      ml_risk: dec.ml_risk ?? null,
+      rule_risk: entry.ruleRisk ?? null,
+      ml_risk: entry.mlRisk ?? null,
       risk_label: dec.label || "normal",
-      ml_label: dec.ml_label || "normal",
+      ml_label: entry.ml?.label || "normal",
+      ml_status: entry.ml?.status || null,
+      ml_source: entry.ml?.source || null,
+      feature_schema_version: entry.ml?.featureSchema ?? null,
+      waf_risk: entry.wafRisk ?? null,
+      waf_categories: entry.waf?.categories || [],
+      behavior_risk: entry.behavior?.risk ?? null,
+      behavior_signals: (entry.behavior?.signals || []).map(s => s.name),
+      tls_ja3: entry.tls?.fingerprint?.ja3 || null,
+      tls_ja4: entry.tls?.fingerprint?.ja4 || null,
+      tls_client: entry.tls?.fingerprint?.match?.id || null,
 
       // Meta
       gateway_service: "ai-ngfw-gateway",
       protected_service: "dummy-backend",
       reasons: dec.reasons || [],
+      upstream_pool: entry.upstream?.pool || null,
+      upstream_server: entry.upstream?.server || null,
+      stream_protocol: entry.stream?.protocol || null,
+      stream_duration_ms: entry.stream?.durationMs ?? null,
+      stream_messages: entry.stream?.durationMs !== undefined ? (entry.stream.messagesIn || 0) + (entry.stream.messagesOut || 0) : null,
+      stream_close_reason: entry.stream?.closeReason || null,
+
+      // Audit chain
+      block_index: entry.index ?? null,
+      block_hash: entry.hash || null,
+      prev_hash: entry.prevHash || null,
     };
   }
 
@@ -311,10 +892,17 @@ function createAdminEndpoints(app) {
       "timestamp",
       "event_type",
       "source_ip",
+      "source_country",
+      "ip_list",
+      "peer_ip",
+      "forwarded_chain",
       "http_method",
       "url_path",
       "user_id",
       "user_role",
+      "auth_method",
+      "auth_failure",
+      "client_cert_subject",
       "action",
       "status_code",
       "risk_score",
@@ -322,8 +910,27 @@ function createAdminEndpoints(app) {
       "ml_risk",
       "risk_label",
       "ml_label",
+      "ml_status",
+      "ml_source",
+      "feature_schema_version",
+      "waf_risk",
+      "waf_categories",
+      "behavior_risk",
+      "behavior_signals",
+      "tls_ja3",
+      "tls_ja4",
+      "tls_client",
       "gateway_service",
       "protected_service",
+      "upstream_pool",
+      "upstream_server",
+      "stream_protocol",
+      "stream_duration_ms",
+      "stream_messages",
+      "stream_close_reason",
+      "block_index",
+      "block_hash",
+      "prev_hash",
     ];
 
   function esc(v) {
@@ -336,10 +943,17 @@ function createAdminEndpoints(app) {
     esc(e.timestamp),
     esc(e.event_type),
     esc(e.source_ip),
+    esc(e.source_country),
+    esc(e.ip_list),
+    esc(e.peer_ip),
+    esc(e.forwarded_chain.join(";")),
     esc(e.http_method),
     esc(e.url_path),
     esc(e.user_id),
     esc(e.user_role),
+    esc(e.auth_method),
+    esc(e.auth_failure),
+    esc(e.client_cert_subject),
     esc(e.action),
     esc(e.status_code),
     esc(e.risk_score),
@@ -347,22 +961,47 @@ function createAdminEndpoints(app) {
     esc(e.ml_risk),
     esc(e.risk_label),
     esc(e.ml_label),
+    esc(e.ml_status),
+    esc(e.ml_source),
+    esc(e.feature_schema_version),
+    esc(e.waf_risk),
+    esc(e.waf_categories.join(";")),
+    esc(e.behavior_risk),
+    esc(e.behavior_signals.join(";")),
+    esc(e.tls_ja3),
+    esc(e.tls_ja4),
+    esc(e.tls_client),
     esc(e.gateway_service),
     esc(e.protected_service),
+    esc(e.upstream_pool),
+    esc(e.upstream_server),
+    esc(e.stream_protocol),
+    esc(e.stream_duration_ms),
+    esc(e.stream_messages),
+    esc(e.stream_close_reason),
+    esc(e.block_index),
+    esc(e.block_hash),
+    esc(e.prev_hash),
   ]);
 
     const csv = [headers.join(","), ...rows.map((r) => r.join(","))].join("\n");
     return csv;
   }
 
-  app.get("/admin/logs/export", (req, res) => {
+  app.get("/admin/logs/export", viewer, (req, res) => {
     try {
       const format = (req.query.format || "json").toLowerCase();
 
-      const normalized = auditLogs.map(normalizeLogForSIEM);
+      // Same filters as /admin/logs, over every retained segment
+      const query = parseLogQuery(req.query);
+      if (query.errors.length) {
+        return res.status(400).json({ error: "Invalid log query", details: query.errors });
+      }
+      const logs = collectLogs("all", query.filters);
+      const normalized = logs.map(normalizeLogForSIEM);
 
       if (format === "csv") {
-        const csv = logsToCSV(auditLogs);
+        const csv = logsToCSV(logs);
         res.setHeader("Content-Type", "text/csv; charset=utf-8");
         res.setHeader("Content-Disposition", 'attachment; filename="logs.csv"');
         return res.send(csv);
@@ -380,11 +1019,99 @@ function createAdminEndpoints(app) {
       });
     }
   });
+
+  // One block with its decision breakdown (explain.js). Registered after
+  // /admin/logs/stream and /admin/logs/export so those are not taken for ids.
+  app.get('/admin/logs/:id', viewer, (req, res) => {
+    const index = Number(req.params.id);
+    if (!/^\d+$/.test(req.params.id) || !Number.isSafeInteger(index)) {
+      return res.status(400).json({ error: 'Invalid log id', details: ['id must be a block index'] });
+    }
+    const block = findBlocks([index]).get(index);
+    if (!block) return res.status(404).json({ error: 'Log entry not found', index });
+    res.json({
+      ...explainDecision(block, { currentThresholds: scoring.describe().thresholds }),
+      feedback: labels.get(block)
+    });
+  });
 }
 
 // START TLS-ONLY SERVER
 async function startServer() {
   await ensureCerts();
+
+  const authConfig = JSON.parse(fs.readFileSync(AUTH_CONFIG_FILE, 'utf8'));
+  mtls = createMtls(authConfig.mtls, { baseDir: path.dirname(AUTH_CONFIG_FILE) });
+  authenticator = createAuthenticator(authConfig, {
+    baseDir: path.dirname(AUTH_CONFIG_FILE),
+    mtls
+  });
+
+  adminAuth = createAdminAuth({ usersFile: ADMIN_USERS_FILE, recordSecurityEvent, clientIp: req => clientAddress(req).ip });
+
+  scoring = createScoringPipeline(loadScoringConfig(SCORING_CONFIG_FILE));
+  registerScorers(scoring);
+  console.log(`Risk scoring: ${scoring.describe().strategy} over ${scoring.describe().scorers.filter(s => s.enabled).map(s => s.name).join(', ')}`);
+  mlScorer = createMlScorer(loadMlConfig(ML_CONFIG_FILE), { baseDir: path.dirname(ML_CONFIG_FILE), featureNames: FEATURE_NAMES });
+  logHub.subscribe(clientHistory.observe);
+  const mlInfo = mlScorer.describe();
+  console.log(`ML scoring (feature schema v${FEATURE_SCHEMA_VERSION}): ${mlInfo.local.loaded ? `in-process model (${mlInfo.local.trees} trees)` : `no local model${mlInfo.local.error ? ` (${mlInfo.local.error})` : ''}`}${mlInfo.remote.url ? `, fallback ${mlInfo.remote.url} (timeout ${mlInfo.remote.timeoutMs}ms)` : ''}`);
+
+  behavior = createBehaviorProfiles(loadBehaviorConfig(BEHAVIOR_CONFIG_FILE));
+  logHub.subscribe(behavior.observe);
+  const behaviorInfo = behavior.describe();
+  console.log(`Behavior profiles: ${behaviorInfo.enabled ? `per ${behaviorInfo.keys.join(' + ')}, ${behaviorInfo.windowSec}s window, signals ${Object.keys(behaviorInfo.signals).join(', ')}` : 'disabled'}`);
+
+  rateLimiter = createRateLimiter(loadRateLimitConfig(RATE_LIMIT_CONFIG_FILE));
+  console.log(`Rate limits: ${rateLimiter.describe().rules.length} route rule(s), ${rateLimiter.describe().store.type} store`);
+
+  fingerprinter = createFingerprinter(loadFingerprintDb(FINGERPRINT_DB_FILE));
+  console.log(`TLS fingerprints: ${fingerprinter.describe().entries} known clients`);
+
+  clientIps = createClientIpResolver(loadTrustedProxyConfig(TRUSTED_PROXIES_CONFIG_FILE));
+  console.log(`Trusted proxies: ${clientIps.describe().trustedProxies.join(', ') || 'none (forwarding headers ignored)'}`);
+  ipLists = createIpLists(loadIpListConfig(IP_LISTS_CONFIG_FILE), { baseDir: __dirname });
+  const lists = ipLists.describe();
+  console.log(`IP lists: ${lists.enabled ? `allow ${lists.allow.cidrs.length} CIDR / ${lists.allow.countries.length} countries, deny ${lists.deny.cidrs.length} CIDR / ${lists.deny.countries.length} countries` : 'disabled'}; GeoIP ${lists.geoip ? `${lists.geoip.networks} networks` : 'off'}`);
+  bans = createBanManager(loadBanConfig(BANS_CONFIG_FILE), { stateFile: BANS_STATE_FILE });
+  console.log(`Auto-ban: ${bans.describe().enabled ? `${Object.keys(bans.describe().triggers).join(', ')}; ${bans.describe().active} active ban(s)` : 'disabled'}`);
+  labels = createLabelStore({ stateFile: LABELS_STATE_FILE });
+  console.log(`Decision labels: ${labels.describe().labeled} labeled decision(s) in ${LABELS_STATE_FILE}`);
+
+  upstreams = createUpstreamRouter(loadUpstreamConfig(UPSTREAMS_CONFIG_FILE));
+  upstreams.startHealthChecks();
+  console.log(`Upstreams: ${upstreams.status().pools.map(p => `${p.name} (${p.servers.length})`).join(', ')}`);
+
+  policyEngine = createPolicyEngine({ file: POLICY_FILE });
+  policyEngine.watch();
+  console.log(`Policy loaded from ${POLICY_FILE}`);
+
+  alerts = createAlertEngine(loadAlertConfig(ALERTS_CONFIG_FILE));
+  logHub.subscribe(alerts.observe);
+  const alertConfig = alerts.describe();
+  console.log(`Alerts: ${alertConfig.enabled ? `${alertConfig.rules.length} rule(s), channels: ${alertConfig.channels.filter(c => c.enabled).map(c => c.name).join(', ') || 'none (dashboard only)'}` : 'disabled'}`);
+
+  auditStore = createAuditStore({
+    dir: AUDIT_DIR,
+    maxSegmentBytes: AUDIT_SEGMENT_MAX_BYTES,
+    maxSegmentAgeMs: AUDIT_SEGMENT_MAX_AGE,
+    maxSegments: AUDIT_MAX_SEGMENTS,
+    retentionMs: AUDIT_RETENTION,
+    memoryWindow: AUDIT_MEMORY_WINDOW
+  });
+  // Rebuild behavior profiles from the reloaded window, so a restart does not reset baselines
+  auditStore.recent().forEach(behavior.observe);
+  const bootCheck = verifyStoredChain();
+  chainCheckpoint = {
+    verified: auditStore.head() ? { index: auditStore.head().index, hash: auditStore.head().hash } : null,
+    valid: bootCheck.valid,
+    issues: bootCheck.issues,
+    verifiedAt: new Date().toISOString()
+  };
+  console.log(`Audit chain: ${bootCheck.length} blocks on disk, ${bootCheck.valid ? 'valid' : bootCheck.issues.length + ' issue(s)'}`);
+  reportChainIssues(bootCheck.issues, 'startup verification');
+  // Keep verifying new blocks even when nobody has the dashboard open
+  setInterval(chainStatus, 60 * 1000).unref();
   
   const tlsOptions = {
     key: fs.readFileSync('key.pem'),
@@ -401,71 +1128,20 @@ async function startServer() {
     next();
   });
 
-  // JA3 Fingerprinting
+  // JA3 / JA4 Fingerprinting (ClientHello captured per connection, see trackClientHellos below)
   app.use((req, res, next) => {
-    try {
-      const socket = req.socket;
-      const peerCert = socket.getPeerCertificate(false) || {};
-      
-      // Extract TLS metadata
-      const tlsInfo = {
-        version: socket.getProtocol() || 'unknown',
-        cipher: socket.getCipher()?.name || 'unknown',
-        sni: socket.servername || req.headers.host || 'unknown',
-        issuer: peerCert.issuer?.CN || 'unknown',
-        subject: peerCert.subject?.CN || 'unknown'
-      };
-      
-      // JA3-Lite fingerprint
-      const ja3Lite = [
-        tlsInfo.version.replace('TLSv', ''),
-        tlsInfo.cipher,
-        tlsInfo.sni,
-        tlsInfo.issuer
-      ].join('|').slice(0, 64);
-      
-      req.tlsFingerprint = {
-        ja3Lite: ja3Lite,
-        botScore: 0.0,
-        signals: [],
-        tlsInfo: tlsInfo
-      };
-      
-      // Bot risk signals (contributes to tlsRisk, no blocking)
-      const ua = (req.headers['user-agent'] || '').toLowerCase();
-      if (ua.includes('curl') || ua.includes('python-urllib') || ua.includes('wget') || ua.includes('node-fetch')) {
-        req.tlsFingerprint.botScore += 0.35;
-        req.tlsFingerprint.signals.push('scripted_ua');
-      }
-      
-      if (tlsInfo.cipher.includes('RC4') || tlsInfo.cipher.includes('CBC') || tlsInfo.cipher.includes('3DES')) {
-        req.tlsFingerprint.botScore += 0.25;
-        req.tlsFingerprint.signals.push('weak_cipher');
-      }
-      
-      if (!tlsInfo.sni || tlsInfo.sni === 'localhost' || tlsInfo.sni === '127.0.0.1') {
-        req.tlsFingerprint.botScore += 0.10;
-        req.tlsFingerprint.signals.push('local_sni');
-      }
-      
-      if (tlsInfo.issuer === 'unknown' || tlsInfo.issuer.includes('self-signed')) {
-        req.tlsFingerprint.botScore += 0.15;
-        req.tlsFingerprint.signals.push('selfsigned_cert');
-      }
-      
-      // Log for debugging (no blocking)
-      console.log(`JA3: ${ja3Lite.slice(0, 32)}... | BotScore: ${req.tlsFingerprint.botScore.toFixed(2)} | Signals: ${req.tlsFingerprint.signals.length}`);
-      
-    } catch (err) {
-      console.log('JA3-Lite failed:', err.message);
-    }
-    
+    const fp = fingerprinter.fingerprint(req);
+    console.log(`JA4: ${fp.ja4 || 'n/a'} | ${fp.match ? fp.match.name : 'unknown client'} | BotScore: ${fp.botScore.toFixed(2)} | Signals: ${fp.signals.length}`);
     next();
   });
 
   createAdminEndpoints(app);
 
-  https.createServer(tlsOptions, app).listen(4001, () => {
+  const server = https.createServer({ ...tlsOptions, ...mtls.serverOptions() }, app);
+  mtls.watch(server, tlsOptions);
+  trackClientHellos(server);
+  server.on('upgrade', inspectUpgrade);
+  server.listen(4001, () => {
     console.log('AI-NGFW Gateway running at https://localhost:4001');
     console.log('Admin Logs: https://localhost:4001/admin/logs');
     console.log('Endpoints: https://localhost:4001/fw/*');
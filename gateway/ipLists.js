@@ -0,0 +1,163 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Static allow / deny lists by CIDR (IPv4 + IPv6) and by country, resolved from an
+// offline GeoIP CSV ("network,country" per line, e.g. "203.0.113.0/24,NL").
+// A CIDR match beats a country match; between equally specific matches deny wins.
+const LISTS = ['allow', 'deny'];
+const COUNTRY_RE = /^[A-Z]{2}$/;
+
+// → { family: 4 | 6, value: BigInt } or null; IPv4-mapped IPv6 addresses count as IPv4
+function parseIp(ip) {
+  let s = String(ip || '').trim().replace(/%.*$/, '');
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(s)) s = s.slice(7);
+  const family = net.isIP(s);
+  if (family === 4) {
+    return { family, value: s.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n) };
+  }
+  if (family !== 6) return null;
+  // Expand an embedded IPv4 tail and the "::" gap into eight 16-bit groups
+  const v4 = s.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = parseIp(v4[1]).value;
+    s = s.slice(0, -v4[1].length) + `${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = s.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+  return { family, value: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n) };
+}
+
+// "10.0.0.0/8" | "2001:db8::/32" | bare address → { family, start, end, prefix } or null
+function parseCidr(cidr) {
+  const [addr, bits, extra] = String(cidr).split('/');
+  if (extra !== undefined) return null;
+  const ip = parseIp(addr);
+  if (!ip) return null;
+  const width = ip.family === 4 ? 32 : 128;
+  const prefix = bits === undefined ? width : Number(bits);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > width || (bits !== undefined && !/^\d+$/.test(bits))) return null;
+  const hostMask = (1n << BigInt(width - prefix)) - 1n;
+  const start = ip.value & ~hostMask;
+  return { family: ip.family, start, end: start | hostMask, prefix };
+}
+
+function validateIpListConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.enabled !== undefined && typeof doc.enabled !== 'boolean') issues.push('enabled: must be a boolean');
+  if (doc.geoipFile !== undefined && doc.geoipFile !== null && typeof doc.geoipFile !== 'string') issues.push('geoipFile: must be a path');
+  for (const list of LISTS) {
+    const section = doc[list];
+    if (section === undefined) continue;
+    if (!section || typeof section !== 'object' || Array.isArray(section)) { issues.push(`${list}: must be an object`); continue; }
+    if (section.cidrs !== undefined && !Array.isArray(section.cidrs)) issues.push(`${list}.cidrs: must be an array`);
+    (Array.isArray(section.cidrs) ? section.cidrs : []).forEach((c, i) => {
+      if (!parseCidr(c)) issues.push(`${list}.cidrs[${i}]: "${c}" is not an IPv4/IPv6 address or CIDR`);
+    });
+    if (section.countries !== undefined && !Array.isArray(section.countries)) issues.push(`${list}.countries: must be an array`);
+    (Array.isArray(section.countries) ? section.countries : []).forEach((c, i) => {
+      if (!COUNTRY_RE.test(c)) issues.push(`${list}.countries[${i}]: "${c}" is not an ISO 3166 alpha-2 code`);
+    });
+  }
+  const usesCountries = LISTS.some(l => doc[l]?.countries?.length);
+  if (usesCountries && !doc.geoipFile) issues.push('geoipFile: required when a list uses countries');
+  return issues;
+}
+
+function loadIpListConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateIpListConfig(doc);
+  if (issues.length) throw new Error(`Invalid IP list config ${file}:\n  - ${issues.join('\n  - ')}`);
+  const section = s => ({ cidrs: s?.cidrs || [], countries: s?.countries || [] });
+  return {
+    enabled: doc.enabled ?? true,
+    geoipFile: doc.geoipFile || null,
+    allow: section(doc.allow),
+    deny: section(doc.deny)
+  };
+}
+
+// Offline GeoIP: sorted, non-overlapping ranges per family, binary-searched per lookup
+function loadGeoIp(file) {
+  const ranges = { 4: [], 6: [] };
+  const issues = [];
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || /^network\s*,/i.test(line)) return;
+    const [cidr, country] = line.split(',').map(s => s.trim());
+    const range = parseCidr(cidr);
+    if (!range) return issues.push(`line ${i + 1}: "${cidr}" is not a CIDR`);
+    if (!COUNTRY_RE.test(country || '')) return issues.push(`line ${i + 1}: "${country}" is not an ISO 3166 alpha-2 code`);
+    ranges[range.family].push({ ...range, country });
+  });
+  for (const family of [4, 6]) {
+    const sorted = ranges[family].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].start <= sorted[i - 1].end) issues.push(`overlapping networks around ${sorted[i].country} (IPv${family})`);
+    }
+  }
+  if (issues.length) throw new Error(`Invalid GeoIP database ${file}:\n  - ${issues.slice(0, 20).join('\n  - ')}`);
+
+  return {
+    size: ranges[4].length + ranges[6].length,
+    lookup(ip) {
+      const parsed = parseIp(ip);
+      if (!parsed) return null;
+      const list = ranges[parsed.family];
+      let lo = 0;
+      let hi = list.length - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (list[mid].start <= parsed.value) lo = mid + 1;
+        else hi = mid - 1;
+      }
+      const hit = list[hi];
+      return hit && parsed.value <= hit.end ? hit.country : null;
+    }
+  };
+}
+
+function createIpLists(config = loadIpListConfig(null), { baseDir = __dirname } = {}) {
+  const geoipPath = config.geoipFile ? path.resolve(baseDir, config.geoipFile) : null;
+  const geoip = geoipPath ? loadGeoIp(geoipPath) : null;
+  const compiled = LISTS.map(list => ({
+    list,
+    cidrs: config[list].cidrs.map(cidr => ({ cidr, ...parseCidr(cidr) })),
+    countries: new Set(config[list].countries)
+  }));
+
+  // → { country, list: 'allow' | 'deny' | null, match: '10.0.0.0/8' | 'country:RU' | null }
+  function check(ip) {
+    const country = geoip ? geoip.lookup(ip) : null;
+    if (!config.enabled) return { country, list: null, match: null };
+    const parsed = parseIp(ip);
+    let best = null;
+    for (const { list, cidrs, countries } of compiled) {
+      for (const c of cidrs) {
+        if (!parsed || c.family !== parsed.family || parsed.value < c.start || parsed.value > c.end) continue;
+        // Longest prefix wins; deny is compiled last so it takes ties
+        if (!best || best.prefix === undefined || c.prefix >= best.prefix) best = { list, match: c.cidr, prefix: c.prefix };
+      }
+      if (country && countries.has(country) && (!best || (best.prefix === undefined && list === 'deny'))) {
+        best = { list, match: `country:${country}` };
+      }
+    }
+    return { country, list: best?.list || null, match: best?.match || null };
+  }
+
+  function describe() {
+    return {
+      enabled: config.enabled,
+      geoip: geoip ? { file: path.basename(geoipPath), networks: geoip.size } : null,
+      allow: config.allow,
+      deny: config.deny
+    };
+  }
+
+  return { check, describe };
+}
+
+module.exports = { parseIp, parseCidr, validateIpListConfig, loadIpListConfig, loadGeoIp, createIpLists };
@@ -0,0 +1,72 @@
+const { validateLabel, trainingRow, toTrainingCsv } = require('./labels');
+
+// Decision feedback: label logged decisions as true/false positive/negative, list the
+// labels, and export them as a training CSV — every label change is audited
+function createLabelEndpoints(app, { labels, findBlocks, recordLabelChange, viewer, operator }) {
+  // The block behind /admin/logs/:index/label, or an error response
+  function lookup(req, res) {
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) {
+      res.status(400).json({ error: 'Invalid label request', details: ['block index must be a non-negative integer'] });
+      return null;
+    }
+    const block = findBlocks([index]).get(index);
+    if (!block) res.status(404).json({ error: 'Log entry not found', index });
+    return block || null;
+  }
+
+  app.get('/admin/labels', viewer, (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    res.json({ labels: labels.list().slice(0, limit), ...labels.describe() });
+  });
+
+  // body: { verdict, note? } — replaces any earlier label on the same block
+  app.put('/admin/logs/:index/label', operator, (req, res) => {
+    const block = lookup(req, res);
+    if (!block) return;
+    const { verdict, note } = req.body || {};
+    const issues = validateLabel(block, { verdict, note });
+    if (issues.length) return res.status(400).json({ error: 'Invalid label request', details: issues });
+
+    const before = labels.get(block);
+    const after = labels.set(block, { verdict, note: note?.trim() || null, by: req.admin.username });
+    recordLabelChange(req, { action: before ? 'label_changed' : 'label_added', blockIndex: block.index, before, after });
+    res.json(after);
+  });
+
+  app.delete('/admin/logs/:index/label', operator, (req, res) => {
+    const block = lookup(req, res);
+    if (!block) return;
+    const before = labels.remove(block);
+    if (!before) return res.status(404).json({ error: 'Log entry has no label', index: block.index });
+    recordLabelChange(req, { action: 'label_removed', blockIndex: block.index, before, after: null });
+    res.status(204).end();
+  });
+
+  // Labeled decisions as CSV for ml/train_model.py, oldest first. Labels whose block has
+  // aged out of retention, or that were refused before scoring (no feature vector), are
+  // left out and counted in X-NGFW-Training-Skipped.
+  app.get('/admin/training/export', viewer, (req, res) => {
+    try {
+      const wanted = labels.list().reverse();
+      const blocks = findBlocks(wanted.map(l => l.index));
+      const rows = [];
+      for (const { index } of wanted) {
+        const block = blocks.get(index);
+        const label = block && labels.get(block);
+        const row = label && trainingRow(block, label);
+        if (row) rows.push(row);
+      }
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="training.csv"');
+      res.setHeader('X-NGFW-Training-Rows', String(rows.length));
+      res.setHeader('X-NGFW-Training-Skipped', String(wanted.length - rows.length));
+      res.send(toTrainingCsv(rows));
+    } catch (err) {
+      console.error('Error exporting training data:', err);
+      res.status(500).json({ error: 'Failed to export training data', details: err.message });
+    }
+  });
+}
+
+module.exports = { createLabelEndpoints };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { FEATURE_NAMES } = require('./features');
+
+// Analyst feedback on traffic decisions: each labeled block gets a verdict that says
+// whether the gateway got it right. Labels are kept per block index (with the block hash,
+// so a reset audit chain cannot attach old verdicts to new blocks) in a state file next
+// to the audit log, and turn the audit log into a training set for ml/train_model.py.
+const VERDICTS = {
+  true_positive: { blocked: true, isAttack: 1 },   // blocked, and it was an attack
+  false_positive: { blocked: true, isAttack: 0 },  // blocked, but legitimate
+  true_negative: { blocked: false, isAttack: 0 },  // allowed, and legitimate
+  false_negative: { blocked: false, isAttack: 1 }  // allowed, but it was an attack
+};
+const NOTE_MAX_LENGTH = 500;
+
+// Only traffic decisions can be labeled: admin events, bans and stream sessions carry a
+// `type`, and a failed proxy attempt re-appends its decision with an `error`
+function isTrafficDecision(block) {
+  return Boolean(block && !block.type && !block.error && block.decision);
+}
+
+function isBlocked(block) {
+  return block.decision?.allow === false;
+}
+
+function validateLabel(block, { verdict, note } = {}) {
+  const issues = [];
+  if (!isTrafficDecision(block)) return ['only traffic decisions can be labeled'];
+  if (!VERDICTS[verdict]) {
+    issues.push(`"verdict" must be one of ${Object.keys(VERDICTS).join(', ')}`);
+  } else if (VERDICTS[verdict].blocked !== isBlocked(block)) {
+    issues.push(`"${verdict}" applies to ${VERDICTS[verdict].blocked ? 'blocked' : 'allowed'} decisions; this one was ${isBlocked(block) ? 'blocked' : 'allowed'}`);
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > NOTE_MAX_LENGTH)) {
+    issues.push(`"note" must be a string of at most ${NOTE_MAX_LENGTH} characters`);
+  }
+  return issues;
+}
+
+function createLabelStore({ stateFile = null, log = console.log } = {}) {
+  const labels = new Map(); // block index → { index, blockHash, verdict, isAttack, note, by, at }
+
+  if (stateFile && fs.existsSync(stateFile)) {
+    try {
+      const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      for (const label of state.labels || []) labels.set(label.index, label);
+    } catch (err) {
+      log(`Label state ${stateFile} unreadable, starting empty: ${err.message}`);
+    }
+  }
+
+  function persist() {
+    if (!stateFile) return;
+    const tmp = stateFile + '.tmp';
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ labels: [...labels.values()] }, null, 2));
+    fs.renameSync(tmp, stateFile);
+  }
+
+  // The label for a block, unless it was recorded against a different chain
+  function get(block) {
+    const label = labels.get(block.index);
+    return label && label.blockHash === block.hash ? label : null;
+  }
+
+  function set(block, { verdict, note, by }) {
+    const label = {
+      index: block.index,
+      blockHash: block.hash,
+      verdict,
+      isAttack: VERDICTS[verdict].isAttack,
+      ...(note ? { note } : {}),
+      by,
+      at: new Date().toISOString()
+    };
+    labels.set(block.index, label);
+    persist();
+    return label;
+  }
+
+  function remove(block) {
+    const label = get(block);
+    if (!label) return null;
+    labels.delete(block.index);
+    persist();
+    return label;
+  }
+
+  const counts = () => {
+    const byVerdict = Object.fromEntries(Object.keys(VERDICTS).map(v => [v, 0]));
+    for (const label of labels.values()) byVerdict[label.verdict]++;
+    return byVerdict;
+  };
+
+  return {
+    get,
+    set,
+    remove,
+    list: () => [...labels.values()].sort((a, b) => b.index - a.index),
+    counts,
+    describe: () => ({ stateFile, labeled: labels.size, verdicts: counts() })
+  };
+}
+
+// Training CSV: the ml/dataset.csv columns first (so train_model.py reads either file),
+// then the verdict, and every other field of the current feature schema
+const DATASET_COLUMNS = ['timestamp', 'method', 'path', 'role', 'userId', 'userAgent', 'risk_rule', 'label_rule', 'statusCode', 'ml_label'];
+const TRAINING_COLUMNS = [
+  ...DATASET_COLUMNS,
+  'is_attack',
+  'verdict',
+  'block_index',
+  'feature_schema_version',
+  ...FEATURE_NAMES.filter(name => !DATASET_COLUMNS.includes(name))
+];
+
+// One CSV row per labeled block; null when the block carries no feature vector
+// (refused before scoring: IP deny list, ban, rate limit, failed authentication)
+function trainingRow(block, label) {
+  const features = block.ml?.features;
+  if (!features) return null;
+  const ctx = block.context || {};
+  const row = {
+    ...features,
+    timestamp: block.time,
+    method: features.method ?? ctx.method,
+    path: features.path ?? ctx.path,
+    role: features.role ?? ctx.role,
+    userId: features.userId ?? ctx.userId,
+    userAgent: features.userAgent ?? ctx.userAgent,
+    risk_rule: features.risk_rule ?? block.ruleRisk,
+    label_rule: (block.decision.scorers || []).find(s => s.name === 'rule')?.label || 'normal',
+    // Allowed decisions do not record the upstream's status
+    statusCode: block.statusCode ?? (isBlocked(block) ? 403 : null),
+    ml_label: block.ml?.label || 'normal',
+    is_attack: label.isAttack,
+    verdict: label.verdict,
+    block_index: block.index,
+    feature_schema_version: block.ml?.featureSchema ?? null
+  };
+  return TRAINING_COLUMNS.map(column => row[column]);
+}
+
+function toCsvValue(v) {
+  if (v === undefined || v === null) return '';
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toTrainingCsv(rows) {
+  return [TRAINING_COLUMNS.join(','), ...rows.map(r => r.map(toCsvValue).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  VERDICTS,
+  TRAINING_COLUMNS,
+  isTrafficDecision,
+  validateLabel,
+  createLabelStore,
+  trainingRow,
+  toTrainingCsv
+};
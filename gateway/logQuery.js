@@ -0,0 +1,115 @@
+// Server-side filtering / cursor pagination for /admin/logs and exports
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const DECISIONS = ['allowed', 'blocked'];
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function parseTime(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) errors.push(`${name} must be an ISO date`);
+  return t;
+}
+
+// Turns req.query into validated filters; returns { errors } on bad input
+function parseLogQuery(query = {}) {
+  const errors = [];
+  const str = v => (typeof v === 'string' && v.trim() !== '' ? v.trim() : null);
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 0) errors.push('limit must be a non-negative integer');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (str(query.cursor)) {
+    cursor = Number(query.cursor);
+    if (!Number.isInteger(cursor) || cursor < 0) errors.push('cursor must be a block index');
+  }
+
+  let minRisk = null;
+  if (str(query.minRisk)) {
+    minRisk = Number(query.minRisk);
+    if (Number.isNaN(minRisk) || minRisk < 0 || minRisk > 1) errors.push('minRisk must be between 0 and 1');
+  }
+
+  const decision = str(query.decision);
+  if (decision && decision !== 'all' && !DECISIONS.includes(decision)) {
+    errors.push(`decision must be one of: all, ${DECISIONS.join(', ')}`);
+  }
+
+  const filters = {
+    from: parseTime(query.from, 'from', errors),
+    to: parseTime(query.to, 'to', errors),
+    userId: str(query.userId),
+    role: str(query.role),
+    ip: str(query.ip) && normalizeIp(str(query.ip)),
+    country: str(query.country) && str(query.country).toUpperCase(),
+    pathPrefix: str(query.pathPrefix),
+    decision: decision === 'all' ? null : decision,
+    label: str(query.label),
+    minRisk,
+    q: str(query.q) && str(query.q).toLowerCase()
+  };
+
+  return { errors, limit, cursor, filters };
+}
+
+function matchesLogFilters(entry, f) {
+  const ctx = entry.context || {};
+  const dec = entry.decision || {};
+
+  if (f.from !== null || f.to !== null) {
+    const t = Date.parse(entry.time || ctx.timestamp);
+    if (f.from !== null && !(t >= f.from)) return false;
+    if (f.to !== null && !(t <= f.to)) return false;
+  }
+  if (f.userId && ctx.userId !== f.userId) return false;
+  if (f.role && ctx.role !== f.role) return false;
+  if (f.ip && normalizeIp(ctx.ip) !== f.ip) return false;
+  if (f.country && ctx.country !== f.country) return false;
+  if (f.pathPrefix && !(ctx.path || entry.targetPath || '').startsWith(f.pathPrefix)) return false;
+  if (f.decision === 'allowed' && dec.allow === false) return false;
+  if (f.decision === 'blocked' && dec.allow !== false) return false;
+  if (f.label && dec.label !== f.label) return false;
+  if (f.minRisk !== null && !((dec.risk || 0) >= f.minRisk)) return false;
+  if (f.q) {
+    const haystack = [
+      ctx.path, entry.targetPath, ctx.userId, ctx.role, ctx.ip, ctx.userAgent,
+      dec.label, ...(entry.reasons || dec.reasons || [])
+    ].join(' ').toLowerCase();
+    if (!haystack.includes(f.q)) return false;
+  }
+  return true;
+}
+
+// blocks are oldest first; results are newest first, paged by block index
+function queryLogs(blocks, { limit, cursor, filters }) {
+  const items = [];
+  let total = 0;
+  let hasMore = false;
+
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    const entry = blocks[i];
+    if (!matchesLogFilters(entry, filters)) continue;
+    total++;
+    if (cursor !== null && entry.index >= cursor) continue;
+    if (items.length < limit) items.push(entry);
+    else hasMore = true;
+  }
+
+  return {
+    items,
+    total,
+    limit,
+    nextCursor: hasMore && items.length ? items[items.length - 1].index : null
+  };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseLogQuery, matchesLogFilters, queryLogs };
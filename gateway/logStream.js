@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+const { parseLogQuery, matchesLogFilters } = require('./logQuery');
+
+// Live audit feed: every sealed block is published to subscribers as it is appended,
+// so the dashboard gets pushed updates instead of re-polling /admin/logs.
+const MAX_BACKFILL = 1000;
+const HEARTBEAT_MS = 15 * 1000;
+
+function createLogHub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return {
+    publish: block => emitter.emit('block', block),
+    subscribe(fn) {
+      emitter.on('block', fn);
+      return () => emitter.off('block', fn);
+    },
+    subscribers: () => emitter.listenerCount('block')
+  };
+}
+
+// GET /admin/logs/stream — Server-Sent Events, same filters as /admin/logs.
+// Reconnecting clients send Last-Event-ID (or ?since=<index>) and get the blocks they
+// missed from the in-memory window; if those are gone a `reset` event tells them to reload.
+function createLogStreamEndpoints(app, { hub, recent, viewer }) {
+  app.get('/admin/logs/stream', viewer, (req, res) => {
+    const query = parseLogQuery(req.query);
+    const lastId = req.headers['last-event-id'] ?? req.query.since;
+    const since = lastId === undefined || lastId === '' ? null : Number(lastId);
+    if (since !== null && !(Number.isInteger(since) && since >= -1)) query.errors.push('Last-Event-ID / since must be a block index');
+    if (query.errors.length) return res.status(400).json({ error: 'Invalid log query', details: query.errors });
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data, id) => {
+      res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const sendBlock = block => {
+      if (matchesLogFilters(block, query.filters)) send('log', block, block.index);
+    };
+
+    // Backfill what the client missed, or tell it to start over
+    if (since !== null) {
+      const blocks = recent();
+      const missed = blocks.filter(b => b.index > since);
+      const gap = blocks.length && blocks[0].index > since + 1;
+      if (gap || missed.length > MAX_BACKFILL) send('reset', { reason: gap ? 'backfill_unavailable' : 'backfill_too_large', since });
+      else missed.forEach(sendBlock);
+    }
+    const head = recent().at(-1);
+    send('ready', { head: head ? head.index : null, filters: query.filters });
+
+    const unsubscribe = hub.subscribe(sendBlock);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    // The stream outlives no session: end it when the admin token expires
+    const expiry = req.admin.expiresAt
+      ? setTimeout(() => { send('session_expired', {}); res.end(); }, Math.max(0, req.admin.expiresAt - Date.now()))
+      : null;
+
+    req.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+  });
+}
+
+module.exports = { MAX_BACKFILL, createLogHub, createLogStreamEndpoints };
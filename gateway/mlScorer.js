@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// ML risk scoring: an exported tree ensemble (ml/export_model.py) is evaluated in-process;
+// the Python service on :5000 is only a fallback, called with a timeout behind a circuit
+// breaker. Every score reports ml_status ok / timeout / unavailable, so an outage shows
+// up in the audit log instead of quietly scoring 0.
+const MODEL_FORMAT = 'ngfw-tree-ensemble';
+const MODEL_VERSION = 1;
+const STATUSES = ['ok', 'timeout', 'unavailable'];
+
+const DEFAULT_ML = {
+  local: { enabled: true, modelFile: null },
+  remote: { enabled: true, url: 'http://localhost:5000/score', timeoutMs: 250 },
+  breaker: { failureThreshold: 3, openSec: 30 }
+};
+
+function validateMlConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  const { local = {}, remote = {}, breaker = {} } = doc;
+  if (local.enabled !== undefined && typeof local.enabled !== 'boolean') issues.push('local.enabled: must be a boolean');
+  if (local.modelFile !== undefined && (typeof local.modelFile !== 'string' || !local.modelFile)) issues.push('local.modelFile: must be a file path');
+  if (remote.enabled !== undefined && typeof remote.enabled !== 'boolean') issues.push('remote.enabled: must be a boolean');
+  if (remote.url !== undefined && !/^https?:\/\//.test(remote.url)) issues.push('remote.url: must be an http(s) URL');
+  if (remote.timeoutMs !== undefined && !(Number.isInteger(remote.timeoutMs) && remote.timeoutMs > 0)) issues.push('remote.timeoutMs: must be a positive integer');
+  if (breaker.failureThreshold !== undefined && !(Number.isInteger(breaker.failureThreshold) && breaker.failureThreshold > 0)) {
+    issues.push('breaker.failureThreshold: must be a positive integer');
+  }
+  if (breaker.openSec !== undefined && !(typeof breaker.openSec === 'number' && breaker.openSec > 0)) issues.push('breaker.openSec: must be a positive number of seconds');
+  return issues;
+}
+
+function loadMlConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateMlConfig(doc);
+  if (issues.length) throw new Error(`Invalid ML config ${file}:\n  - ${issues.join('\n  - ')}`);
+  return {
+    local: { ...DEFAULT_ML.local, ...doc.local },
+    remote: { ...DEFAULT_ML.remote, ...doc.remote },
+    breaker: { ...DEFAULT_ML.breaker, ...doc.breaker }
+  };
+}
+
+function validateModel(doc) {
+  const issues = [];
+  if (doc?.format !== MODEL_FORMAT) return [`format: expected "${MODEL_FORMAT}"`];
+  if (doc.version !== MODEL_VERSION) return [`version: unsupported model version ${doc.version} (expected ${MODEL_VERSION})`];
+  if (!Array.isArray(doc.features) || !doc.features.length) issues.push('features: must be a non-empty array');
+  if (!Array.isArray(doc.trees) || !doc.trees.length) issues.push('trees: must be a non-empty array');
+  if (issues.length) return issues;
+  doc.trees.forEach((tree, t) => {
+    const n = tree.value?.length;
+    if (!n || ['feature', 'threshold', 'left', 'right'].some(k => tree[k]?.length !== n)) {
+      return issues.push(`trees[${t}]: feature, threshold, left, right and value must have one entry per node`);
+    }
+    for (let i = 0; i < n; i++) {
+      if (tree.left[i] === -1) continue;
+      if (!(tree.feature[i] >= 0 && tree.feature[i] < doc.features.length)) return issues.push(`trees[${t}]: node ${i} uses unknown feature ${tree.feature[i]}`);
+      if (!(tree.left[i] > i && tree.left[i] < n && tree.right[i] > i && tree.right[i] < n)) return issues.push(`trees[${t}]: node ${i} has invalid children`);
+    }
+    return null;
+  });
+  return issues;
+}
+
+// Compiles the JSON ensemble: one-hot categorical inputs + numeric passthrough, mean of leaf P(attack)
+function loadTreeEnsemble(file) {
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const issues = validateModel(doc);
+  if (issues.length) throw new Error(`Invalid ML model ${file}:\n  - ${issues.join('\n  - ')}`);
+
+  const columns = doc.features.map((f, i) => ({ ...f, i }));
+  const oneHot = {};   // input → { category → feature index }
+  const numeric = [];  // [input, feature index]
+  for (const f of columns) {
+    if (f.equals !== undefined) (oneHot[f.input] ||= {})[f.equals] = f.i;
+    else numeric.push([f.input, f.i]);
+  }
+
+  function vectorize(row) {
+    const x = new Float64Array(columns.length);
+    for (const [input, categories] of Object.entries(oneHot)) {
+      const i = categories[String(row[input] ?? '')];
+      if (i !== undefined) x[i] = 1; // unseen categories stay all-zero
+    }
+    // sklearn trees compare float32 inputs
+    for (const [input, i] of numeric) x[i] = Math.fround(Number(row[input]) || 0);
+    return x;
+  }
+
+  function predict(row) {
+    const x = vectorize(row);
+    let sum = 0;
+    for (const tree of doc.trees) {
+      let node = 0;
+      while (tree.left[node] !== -1) {
+        node = x[tree.feature[node]] <= tree.threshold[node] ? tree.left[node] : tree.right[node];
+      }
+      sum += tree.value[node];
+    }
+    return sum / doc.trees.length;
+  }
+
+  const labels = { medium: 0.3, high: 0.6, ...doc.labels };
+  return {
+    predict,
+    labelFor: p => (p >= labels.high ? 'high_risk' : p >= labels.medium ? 'medium_risk' : 'normal'),
+    inputs: [...Object.keys(oneHot), ...numeric.map(([input]) => input)],
+    describe: () => ({
+      file,
+      trees: doc.trees.length,
+      features: columns.length,
+      exportedAt: doc.exportedAt || null,
+      featureSchema: doc.featureSchema ?? null,
+      source: doc.source || null
+    })
+  };
+}
+
+// closed → (failureThreshold consecutive failures) → open → (openSec) → half_open: one trial call
+function createCircuitBreaker({ failureThreshold, openSec }, { onChange = () => {} } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const transition = next => {
+    if (next === state) return;
+    const from = state;
+    state = next;
+    onChange(next, from);
+  };
+
+  return {
+    // true if a call may go through now
+    allow() {
+      if (state === 'open' && Date.now() - openedAt >= openSec * 1000) transition('half_open');
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    success() {
+      failures = 0;
+      trialInFlight = false;
+      openedAt = null;
+      transition('closed');
+    },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        openedAt = Date.now();
+        transition('open');
+      }
+    },
+    describe: () => ({
+      state,
+      failures,
+      ...(openedAt ? { openedAt: new Date(openedAt).toISOString(), retryAt: new Date(openedAt + openSec * 1000).toISOString() } : {})
+    })
+  };
+}
+
+function isTimeout(err) {
+  return err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message);
+}
+
+// score(vector) → { risk, label, status, source: local|remote|null, latencyMs, error? }
+// vector: { schemaVersion, values } from features.js; `featureNames` is that schema's field
+// list, and a local model that needs any other input is refused at startup.
+function createMlScorer(config = loadMlConfig(null), { baseDir = process.cwd(), featureNames = null, log = console.log } = {}) {
+  let model = null;
+  let modelError = null;
+  if (config.local.enabled && config.local.modelFile) {
+    const file = path.resolve(baseDir, config.local.modelFile);
+    if (fs.existsSync(file)) model = loadTreeEnsemble(file);
+    else modelError = `model file not found: ${file}`;
+  }
+  const missing = model && featureNames ? model.inputs.filter(input => !featureNames.includes(input)) : [];
+  if (missing.length) throw new Error(`ML model ${model.describe().file} needs features the gateway does not send: ${missing.join(', ')}`);
+
+  const breaker = createCircuitBreaker(config.breaker, {
+    onChange: (state, from) => log(`ML service circuit ${from} → ${state}`)
+  });
+  const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  let last = null;
+
+  const finish = (started, result) => {
+    const scored = { ...result, latencyMs: Number((performance.now() - started).toFixed(2)) };
+    counts[scored.status]++;
+    last = { status: scored.status, source: scored.source, at: new Date().toISOString(), ...(scored.error ? { error: scored.error } : {}) };
+    return scored;
+  };
+
+  async function scoreRemote(vector) {
+    if (!breaker.allow()) return { status: 'unavailable', source: null, error: 'circuit_open' };
+    try {
+      const res = await axios.post(config.remote.url, { schema_version: vector.schemaVersion, features: vector.values }, { timeout: config.remote.timeoutMs });
+      if (typeof res.data?.ml_risk !== 'number') throw new Error('response has no numeric ml_risk');
+      breaker.success();
+      return { status: 'ok', source: 'remote', risk: res.data.ml_risk, label: res.data.ml_label || 'normal' };
+    } catch (err) {
+      breaker.failure();
+      return {
+        status: isTimeout(err) ? 'timeout' : 'unavailable',
+        source: null,
+        error: isTimeout(err)
+          ? `no response within ${config.remote.timeoutMs}ms`
+          : err.response ? `HTTP ${err.response.status}${err.response.data?.detail ? `: ${JSON.stringify(err.response.data.detail)}` : ''}` : err.message
+      };
+    }
+  }
+
+  async function score(vector) {
+    const started = performance.now();
+    if (model) {
+      try {
+        const risk = model.predict(vector.values);
+        return finish(started, { status: 'ok', source: 'local', risk, label: model.labelFor(risk) });
+      } catch (err) {
+        log(`ML model evaluation failed: ${err.message}`);
+      }
+    }
+    if (config.remote.enabled) return finish(started, await scoreRemote(vector));
+    return finish(started, { status: 'unavailable', source: null, error: modelError || 'no ML model or service configured' });
+  }
+
+  function describe() {
+    return {
+      local: config.local.enabled
+        ? { loaded: Boolean(model), ...(model ? model.describe() : { error: modelError }) }
+        : { enabled: false },
+      remote: config.remote.enabled
+        ? { url: config.remote.url, timeoutMs: config.remote.timeoutMs, breaker: breaker.describe() }
+        : { enabled: false },
+      counts,
+      last
+    };
+  }
+
+  return { score, describe };
+}
+
+module.exports = {
+  MODEL_FORMAT,
+  STATUSES,
+  validateMlConfig,
+  loadMlConfig,
+  loadTreeEnsemble,
+  createCircuitBreaker,
+  createMlScorer
+};
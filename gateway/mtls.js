@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, normalizeRequestPath } = require('./policy');
+
+// Optional mutual TLS: the HTTPS server asks for a client certificate, verifies it
+// against a trusted CA bundle and CRL, and mapped certificates become an identity
+// (userId + role) for RBAC. Routes can require a verified certificate.
+const USER_SOURCES = ['subjectCN', 'email', 'san'];
+
+// "*.ops.example.com", "URI:spiffe://example.com/*" — `*` matches anything, including "/"
+function wildcard(pattern) {
+  const re = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${re}$`, 'i');
+}
+
+function validateMtlsConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['mtls: must be an object'];
+  if (doc.enabled !== undefined && typeof doc.enabled !== 'boolean') issues.push('mtls.enabled: must be a boolean');
+  if (doc.enabled && !doc.caFile) issues.push('mtls.caFile: required when mTLS is enabled');
+  if (doc.userFrom !== undefined && !USER_SOURCES.includes(doc.userFrom)) {
+    issues.push(`mtls.userFrom: must be one of ${USER_SOURCES.join(', ')}`);
+  }
+  if (doc.requiredPaths !== undefined && (!Array.isArray(doc.requiredPaths) || doc.requiredPaths.some(p => typeof p !== 'string' || !p.startsWith('/')))) {
+    issues.push('mtls.requiredPaths: must be an array of path globs starting with "/"');
+  }
+  (Array.isArray(doc.identities) ? doc.identities : []).forEach((rule, i) => {
+    const where = `mtls.identities[${i}]`;
+    if (!rule.subjectCN && !rule.san && !rule.issuerCN) issues.push(`${where}: needs subjectCN, san or issuerCN to match on`);
+    if (!rule.role || typeof rule.role !== 'string') issues.push(`${where}.role: required`);
+    if (rule.userFrom !== undefined && !USER_SOURCES.includes(rule.userFrom)) {
+      issues.push(`${where}.userFrom: must be one of ${USER_SOURCES.join(', ')}`);
+    }
+  });
+  if (doc.identities !== undefined && !Array.isArray(doc.identities)) issues.push('mtls.identities: must be an array');
+  return issues;
+}
+
+// "DNS:svc.local, URI:spiffe://x/y, email:a@b" → ['DNS:svc.local', 'URI:spiffe://x/y', 'email:a@b']
+function parseSubjectAltNames(value) {
+  return String(value || '').split(/,\s*/).map(s => s.trim()).filter(Boolean);
+}
+
+function describeCertificate(cert, socket) {
+  const san = parseSubjectAltNames(cert.subjectaltname);
+  return {
+    subjectCN: cert.subject?.CN || null,
+    issuerCN: cert.issuer?.CN || null,
+    san,
+    serial: cert.serialNumber || null,
+    fingerprint256: cert.fingerprint256 || null,
+    validTo: cert.valid_to || null,
+    authorized: socket.authorized === true,
+    ...(socket.authorizationError ? { error: String(socket.authorizationError.code || socket.authorizationError) } : {})
+  };
+}
+
+function createMtls(config = {}, { baseDir = __dirname } = {}) {
+  const issues = validateMtlsConfig(config);
+  if (issues.length) throw new Error(`Invalid mTLS config:\n  - ${issues.join('\n  - ')}`);
+
+  const enabled = config.enabled === true;
+  const caFile = config.caFile ? path.resolve(baseDir, config.caFile) : null;
+  const crlFile = config.crlFile ? path.resolve(baseDir, config.crlFile) : null;
+  const required = (config.requiredPaths || []).map(glob => ({ glob, regex: globToRegExp(glob) }));
+  const identities = (config.identities || []).map((rule, i) => ({
+    id: rule.id || `identity-${i}`,
+    subjectCN: rule.subjectCN ? wildcard(rule.subjectCN) : null,
+    san: rule.san ? wildcard(rule.san) : null,
+    issuerCN: rule.issuerCN ? wildcard(rule.issuerCN) : null,
+    userId: rule.userId || null,
+    userFrom: rule.userFrom || config.userFrom || 'subjectCN',
+    role: rule.role
+  }));
+  let loadedAt = null;
+
+  // TLS options for https.createServer / server.setSecureContext
+  function serverOptions() {
+    if (!enabled) return {};
+    const options = { requestCert: true, rejectUnauthorized: false, ca: fs.readFileSync(caFile) };
+    if (crlFile) options.crl = fs.readFileSync(crlFile);
+    loadedAt = new Date().toISOString();
+    return options;
+  }
+
+  function userIdFor(rule, info) {
+    if (rule.userId) return rule.userId;
+    if (rule.userFrom === 'email') return (info.san.find(s => s.startsWith('email:')) || '').slice(6) || null;
+    if (rule.userFrom === 'san') return (info.san[0] || '').replace(/^[A-Za-z ]+:/, '') || null;
+    return info.subjectCN;
+  }
+
+  // → null (no certificate) | { ok: true, userId, role, identityRule, cert } | { ok: false, failure, cert }
+  function identify(req) {
+    if (!enabled || typeof req.socket.getPeerCertificate !== 'function') return null;
+    const cert = req.socket.getPeerCertificate(false);
+    if (!cert || !Object.keys(cert).length) return null;
+
+    const info = describeCertificate(cert, req.socket);
+    if (!info.authorized) {
+      return { ok: false, failure: info.error === 'CERT_REVOKED' ? 'client_cert_revoked' : 'client_cert_untrusted', cert: info };
+    }
+    const rule = identities.find(r =>
+      (!r.subjectCN || r.subjectCN.test(info.subjectCN || '')) &&
+      (!r.issuerCN || r.issuerCN.test(info.issuerCN || '')) &&
+      (!r.san || info.san.some(s => r.san.test(s))));
+    if (!rule) return { ok: false, failure: 'client_cert_unmapped', cert: info };
+    const userId = userIdFor(rule, info);
+    if (!userId) return { ok: false, failure: 'client_cert_no_user', cert: info };
+    return { ok: true, userId, role: rule.role, identityRule: rule.id, cert: info };
+  }
+
+  function requires(reqPath) {
+    if (!enabled || !required.length) return null;
+    const normalized = normalizeRequestPath(reqPath);
+    const hit = required.find(r => r.regex.test(normalized));
+    return hit ? hit.glob : null;
+  }
+
+  // CA bundle / CRL edits (e.g. a new revocation) apply to new connections without a restart
+  function watch(server, baseOptions, interval = 2000) {
+    if (!enabled) return;
+    const reload = (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        server.setSecureContext({ ...baseOptions, ...serverOptions() });
+        console.log('mTLS: CA bundle / CRL reloaded');
+      } catch (err) {
+        console.error(`mTLS reload failed, keeping previous CA / CRL: ${err.message}`);
+      }
+    };
+    for (const file of [caFile, crlFile].filter(Boolean)) fs.watchFile(file, { interval }, reload);
+  }
+
+  function status() {
+    return {
+      enabled,
+      caFile,
+      crlFile,
+      loadedAt,
+      requiredPaths: required.map(r => r.glob),
+      identities: identities.map(r => ({ id: r.id, role: r.role }))
+    };
+  }
+
+  return { enabled, serverOptions, identify, requires, watch, status };
+}
+
+module.exports = { USER_SOURCES, validateMtlsConfig, parseSubjectAltNames, createMtls };
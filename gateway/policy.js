@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+
+// Declarative RBAC policy: per-role rules on method + path glob/regex,
+// explicit priority (higher first, deny wins ties), default deny.
+const EFFECTS = ['allow', 'deny'];
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+class PolicyError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length ? `${message}:\n  - ${issues.join('\n  - ')}` : message);
+    this.name = 'PolicyError';
+    this.issues = issues;
+  }
+}
+
+// Glob → RegExp. `*` matches one path segment, `**` any number of segments (including none).
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      const slashBefore = re.endsWith('/');
+      if (slashBefore) re = re.slice(0, -1);
+      re += slashBefore ? '(?:/.*)?' : '.*';
+      i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + '/?$');
+}
+
+// Collapse dot segments / duplicate slashes and drop the query so /info/../admin can't slip past
+function normalizeRequestPath(rawPath) {
+  let p = String(rawPath || '/').split('?')[0];
+  try { p = decodeURIComponent(p); } catch { /* keep raw path */ }
+  p = path.posix.normalize('/' + p);
+  return p.length > 1 && p.endsWith('/') ? p.slice(0, -1) : p;
+}
+
+function validateRule(rule, where, issues) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    issues.push(`${where}: must be an object`);
+    return;
+  }
+  if (rule.id !== undefined && typeof rule.id !== 'string') issues.push(`${where}.id: must be a string`);
+  if (!EFFECTS.includes(rule.effect)) issues.push(`${where}.effect: must be one of ${EFFECTS.join(', ')}`);
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) issues.push(`${where}.priority: must be a number`);
+
+  const hasPath = rule.path !== undefined;
+  const hasRegex = rule.pathRegex !== undefined;
+  if (hasPath === hasRegex) issues.push(`${where}: needs exactly one of "path" or "pathRegex"`);
+  if (hasPath && (typeof rule.path !== 'string' || !rule.path.startsWith('/'))) {
+    issues.push(`${where}.path: must be a glob starting with "/"`);
+  }
+  if (hasRegex) {
+    try { new RegExp(rule.pathRegex); } catch (err) { issues.push(`${where}.pathRegex: ${err.message}`); }
+  }
+
+  if (rule.methods !== undefined) {
+    if (rule.methods === '*') return;
+    if (!Array.isArray(rule.methods) || rule.methods.length === 0) {
+      issues.push(`${where}.methods: must be "*" or a non-empty array`);
+      return;
+    }
+    rule.methods.forEach((m, i) => {
+      if (typeof m !== 'string' || !METHODS.includes(m.toUpperCase())) {
+        issues.push(`${where}.methods[${i}]: unknown method "${m}"`);
+      }
+    });
+  }
+}
+
+function validatePolicy(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new PolicyError('Policy must be a JSON object');
+  }
+  if (doc.defaultEffect !== undefined && !EFFECTS.includes(doc.defaultEffect)) {
+    issues.push(`defaultEffect: must be one of ${EFFECTS.join(', ')}`);
+  }
+  if (doc.global !== undefined) {
+    if (!Array.isArray(doc.global)) issues.push('global: must be an array of rules');
+    else doc.global.forEach((r, i) => validateRule(r, `global[${i}]`, issues));
+  }
+  if (!doc.roles || typeof doc.roles !== 'object' || Array.isArray(doc.roles)) {
+    issues.push('roles: must be an object keyed by role name');
+  } else {
+    for (const [name, role] of Object.entries(doc.roles)) {
+      const where = `roles.${name}`;
+      if (!role || typeof role !== 'object') { issues.push(`${where}: must be an object`); continue; }
+      if (role.inherits !== undefined) {
+        if (!Array.isArray(role.inherits)) issues.push(`${where}.inherits: must be an array of role names`);
+        else role.inherits.forEach(p => { if (!doc.roles[p]) issues.push(`${where}.inherits: unknown role "${p}"`); });
+      }
+      if (!Array.isArray(role.rules)) issues.push(`${where}.rules: must be an array`);
+      else role.rules.forEach((r, i) => validateRule(r, `${where}.rules[${i}]`, issues));
+    }
+    const seen = new Set();
+    const allRules = [
+      ...(Array.isArray(doc.global) ? doc.global : []),
+      ...Object.values(doc.roles).flatMap(r => (r && Array.isArray(r.rules) ? r.rules : []))
+    ];
+    for (const rule of allRules) {
+      if (!rule || typeof rule.id !== 'string') continue;
+      if (seen.has(rule.id)) issues.push(`rule id "${rule.id}" is used more than once`);
+      seen.add(rule.id);
+    }
+    if (doc.fallbackRole !== undefined && !doc.roles[doc.fallbackRole]) {
+      issues.push(`fallbackRole: unknown role "${doc.fallbackRole}"`);
+    }
+  }
+  if (issues.length) throw new PolicyError('Invalid policy', issues);
+}
+
+function compileRule(rule, source, order) {
+  return {
+    id: rule.id || `${source}#${order}`,
+    source,
+    effect: rule.effect,
+    priority: rule.priority || 0,
+    methods: !rule.methods || rule.methods === '*' ? null : rule.methods.map(m => m.toUpperCase()),
+    pattern: rule.path !== undefined ? rule.path : rule.pathRegex,
+    regex: rule.path !== undefined ? globToRegExp(rule.path) : new RegExp(rule.pathRegex),
+    order
+  };
+}
+
+// Resolve inheritance and sort each role's rules into evaluation order
+function compilePolicy(doc) {
+  validatePolicy(doc);
+  let order = 0;
+  const global = (doc.global || []).map(r => compileRule(r, 'global', order++));
+  const own = {};
+  for (const [name, role] of Object.entries(doc.roles)) {
+    own[name] = role.rules.map(r => compileRule(r, name, order++));
+  }
+
+  function collect(name, seen) {
+    if (seen.includes(name)) {
+      throw new PolicyError('Invalid policy', [`roles.${name}.inherits: cycle ${[...seen, name].join(' -> ')}`]);
+    }
+    const parents = doc.roles[name].inherits || [];
+    return [...own[name], ...parents.flatMap(p => collect(p, [...seen, name]))];
+  }
+
+  const roles = {};
+  for (const name of Object.keys(doc.roles)) {
+    roles[name] = [...global, ...collect(name, [])].sort((a, b) =>
+      b.priority - a.priority ||
+      (a.effect === b.effect ? 0 : a.effect === 'deny' ? -1 : 1) ||
+      a.order - b.order
+    );
+  }
+
+  return {
+    version: doc.version || null,
+    defaultEffect: doc.defaultEffect || 'deny',
+    fallbackRole: doc.fallbackRole || null,
+    roles
+  };
+}
+
+function evaluatePolicy(compiled, role, method, rawPath) {
+  const reqPath = normalizeRequestPath(rawPath);
+  const verb = String(method || 'GET').toUpperCase();
+  const effectiveRole = compiled.roles[role] ? role : compiled.fallbackRole;
+  const rules = compiled.roles[effectiveRole] || compiled.roles[role] || [];
+
+  for (const rule of rules) {
+    if (rule.methods && !rule.methods.includes(verb)) continue;
+    if (!rule.regex.test(reqPath)) continue;
+    return { allowed: rule.effect === 'allow', effect: rule.effect, ruleId: rule.id, role: effectiveRole, path: reqPath };
+  }
+  return {
+    allowed: compiled.defaultEffect === 'allow',
+    effect: compiled.defaultEffect,
+    ruleId: 'default',
+    role: effectiveRole,
+    path: reqPath
+  };
+}
+
+// Loads the policy file, keeps the last valid version on bad edits, hot-reloads on change
+function createPolicyEngine({ file, watchInterval = 1000 }) {
+  let doc = null;
+  let rawText = null;
+  let compiled = null;
+  let loadedAt = null;
+  let lastError = null;
+
+  function load() {
+    let text;
+    let nextDoc;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+      nextDoc = JSON.parse(text);
+    } catch (err) {
+      throw new PolicyError(`Cannot read policy file ${file}: ${err.message}`);
+    }
+    compiled = compilePolicy(nextDoc);
+    doc = nextDoc;
+    rawText = text;
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    return compiled;
+  }
+
+  function reload() {
+    try {
+      if (fs.readFileSync(file, 'utf8') === rawText) return true; // our own write
+      load();
+      console.log(`Policy reloaded from ${file}`);
+      return true;
+    } catch (err) {
+      lastError = err.message;
+      console.error(`Policy reload failed, keeping previous policy. ${err.message}`);
+      return false;
+    }
+  }
+
+  // Apply a change to a copy of the document; only a valid result is activated and persisted
+  function update(mutate) {
+    const next = JSON.parse(JSON.stringify(doc));
+    mutate(next);
+    const nextCompiled = compilePolicy(next);
+    const text = JSON.stringify(next, null, 2) + '\n';
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+    doc = next;
+    rawText = text;
+    compiled = nextCompiled;
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    return document();
+  }
+
+  function document() {
+    return JSON.parse(JSON.stringify(doc));
+  }
+
+  function watch() {
+    fs.watchFile(file, { interval: watchInterval }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) reload();
+    });
+  }
+
+  load();
+
+  return {
+    evaluate: (role, method, reqPath) => evaluatePolicy(compiled, role, method, reqPath),
+    reload,
+    update,
+    document,
+    watch,
+    close: () => fs.unwatchFile(file),
+    status: () => ({
+      file,
+      version: compiled.version,
+      loadedAt,
+      lastError,
+      roles: Object.keys(compiled.roles)
+    })
+  };
+}
+
+module.exports = {
+  PolicyError,
+  globToRegExp,
+  normalizeRequestPath,
+  validatePolicy,
+  compilePolicy,
+  evaluatePolicy,
+  createPolicyEngine
+};
@@ -0,0 +1,162 @@
+const { PolicyError } = require('./policy');
+
+// Runtime policy management: /admin/policies CRUD + dry-run, every change audited
+function findRule(doc, id) {
+  if (Array.isArray(doc.global)) {
+    const i = doc.global.findIndex(r => r.id === id);
+    if (i !== -1) return { scope: 'global', list: doc.global, i };
+  }
+  for (const [name, role] of Object.entries(doc.roles || {})) {
+    const i = (role.rules || []).findIndex(r => r.id === id);
+    if (i !== -1) return { scope: name, list: role.rules, i };
+  }
+  return null;
+}
+
+function listRules(doc) {
+  return [
+    ...(doc.global || []).map(rule => ({ scope: 'global', ...rule })),
+    ...Object.entries(doc.roles || {}).flatMap(([name, role]) =>
+      (role.rules || []).map(rule => ({ scope: name, ...rule })))
+  ];
+}
+
+function targetList(doc, scope) {
+  if (scope === 'global') {
+    if (!Array.isArray(doc.global)) doc.global = [];
+    return doc.global;
+  }
+  if (!doc.roles[scope]) throw new PolicyError('Invalid policy', [`unknown role "${scope}"`]);
+  return doc.roles[scope].rules;
+}
+
+function createPolicyEndpoints(app, { policyEngine, recordPolicyChange, viewer, operator }) {
+  function sendError(res, err) {
+    if (err instanceof PolicyError) {
+      return res.status(400).json({ error: 'Invalid policy', details: err.issues.length ? err.issues : [err.message] });
+    }
+    console.error('Policy update failed:', err);
+    return res.status(500).json({ error: 'Failed to update policy', details: err.message });
+  }
+
+  app.get('/admin/policies', viewer, (req, res) => {
+    const doc = policyEngine.document();
+    res.json({ policy: doc, rules: listRules(doc), status: policyEngine.status() });
+  });
+
+  app.get('/admin/policies/rules', viewer, (req, res) => {
+    res.json(listRules(policyEngine.document()));
+  });
+
+  // body: { scope: 'global' | <role>, rule: { id?, effect, path | pathRegex, methods?, priority? } }
+  app.post('/admin/policies/rules', operator, (req, res) => {
+    const { scope, rule } = req.body || {};
+    if (!scope || !rule || typeof rule !== 'object') {
+      return res.status(400).json({ error: 'Invalid policy', details: ['body needs "scope" and "rule"'] });
+    }
+    const created = { ...rule, id: rule.id || `${scope}-${Date.now().toString(36)}` };
+    try {
+      policyEngine.update(doc => {
+        if (findRule(doc, created.id)) throw new PolicyError('Invalid policy', [`rule id "${created.id}" already exists`]);
+        targetList(doc, scope).push(created);
+      });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    recordPolicyChange(req, { action: 'rule_created', ruleId: created.id, scope, before: null, after: created });
+    res.status(201).json({ scope, ...created });
+  });
+
+  // body: { scope?, rule } — replaces the rule (id is kept), optionally moving it to another scope
+  app.put('/admin/policies/rules/:id', operator, (req, res) => {
+    const { id } = req.params;
+    const { scope, rule } = req.body || {};
+    if (!rule || typeof rule !== 'object') {
+      return res.status(400).json({ error: 'Invalid policy', details: ['body needs "rule"'] });
+    }
+    const existing = findRule(policyEngine.document(), id);
+    if (!existing) return res.status(404).json({ error: 'Rule not found', id });
+
+    const before = existing.list[existing.i];
+    const after = { ...rule, id };
+    const nextScope = scope || existing.scope;
+    try {
+      policyEngine.update(doc => {
+        const found = findRule(doc, id);
+        if (nextScope === found.scope) {
+          found.list[found.i] = after;
+        } else {
+          found.list.splice(found.i, 1);
+          targetList(doc, nextScope).push(after);
+        }
+      });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    recordPolicyChange(req, { action: 'rule_updated', ruleId: id, scope: nextScope, before, after });
+    res.json({ scope: nextScope, ...after });
+  });
+
+  app.delete('/admin/policies/rules/:id', operator, (req, res) => {
+    const { id } = req.params;
+    const existing = findRule(policyEngine.document(), id);
+    if (!existing) return res.status(404).json({ error: 'Rule not found', id });
+
+    const before = existing.list[existing.i];
+    try {
+      policyEngine.update(doc => {
+        const found = findRule(doc, id);
+        found.list.splice(found.i, 1);
+      });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    recordPolicyChange(req, { action: 'rule_deleted', ruleId: id, scope: existing.scope, before, after: null });
+    res.status(204).end();
+  });
+
+  // body: { name, inherits? }
+  app.post('/admin/policies/roles', operator, (req, res) => {
+    const { name, inherits } = req.body || {};
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+      return res.status(400).json({ error: 'Invalid policy', details: ['"name" must be letters, digits, "_" or "-"'] });
+    }
+    const role = { ...(inherits ? { inherits } : {}), rules: [] };
+    try {
+      policyEngine.update(doc => {
+        if (doc.roles[name]) throw new PolicyError('Invalid policy', [`role "${name}" already exists`]);
+        doc.roles[name] = role;
+      });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    recordPolicyChange(req, { action: 'role_created', role: name, before: null, after: role });
+    res.status(201).json({ name, ...role });
+  });
+
+  app.delete('/admin/policies/roles/:name', operator, (req, res) => {
+    const { name } = req.params;
+    const before = policyEngine.document().roles[name];
+    if (!before) return res.status(404).json({ error: 'Role not found', name });
+    try {
+      policyEngine.update(doc => { delete doc.roles[name]; });
+    } catch (err) {
+      return sendError(res, err);
+    }
+    recordPolicyChange(req, { action: 'role_deleted', role: name, before, after: null });
+    res.status(204).end();
+  });
+
+  // Dry run: which rule would decide this request, without forwarding anything
+  app.post('/admin/policies/test', viewer, (req, res) => {
+    const { role, method, path } = req.body || {};
+    if (typeof path !== 'string' || !path) {
+      return res.status(400).json({ error: 'Invalid test request', details: ['"path" is required'] });
+    }
+    const result = policyEngine.evaluate(role || 'guest', method || 'GET', path);
+    const rule = result.ruleId === 'default' ? null : listRules(policyEngine.document()).find(r => r.id === result.ruleId);
+    res.json({ ...result, rule: rule || null });
+  });
+}
+
+module.exports = { createPolicyEndpoints };
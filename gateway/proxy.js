@@ -0,0 +1,144 @@
+const http = require('http');
+const https = require('https');
+
+// Reverse proxy: the request body is sent byte-for-byte as received (after inspection),
+// the backend response (status, headers, cookies, body) is streamed straight back.
+const HOP_BY_HOP = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+// Drops hop-by-hop headers, including any the sender listed in `Connection`
+function stripHopByHop(headers) {
+  const listed = String(headers.connection || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  const out = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || HOP_BY_HOP.includes(name) || listed.includes(name)) continue;
+    out[name] = value;
+  }
+  return out;
+}
+
+// X-Forwarded-* for the backend, rebuilt from the resolved client (see clientIp.js):
+// hops left of the client and anything an untrusted peer claimed are dropped
+function forwardedHeaders(req, client) {
+  const chain = client.chain.slice(client.chain.lastIndexOf(client.ip));
+  const host = client.peerTrusted && req.headers['x-forwarded-host'] ? req.headers['x-forwarded-host'] : req.headers.host;
+  return {
+    'x-forwarded-for': chain.join(', '),
+    'x-forwarded-proto': client.proto,
+    'x-forwarded-host': host || '',
+    'x-real-ip': client.ip
+  };
+}
+
+// Counts complete Server-Sent Events (blank-line terminated) across chunk boundaries
+function createSseCounter() {
+  const stats = { events: 0 };
+  let lineHasData = false;
+  let eventHasData = false;
+  let prevCR = false;
+
+  function endLine() {
+    if (lineHasData) {
+      eventHasData = true;
+      lineHasData = false;
+    } else if (eventHasData) {
+      stats.events++;
+      eventHasData = false;
+    }
+  }
+
+  function push(chunk) {
+    for (const byte of chunk) {
+      if (byte === 0x0d) { endLine(); prevCR = true; continue; }
+      if (byte === 0x0a) { if (!prevCR) endLine(); prevCR = false; continue; }
+      prevCR = false;
+      lineHasData = true;
+    }
+  }
+
+  return { push, stats };
+}
+
+// → Promise<{ status, bytes, durationMs, closeReason, eventStream?, events?, error? }>;
+// rejects only if nothing was sent to the client yet
+function proxyRequest(req, res, { url, agent, headers, body, timeoutMs = 10000, responseHeaders = {} }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const started = Date.now();
+    const outHeaders = { ...headers, host: target.host };
+    // express.raw() hands GET / HEAD requests an empty buffer: only a request that
+    // declared a body (even an empty one) gets a Content-Length of its own
+    const declared = req.headers['content-length'] !== undefined || req.headers['transfer-encoding'] !== undefined;
+    if (body && !body.length && !declared) body = null;
+    if (body) {
+      outHeaders['content-length'] = String(body.length);
+      delete outHeaders['content-encoding']; // body was inflated for inspection
+    }
+
+    let settled = false;
+    let clientGone = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve({ ...result, durationMs: Date.now() - started });
+    };
+
+    const upstreamReq = client.request(target, { method: req.method, headers: outHeaders, agent }, upstreamRes => {
+      upstreamReq.setTimeout(0);
+      const resHeaders = stripHopByHop(upstreamRes.headers);
+      res.status(upstreamRes.statusCode);
+      for (const [name, value] of Object.entries(resHeaders)) res.setHeader(name, value);
+      for (const [name, value] of Object.entries(responseHeaders)) res.setHeader(name, value);
+
+      // Long-lived event streams get their events counted for the session audit entry
+      const sse = String(upstreamRes.headers['content-type'] || '').startsWith('text/event-stream') ? createSseCounter() : null;
+      let bytes = 0;
+      const summary = (closeReason, extra = {}) => ({
+        status: upstreamRes.statusCode,
+        bytes,
+        closeReason,
+        ...(sse ? { eventStream: true, events: sse.stats.events } : {}),
+        ...extra
+      });
+
+      upstreamRes.on('data', chunk => {
+        bytes += chunk.length;
+        if (sse) sse.push(chunk);
+      });
+      upstreamRes.on('end', () => settle(summary('completed')));
+      upstreamRes.on('error', err => {
+        res.destroy(err);
+        settle(summary(clientGone ? 'client_disconnected' : 'upstream_error', { error: err.message }));
+      });
+      upstreamRes.on('close', () => settle(summary(clientGone ? 'client_disconnected' : upstreamRes.complete ? 'completed' : 'upstream_disconnected')));
+      upstreamRes.pipe(res);
+    });
+
+    // Waiting for response headers; once streaming, the backend may take as long as it needs
+    upstreamReq.setTimeout(timeoutMs, () => upstreamReq.destroy(new Error(`upstream timed out after ${timeoutMs}ms`)));
+    upstreamReq.on('error', err => {
+      if (res.headersSent) {
+        res.destroy(err);
+        settle({ status: res.statusCode, bytes: 0, closeReason: 'upstream_error', error: err.message });
+      } else if (!settled) {
+        settled = true;
+        reject(err);
+      }
+    });
+
+    // Client went away: stop talking to the backend too
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      clientGone = true;
+      upstreamReq.destroy();
+    });
+
+    // Bodies were already read (and size-capped) for inspection; see index.js
+    upstreamReq.end(body || undefined);
+  });
+}
+
+module.exports = { HOP_BY_HOP, stripHopByHop, forwardedHeaders, createSseCounter, proxyRequest };
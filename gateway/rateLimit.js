@@ -0,0 +1,340 @@
+const fs = require('fs');
+const { globToRegExp, normalizeRequestPath } = require('./policy');
+const { hashApiKey } = require('./auth');
+
+// Rate limiting for proxied traffic: token-bucket / sliding-window algorithms,
+// configurable keys and per-route rules, state kept in a pluggable store.
+const KEY_PARTS = ['ip', 'userId', 'role', 'path', 'apiKey'];
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Every algorithm exists twice with the same semantics: `run` for in-process stores,
+// `lua` for Redis (one atomic EVAL per request). Both return a flat array of numbers.
+const ALGORITHMS = {
+  // args: capacity, refillPerMs, cost, now, ttlMs → [allowed, tokens]
+  token_bucket: {
+    run(state, [capacity, refillPerMs, cost, now]) {
+      let tokens = state ? state.tokens : capacity;
+      const ts = state ? state.ts : now;
+      tokens = Math.min(capacity, tokens + Math.max(0, now - ts) * refillPerMs);
+      let allowed = 0;
+      if (tokens >= cost) { tokens -= cost; allowed = 1; }
+      return { state: { tokens, ts: now }, result: [allowed, tokens] };
+    },
+    lua: `
+local capacity, refill, cost, now, ttl = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4]), tonumber(ARGV[5])
+local raw = redis.call('GET', KEYS[1])
+local tokens, ts = capacity, now
+if raw then local s = cjson.decode(raw); tokens = s.tokens; ts = s.ts end
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refill)
+local allowed = 0
+if tokens >= cost then tokens = tokens - cost; allowed = 1 end
+redis.call('SET', KEYS[1], cjson.encode({ tokens = tokens, ts = now }), 'PX', ttl)
+return { allowed, tostring(tokens) }`
+  },
+
+  // Sliding-window counter: the previous window's count is weighted by how much of it still overlaps.
+  // args: limit, windowMs, cost, now, ttlMs → [allowed, current, previous, windowStart]
+  sliding_window: {
+    run(state, [limit, windowMs, cost, now]) {
+      const start = now - (now % windowMs);
+      let curr = 0;
+      let prev = 0;
+      if (state && state.start === start) { curr = state.curr; prev = state.prev; }
+      else if (state && state.start === start - windowMs) { prev = state.curr; }
+      const weight = (windowMs - (now - start)) / windowMs;
+      let allowed = 0;
+      if (prev * weight + curr + cost <= limit) { curr += cost; allowed = 1; }
+      return { state: { start, curr, prev }, result: [allowed, curr, prev, start] };
+    },
+    lua: `
+local limit, window, cost, now, ttl = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4]), tonumber(ARGV[5])
+local start = now - (now % window)
+local curr, prev = 0, 0
+local raw = redis.call('GET', KEYS[1])
+if raw then
+  local s = cjson.decode(raw)
+  if s.start == start then curr = s.curr; prev = s.prev elseif s.start == start - window then prev = s.curr end
+end
+local weight = (window - (now - start)) / window
+local allowed = 0
+if prev * weight + curr + cost <= limit then curr = curr + cost; allowed = 1 end
+redis.call('SET', KEYS[1], cjson.encode({ start = start, curr = curr, prev = prev }), 'PX', ttl)
+return { allowed, curr, prev, start }`
+  }
+};
+
+// In-process store: LRU eviction once maxKeys is reached, expired keys swept periodically
+function createMemoryStore({ maxKeys = 50000, sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { state, expiresAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) if (e.expiresAt <= now) entries.delete(key);
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  async function consume(key, algorithm, args, ttlMs) {
+    const now = Date.now();
+    const existing = entries.get(key);
+    const state = existing && existing.expiresAt > now ? existing.state : null;
+    const { state: next, result } = ALGORITHMS[algorithm].run(state, args);
+    entries.delete(key); // re-insert to mark as most recently used
+    entries.set(key, { state: next, expiresAt: now + ttlMs });
+    while (entries.size > maxKeys) entries.delete(entries.keys().next().value);
+    return result;
+  }
+
+  return {
+    type: 'memory',
+    consume,
+    stats: () => ({ keys: entries.size, maxKeys }),
+    close: () => clearInterval(sweep)
+  };
+}
+
+// Redis-compatible store; `client` needs an ioredis-style eval(script, numKeys, ...keysAndArgs)
+function createRedisStore({ client, prefix = 'ngfw:rl:' }) {
+  async function consume(key, algorithm, args, ttlMs) {
+    const reply = await client.eval(ALGORITHMS[algorithm].lua, 1, prefix + key, ...args, ttlMs);
+    return reply.map(Number);
+  }
+
+  return {
+    type: 'redis',
+    consume,
+    stats: () => ({ prefix }),
+    close: () => client.quit && client.quit()
+  };
+}
+
+// Local stand-in for Redis (demos / no Redis available): understands only the gateway's
+// own scripts, runs their JS twin and keeps values as JSON strings with PX expiry like Redis.
+function createFakeRedisClient() {
+  const values = new Map(); // key -> { value, expiresAt }
+  const byScript = new Map(Object.values(ALGORITHMS).map(a => [a.lua, a]));
+
+  return {
+    async eval(script, numKeys, key, ...args) {
+      const algorithm = byScript.get(script);
+      if (!algorithm || numKeys !== 1) throw new Error('ERR fake redis: unknown script');
+      const ttlMs = Number(args[args.length - 1]);
+      const now = Date.now();
+      const existing = values.get(key);
+      const state = existing && existing.expiresAt > now ? JSON.parse(existing.value) : null;
+      const { state: next, result } = algorithm.run(state, args.slice(0, -1).map(Number));
+      values.set(key, { value: JSON.stringify(next), expiresAt: now + ttlMs });
+      if (values.size % 1000 === 0) {
+        for (const [k, e] of values) if (e.expiresAt <= now) values.delete(k);
+      }
+      return result.map(v => (Number.isInteger(v) ? v : String(v)));
+    },
+    async quit() { values.clear(); }
+  };
+}
+
+function createStore(storeConfig = {}) {
+  if (storeConfig.type === 'redis') {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch {
+      throw new Error('Rate limit store "redis" needs the ioredis package (npm install ioredis)');
+    }
+    return createRedisStore({ client: new Redis(storeConfig.url || 'redis://localhost:6379'), prefix: storeConfig.prefix });
+  }
+  if (storeConfig.type === 'fake-redis') {
+    return { ...createRedisStore({ client: createFakeRedisClient(), prefix: storeConfig.prefix }), type: 'fake-redis' };
+  }
+  return createMemoryStore({ maxKeys: storeConfig.maxKeys });
+}
+
+function validateLimit(limit, where, issues) {
+  if (!limit || typeof limit !== 'object' || Array.isArray(limit)) {
+    issues.push(`${where}: must be an object`);
+    return;
+  }
+  if (!ALGORITHMS[limit.algorithm]) issues.push(`${where}.algorithm: must be one of ${Object.keys(ALGORITHMS).join(', ')}`);
+  const keys = Array.isArray(limit.key) ? limit.key : [limit.key];
+  if (!keys.length || keys.some(k => !KEY_PARTS.includes(k))) issues.push(`${where}.key: must be one or more of ${KEY_PARTS.join(', ')}`);
+  const positive = v => typeof v === 'number' && v > 0;
+  if (limit.algorithm === 'token_bucket') {
+    if (!positive(limit.capacity)) issues.push(`${where}.capacity: must be a number > 0`);
+    if (!positive(limit.refillPerSec)) issues.push(`${where}.refillPerSec: must be a number > 0`);
+  }
+  if (limit.algorithm === 'sliding_window') {
+    if (!positive(limit.limit)) issues.push(`${where}.limit: must be a number > 0`);
+    if (!positive(limit.windowSec)) issues.push(`${where}.windowSec: must be a number > 0`);
+  }
+  if (limit.cost !== undefined && !positive(limit.cost)) issues.push(`${where}.cost: must be a number > 0`);
+}
+
+function validateRateLimitConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.store && !['memory', 'redis', 'fake-redis'].includes(doc.store.type)) {
+    issues.push('store.type: must be one of memory, redis, fake-redis');
+  }
+  validateLimit(doc.default, 'default', issues);
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) issues.push('rules: must be an array');
+  const ids = new Set();
+  (Array.isArray(doc.rules) ? doc.rules : []).forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    validateLimit(rule, where, issues);
+    if (typeof rule?.id !== 'string' || !rule.id) issues.push(`${where}.id: must be a non-empty string`);
+    else if (ids.has(rule.id)) issues.push(`${where}.id: duplicate id "${rule.id}"`);
+    else ids.add(rule.id);
+    if (typeof rule?.path !== 'string' || !rule.path.startsWith('/')) issues.push(`${where}.path: must be a glob starting with "/"`);
+    if (rule?.methods !== undefined && (!Array.isArray(rule.methods) || rule.methods.some(m => !METHODS.includes(String(m).toUpperCase())))) {
+      issues.push(`${where}.methods: must be an array of HTTP methods`);
+    }
+  });
+  return issues;
+}
+
+const DEFAULT_RATE_LIMITS = {
+  store: { type: 'memory' },
+  default: { algorithm: 'sliding_window', key: 'ip', limit: 20, windowSec: 60 },
+  rules: []
+};
+
+function loadRateLimitConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_RATE_LIMITS;
+  const issues = validateRateLimitConfig(doc);
+  if (issues.length) throw new Error(`Invalid rate limit config ${file}:\n  - ${issues.join('\n  - ')}`);
+  return doc;
+}
+
+function compileLimit(limit, id) {
+  const windowMs = limit.algorithm === 'sliding_window'
+    ? limit.windowSec * 1000
+    : Math.ceil(limit.capacity / limit.refillPerSec) * 1000; // time to refill from empty
+  return {
+    ...limit,
+    id,
+    keys: Array.isArray(limit.key) ? limit.key : [limit.key],
+    cost: limit.cost || 1,
+    windowMs,
+    max: limit.algorithm === 'sliding_window' ? limit.limit : limit.capacity,
+    regex: limit.path ? globToRegExp(limit.path) : null,
+    methods: limit.methods ? limit.methods.map(m => m.toUpperCase()) : null
+  };
+}
+
+// RateLimit-Policy style description, e.g. "20;w=60" or "10;w=50;burst=10"
+function policyString(limit) {
+  return limit.algorithm === 'sliding_window'
+    ? `${limit.limit};w=${limit.windowSec}`
+    : `${limit.capacity};w=${Math.round(limit.windowMs / 1000)};burst=${limit.capacity}`;
+}
+
+function createRateLimiter(config, { store = createStore(config.store) } = {}) {
+  const fallback = compileLimit(config.default, config.default.id || 'default');
+  const rules = (config.rules || []).map(rule => compileLimit(rule, rule.id));
+
+  function keyFor(limit, { ctx, auth, req }) {
+    const parts = limit.keys.map(part => {
+      if (part === 'ip') return ctx.ip;
+      if (part === 'userId') return ctx.userId;
+      if (part === 'role') return ctx.role;
+      if (part === 'path') return normalizeRequestPath(ctx.path);
+      // Never put raw API keys into the store
+      return auth?.keyId || (req.headers['x-api-key'] ? hashApiKey(req.headers['x-api-key']).slice(0, 16) : 'none');
+    });
+    return `${limit.id}:${parts.join('|')}`;
+  }
+
+  function match(method, rawPath) {
+    const p = normalizeRequestPath(rawPath);
+    return rules.find(r => r.regex.test(p) && (!r.methods || r.methods.includes(method))) || fallback;
+  }
+
+  // → { allowed, rule, algorithm, key, limit, remaining, resetSec, retryAfterSec, policy }
+  async function check(input) {
+    const limit = match(input.ctx.method, input.ctx.path);
+    const key = keyFor(limit, input);
+    const now = Date.now();
+    const base = { rule: limit.id, algorithm: limit.algorithm, key, limit: limit.max, policy: policyString(limit) };
+
+    let reply;
+    try {
+      const args = limit.algorithm === 'token_bucket'
+        ? [limit.capacity, limit.refillPerSec / 1000, limit.cost, now]
+        : [limit.limit, limit.windowMs, limit.cost, now];
+      reply = await store.consume(key, limit.algorithm, args, limit.windowMs * 2);
+    } catch (err) {
+      // Fail open: a store outage must not take the gateway down with it
+      console.error('Rate limit store error:', err.message);
+      return { ...base, allowed: true, remaining: limit.max, resetSec: 0, retryAfterSec: 0, error: err.message };
+    }
+
+    const allowed = reply[0] === 1;
+    if (limit.algorithm === 'token_bucket') {
+      const tokens = reply[1];
+      const perMs = limit.refillPerSec / 1000;
+      return {
+        ...base,
+        allowed,
+        remaining: Math.max(0, Math.floor(tokens)),
+        resetSec: Math.ceil((limit.capacity - tokens) / perMs / 1000),
+        retryAfterSec: allowed ? 0 : Math.ceil((limit.cost - tokens) / perMs / 1000)
+      };
+    }
+
+    const [, curr, prev, start] = reply;
+    const elapsed = now - start;
+    const used = prev * ((limit.windowMs - elapsed) / limit.windowMs) + curr;
+    const untilNextWindow = limit.windowMs - elapsed;
+    let retryMs = 0;
+    if (!allowed) {
+      // Wait until enough of the previous window has slid out, or for the next window
+      const room = limit.limit - curr - limit.cost;
+      retryMs = room >= 0 && prev > 0
+        ? Math.max(0, limit.windowMs * (1 - room / prev) - elapsed)
+        : untilNextWindow;
+    }
+    return {
+      ...base,
+      allowed,
+      remaining: Math.max(0, Math.floor(limit.limit - used)),
+      resetSec: Math.ceil(untilNextWindow / 1000),
+      retryAfterSec: Math.ceil(retryMs / 1000)
+    };
+  }
+
+  function describe() {
+    return {
+      store: { type: store.type, ...store.stats() },
+      default: { id: fallback.id, algorithm: fallback.algorithm, key: fallback.keys, policy: policyString(fallback) },
+      rules: rules.map(r => ({ id: r.id, path: r.path, methods: r.methods, algorithm: r.algorithm, key: r.keys, policy: policyString(r) }))
+    };
+  }
+
+  return { check, describe, close: () => store.close() };
+}
+
+// Standard RateLimit-* headers (IETF draft) plus Retry-After when limited
+function rateLimitHeaders(result) {
+  return {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSec),
+    'RateLimit-Policy': result.policy,
+    ...(result.allowed ? {} : { 'Retry-After': String(Math.max(1, result.retryAfterSec)) })
+  };
+}
+
+function setRateLimitHeaders(res, result) {
+  res.set(rateLimitHeaders(result));
+}
+
+module.exports = {
+  ALGORITHMS,
+  createMemoryStore,
+  createRedisStore,
+  createFakeRedisClient,
+  validateRateLimitConfig,
+  loadRateLimitConfig,
+  createRateLimiter,
+  rateLimitHeaders,
+  setRateLimitHeaders
+};
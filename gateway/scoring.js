@@ -0,0 +1,160 @@
+const fs = require('fs');
+
+// Risk scoring pipeline: detectors register as scorers, results are combined
+// by a configurable strategy into one risk, label and block decision.
+const STRATEGIES = ['max', 'weighted_sum', 'vote'];
+
+const DEFAULT_SCORING = {
+  strategy: 'max',
+  thresholds: { medium: 0.4, high: 0.7, block: 0.95 },
+  vote: { threshold: 0.7 },
+  scorers: {}
+};
+
+function validateScoringConfig(doc) {
+  const issues = [];
+  const isRisk = v => typeof v === 'number' && v >= 0 && v <= 1;
+
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  if (doc.strategy !== undefined && !STRATEGIES.includes(doc.strategy)) {
+    issues.push(`strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  const t = doc.thresholds || {};
+  for (const key of ['medium', 'high', 'block']) {
+    if (t[key] !== undefined && !isRisk(t[key])) issues.push(`thresholds.${key} must be a number between 0 and 1`);
+  }
+  const merged = { ...DEFAULT_SCORING.thresholds, ...t };
+  if (merged.medium > merged.high) issues.push('thresholds.medium must not exceed thresholds.high');
+  if (doc.vote?.threshold !== undefined && !isRisk(doc.vote.threshold)) {
+    issues.push('vote.threshold must be a number between 0 and 1');
+  }
+  for (const [name, s] of Object.entries(doc.scorers || {})) {
+    if (!s || typeof s !== 'object') { issues.push(`scorers.${name} must be an object`); continue; }
+    if (s.enabled !== undefined && typeof s.enabled !== 'boolean') issues.push(`scorers.${name}.enabled must be a boolean`);
+    if (s.weight !== undefined && !(typeof s.weight === 'number' && s.weight >= 0)) issues.push(`scorers.${name}.weight must be a number >= 0`);
+    if (s.veto !== undefined && !isRisk(s.veto)) issues.push(`scorers.${name}.veto must be a number between 0 and 1`);
+  }
+  return issues;
+}
+
+function loadScoringConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const issues = validateScoringConfig(doc);
+  if (issues.length) throw new Error(`Invalid scoring config ${file}: ${issues.join('; ')}`);
+  return {
+    strategy: doc.strategy || DEFAULT_SCORING.strategy,
+    thresholds: { ...DEFAULT_SCORING.thresholds, ...doc.thresholds },
+    vote: { ...DEFAULT_SCORING.vote, ...doc.vote },
+    scorers: doc.scorers || {}
+  };
+}
+
+function labelFor(risk, thresholds) {
+  return risk >= thresholds.high ? 'high_risk' : risk >= thresholds.medium ? 'medium_risk' : 'normal';
+}
+
+// Each strategy maps the enabled scorers' results to a single 0..1 risk
+function combine(strategy, results, voteThreshold) {
+  if (!results.length) return 0.0;
+  if (strategy === 'weighted_sum') {
+    const total = results.reduce((sum, r) => sum + r.weight, 0);
+    return total ? results.reduce((sum, r) => sum + r.weight * r.risk, 0) / total : 0.0;
+  }
+  if (strategy === 'vote') {
+    const total = results.reduce((sum, r) => sum + r.weight, 0);
+    const votes = results.filter(r => r.risk >= voteThreshold).reduce((sum, r) => sum + r.weight, 0);
+    return total ? votes / total : 0.0;
+  }
+  return results.reduce((max, r) => Math.max(max, r.weight * r.risk), 0.0);
+}
+
+// How much of the combined risk each result accounts for, under the same strategy:
+// max → all of it to the top scorer; weighted_sum → its weighted term; vote → its vote
+function shareOf(strategy, results, voteThreshold) {
+  const total = results.reduce((sum, r) => sum + r.weight, 0);
+  if (strategy === 'weighted_sum') return r => (total ? (r.weight * r.risk) / total : 0);
+  if (strategy === 'vote') return r => (total && r.risk >= voteThreshold ? r.weight / total : 0);
+  const top = results.reduce((best, r) => (r.weight * r.risk > (best ? best.weight * best.risk : 0) ? r : best), null);
+  return r => (r === top ? r.weight * r.risk : 0);
+}
+
+// scorer: { name, score(input, previous) → { risk, reasons?, unavailable?, ...details } }
+// `previous` holds the results of scorers registered earlier (e.g. ML uses the rule risk).
+// A scorer that reports `unavailable` stays in the breakdown but is left out of the combination.
+function createScoringPipeline(config = loadScoringConfig(null)) {
+  const scorers = [];
+
+  function register(scorer) {
+    if (!scorer || typeof scorer.name !== 'string' || typeof scorer.score !== 'function') {
+      throw new Error('Scorer needs a name and a score(input) function');
+    }
+    if (scorers.some(s => s.name === scorer.name)) throw new Error(`Scorer "${scorer.name}" already registered`);
+    scorers.push(scorer);
+  }
+
+  function settingsFor(name) {
+    const s = config.scorers[name] || {};
+    return { enabled: s.enabled !== false, weight: s.weight ?? 1, veto: s.veto ?? null };
+  }
+
+  async function score(input) {
+    const previous = {};
+    const breakdown = [];
+
+    for (const scorer of scorers) {
+      const settings = settingsFor(scorer.name);
+      if (!settings.enabled) continue;
+      let result;
+      try {
+        result = await scorer.score(input, previous);
+      } catch (err) {
+        console.error(`Scorer ${scorer.name} failed:`, err.message);
+        result = { risk: 0.0, reasons: [], error: err.message };
+      }
+      const { risk, reasons, ...details } = result;
+      const clamped = Math.min(Math.max(Number(risk) || 0, 0), 1);
+      previous[scorer.name] = { ...result, risk: clamped };
+      breakdown.push({
+        name: scorer.name,
+        risk: clamped,
+        weight: settings.weight,
+        label: labelFor(clamped, config.thresholds),
+        reasons: reasons || [],
+        ...(details.contributions ? { contributions: details.contributions } : {}),
+        vetoed: !details.unavailable && settings.veto !== null && clamped >= settings.veto,
+        ...(details.unavailable ? { unavailable: true } : {}),
+        ...(details.error ? { error: details.error } : {})
+      });
+    }
+
+    const available = breakdown.filter(b => !b.unavailable);
+    const risk = Math.min(combine(config.strategy, available, config.vote.threshold), 1.0);
+    const share = shareOf(config.strategy, available, config.vote.threshold);
+    for (const b of breakdown) b.share = b.unavailable ? 0 : Number(share(b).toFixed(4));
+    const vetoedBy = breakdown.filter(b => b.vetoed).map(b => b.name);
+    return {
+      risk,
+      label: labelFor(risk, config.thresholds),
+      block: risk >= config.thresholds.block || vetoedBy.length > 0,
+      vetoedBy,
+      strategy: config.strategy,
+      thresholds: config.thresholds,
+      breakdown,
+      results: previous,
+      reasons: breakdown.flatMap(b => b.reasons)
+    };
+  }
+
+  function describe() {
+    return {
+      strategy: config.strategy,
+      thresholds: config.thresholds,
+      vote: config.vote,
+      scorers: scorers.map(s => ({ name: s.name, ...settingsFor(s.name) }))
+    };
+  }
+
+  return { register, score, describe, labelFor: risk => labelFor(risk, config.thresholds) };
+}
+
+module.exports = { STRATEGIES, validateScoringConfig, loadScoringConfig, createScoringPipeline };
@@ -0,0 +1,57 @@
+// Dev client-certificate CA for mTLS (needs the openssl CLI); writes into certs/:
+//   node scripts/client-certs.js init                 CA + empty CRL
+//   node scripts/client-certs.js issue <cn> [email]   certs/<cn>.pem + certs/<cn>.key
+//   node scripts/client-certs.js revoke <cn>          add to the CRL (the gateway reloads it)
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const CA_NAME = 'AI-NGFW Dev Client CA';
+const dir = path.join(__dirname, '..', 'certs');
+const file = name => path.join(dir, name);
+const openssl = (...args) => execFileSync('openssl', args, { cwd: dir, stdio: ['ignore', 'ignore', 'pipe'] });
+
+// Minimal `openssl ca` setup, only used to keep the revocation database and sign CRLs
+const CA_CONFIG = `[ ca ]
+default_ca = dev_ca
+[ dev_ca ]
+database = index.txt
+crlnumber = crlnumber
+certificate = client-ca.pem
+private_key = client-ca.key
+default_md = sha256
+default_crl_days = 30
+`;
+
+function writeCrl() {
+  openssl('ca', '-config', 'ca.cnf', '-gencrl', '-out', 'client-ca.crl.pem');
+}
+
+const [command, cn, email] = process.argv.slice(2);
+
+if (command === 'init') {
+  fs.mkdirSync(dir, { recursive: true });
+  openssl('req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '365', '-subj', `/CN=${CA_NAME}`,
+    '-keyout', 'client-ca.key', '-out', 'client-ca.pem');
+  fs.writeFileSync(file('ca.cnf'), CA_CONFIG);
+  fs.writeFileSync(file('index.txt'), '');
+  fs.writeFileSync(file('crlnumber'), '01\n');
+  writeCrl();
+  console.log(`CA and CRL written to ${dir}`);
+} else if (command === 'issue' && cn) {
+  const ext = file(`${cn}.ext`);
+  fs.writeFileSync(ext, `extendedKeyUsage = clientAuth\n${email ? `subjectAltName = email:${email}\n` : ''}`);
+  openssl('req', '-newkey', 'rsa:2048', '-nodes', '-subj', `/CN=${cn}`, '-keyout', `${cn}.key`, '-out', `${cn}.csr`);
+  openssl('x509', '-req', '-in', `${cn}.csr`, '-CA', 'client-ca.pem', '-CAkey', 'client-ca.key', '-CAcreateserial',
+    '-days', '90', '-extfile', ext, '-out', `${cn}.pem`);
+  fs.rmSync(file(`${cn}.csr`));
+  fs.rmSync(ext);
+  console.log(`Issued ${file(`${cn}.pem`)} (key ${file(`${cn}.key`)})`);
+} else if (command === 'revoke' && cn) {
+  openssl('ca', '-config', 'ca.cnf', '-revoke', `${cn}.pem`);
+  writeCrl();
+  console.log(`Revoked ${cn}; CRL updated`);
+} else {
+  console.error('Usage: node scripts/client-certs.js init | issue <cn> [email] | revoke <cn>');
+  process.exit(1);
+}
@@ -0,0 +1,9 @@
+// Write the gateway's ML feature schema for the Python side (training, export, ml_server.py):
+//   node scripts/feature-schema.js [out.json]        (default ../ml/feature_schema.json)
+const fs = require('fs');
+const path = require('path');
+const { describeSchema } = require('../features');
+
+const out = process.argv[2] || path.join(__dirname, '..', '..', 'ml', 'feature_schema.json');
+fs.writeFileSync(out, `${JSON.stringify(describeSchema(), null, 2)}\n`);
+console.log(`Feature schema v${describeSchema().version} (${describeSchema().features.length} features) written to ${out}`);
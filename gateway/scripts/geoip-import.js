@@ -0,0 +1,33 @@
+// Convert MaxMind GeoLite2 Country CSVs into the gateway's geoip.csv (network,country):
+//   node scripts/geoip-import.js <Blocks-IPv4.csv> [Blocks-IPv6.csv] <Locations-en.csv> > geoip.csv
+// Networks without a country (anonymous proxies, satellite providers) are skipped.
+const fs = require('fs');
+
+const files = process.argv.slice(2);
+const locationsFile = files.find(f => /Locations/i.test(f));
+const blockFiles = files.filter(f => f !== locationsFile);
+if (!locationsFile || !blockFiles.length) {
+  console.error('Usage: node scripts/geoip-import.js <Blocks-IPv4.csv> [Blocks-IPv6.csv] <Locations-en.csv>');
+  process.exit(1);
+}
+
+const rows = file => fs.readFileSync(file, 'utf8').split(/\r?\n/).slice(1).filter(Boolean).map(line => line.split(','));
+
+// geoname_id,locale_code,continent_code,continent_name,country_iso_code,...
+const countries = new Map();
+for (const [geonameId, , , , iso] of rows(locationsFile)) {
+  if (iso) countries.set(geonameId, iso);
+}
+
+const out = ['network,country'];
+let skipped = 0;
+// network,geoname_id,registered_country_geoname_id,...
+for (const file of blockFiles) {
+  for (const [network, geonameId, registeredId] of rows(file)) {
+    const country = countries.get(geonameId) || countries.get(registeredId);
+    if (country) out.push(`${network},${country}`);
+    else skipped++;
+  }
+}
+process.stdout.write(out.join('\n') + '\n');
+console.error(`${out.length - 1} networks written, ${skipped} without a country skipped`);
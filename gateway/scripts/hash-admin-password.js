@@ -0,0 +1,11 @@
+// Print an admins.json entry: node scripts/hash-admin-password.js <username> <viewer|operator> <password>
+const { ADMIN_ROLES, hashPassword } = require('../adminAuth');
+
+const [username, role, password] = process.argv.slice(2);
+
+if (!username || !ADMIN_ROLES.includes(role) || !password) {
+  console.error(`Usage: node scripts/hash-admin-password.js <username> <${ADMIN_ROLES.join('|')}> <password>`);
+  process.exit(1);
+}
+
+console.log(JSON.stringify({ username, role, passwordHash: hashPassword(password) }, null, 2));
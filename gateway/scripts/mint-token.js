@@ -0,0 +1,20 @@
+// Mint an HS256 test token: NGFW_JWT_SECRET=... node scripts/mint-token.js <userId> <role> [ttlSeconds]
+const path = require('path');
+const { signHS256 } = require('../auth');
+
+const config = require(process.env.NGFW_AUTH_CONFIG || path.join(__dirname, '..', 'auth.json'));
+const jwt = config.jwt || {};
+const secret = process.env[jwt.hs256SecretEnv || 'NGFW_JWT_SECRET'];
+const [userId, role = jwt.defaultRole || 'user', ttl = '3600'] = process.argv.slice(2);
+
+if (!secret || !userId) {
+  console.error('Usage: NGFW_JWT_SECRET=<secret> node scripts/mint-token.js <userId> [role] [ttlSeconds]');
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const claims = { sub: userId, [jwt.roleClaim || 'role']: role, iat: now, exp: now + Number(ttl) };
+if (jwt.issuer) claims.iss = jwt.issuer;
+if (jwt.audience) claims.aud = jwt.audience;
+
+console.log(signHS256(claims, secret));
@@ -0,0 +1,39 @@
+// Local SMTP stub for testing the alert "smtp" channel: accepts every message and prints it
+//   node scripts/smtp-stub.js [port]        (default 2525)
+const net = require('net');
+
+const port = Number(process.argv[2]) || 2525;
+
+net.createServer(socket => {
+  let buffer = '';
+  let data = null; // collecting message lines after DATA
+  let envelope = { from: null, to: [] };
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 smtp-stub ready');
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (data) {
+        if (line !== '.') { data.push(line.replace(/^\.\./, '.')); continue; }
+        console.log(`--- message from ${envelope.from} to ${envelope.to.join(', ')}\n${data.join('\n')}\n---`);
+        data = null;
+        envelope = { from: null, to: [] };
+        reply('250 OK queued');
+        continue;
+      }
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250-smtp-stub\r\n250 8BITMIME');
+      else if (command === 'MAIL') { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+      else if (command === 'RCPT') { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+      else if (command === 'DATA') { data = []; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else if (command === 'RSET' || command === 'NOOP') reply('250 OK');
+      else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => {});
+}).listen(port, () => console.log(`SMTP stub listening on ${port}`));
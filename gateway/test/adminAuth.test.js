@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashPassword, verifyPassword } = require('../adminAuth');
+
+test('verifyPassword accepts the right password only', async () => {
+  const stored = hashPassword('s3cret');
+  assert.equal(await verifyPassword('s3cret', stored), true);
+  assert.equal(await verifyPassword('wrong', stored), false);
+});
+
+test('verifyPassword rejects malformed stored hashes for any password', async () => {
+  const salt = 'abcd';
+  for (const stored of [
+    `scrypt$${salt}$zz`,
+    `scrypt$${salt}$x`,
+    `scrypt$${salt}$`,
+    `scrypt$${salt}$${'ab'.repeat(16)}`,        // valid hex, wrong key length
+    `scrypt$${salt}$${'ab'.repeat(63)}zz`,
+    `bcrypt$${salt}$${'ab'.repeat(64)}`,
+    ''
+  ]) {
+    assert.equal(await verifyPassword('anything', stored), false, stored);
+    assert.equal(await verifyPassword('', stored), false, stored);
+  }
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GENESIS_HASH, canonicalize, hashBlock, sealBlock, createChainVerifier, verifyChain } = require('../auditChain');
+
+function buildChain(n) {
+  const blocks = [];
+  for (let i = 0; i < n; i++) blocks.push(sealBlock(blocks[i - 1] || null, { time: `t${i}`, decision: { allow: i % 2 === 0 } }));
+  return blocks;
+}
+
+test('canonicalize sorts keys and drops undefined values', () => {
+  assert.equal(canonicalize({ b: 1, a: { d: [1, undefined], c: 'x' }, e: undefined }), '{"a":{"c":"x","d":[1,null]},"b":1}');
+  assert.equal(hashBlock({ a: 1, b: 2 }), hashBlock({ b: 2, a: 1 }));
+});
+
+test('sealBlock links blocks and ignores index / hash fields in the entry', () => {
+  const [first, second] = buildChain(2);
+  assert.equal(first.index, 0);
+  assert.equal(first.prevHash, GENESIS_HASH);
+  assert.equal(second.index, 1);
+  assert.equal(second.prevHash, first.hash);
+  assert.equal(second.hash, hashBlock(second));
+
+  const resealed = sealBlock(second, { ...first, extra: true });
+  assert.equal(resealed.index, 2);
+  assert.equal(resealed.prevHash, second.hash);
+});
+
+test('verifyChain accepts an intact chain and survives a JSON round trip', () => {
+  const blocks = JSON.parse(JSON.stringify(buildChain(5)));
+  const result = verifyChain(blocks);
+  assert.equal(result.valid, true);
+  assert.equal(result.length, 5);
+  assert.equal(result.headIndex, 4);
+  assert.equal(result.headHash, blocks[4].hash);
+
+  const empty = verifyChain([]);
+  assert.deepEqual([empty.valid, empty.length, empty.headIndex, empty.headHash], [true, 0, null, GENESIS_HASH]);
+});
+
+test('verifyChain reports tampered, missing and out-of-order blocks', () => {
+  const blocks = buildChain(5);
+
+  const tampered = blocks.map(b => ({ ...b }));
+  tampered[2].decision = { allow: true, edited: true };
+  const t = verifyChain(tampered);
+  assert.equal(t.valid, false);
+  assert.equal(t.firstInvalidIndex, 2);
+  assert.deepEqual(t.issues.map(i => i.type), ['tampered']);
+
+  const gap = verifyChain([blocks[0], blocks[1], blocks[4]]);
+  assert.deepEqual(gap.issues.map(i => [i.type, i.index]), [['missing', 2]]);
+  assert.equal(gap.issues[0].count, 2);
+
+  const swapped = verifyChain([blocks[0], blocks[2], blocks[1]]);
+  assert.deepEqual(swapped.issues.map(i => i.type), ['missing', 'out_of_order', 'broken_link']);
+});
+
+test('a re-sealed block still breaks the link to its successor', () => {
+  const blocks = buildChain(3);
+  const forged = { ...blocks[1], decision: { allow: true } };
+  forged.hash = hashBlock(forged);
+  const result = verifyChain([blocks[0], forged, blocks[2]]);
+  assert.deepEqual(result.issues.map(i => [i.type, i.index]), [['broken_link', 2]]);
+});
+
+test('createChainVerifier continues from an anchor block', () => {
+  const blocks = buildChain(4);
+  const verifier = createChainVerifier({ index: blocks[1].index, hash: blocks[1].hash });
+  blocks.slice(2).forEach(verifier.push);
+  const result = verifier.result();
+  assert.equal(result.valid, true);
+  assert.equal(result.anchorIndex, 1);
+  assert.equal(result.length, 2);
+
+  const wrongAnchor = createChainVerifier({ index: 1, hash: GENESIS_HASH });
+  wrongAnchor.push(blocks[2]);
+  assert.equal(wrongAnchor.result().issues[0].type, 'broken_link');
+});
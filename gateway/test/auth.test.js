@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hashApiKey, signHS256, verifyJwt, createAuthenticator } = require('../auth');
+
+const SECRET = 'test-secret';
+const options = { secret: SECRET, jwks: [], issuer: null, audience: null, clockToleranceSec: 30 };
+const b64 = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+const inOneHour = () => now() + 3600;
+
+function signRS256(claims, privateKey, kid) {
+  const header = b64({ alg: 'RS256', typ: 'JWT', ...(kid ? { kid } : {}) });
+  const payload = b64(claims);
+  const sig = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${sig}`;
+}
+
+test('verifyJwt accepts a valid HS256 token', () => {
+  const result = verifyJwt(signHS256({ sub: 'alice', role: 'admin', exp: inOneHour() }, SECRET), options);
+  assert.equal(result.ok, true);
+  assert.equal(result.alg, 'HS256');
+  assert.equal(result.claims.sub, 'alice');
+});
+
+test('verifyJwt rejects a header or payload that is JSON but not an object', () => {
+  for (const [header, payload] of [
+    ['bnVsbA', 'e30'],                    // null header, {} payload
+    [b64({ alg: 'HS256' }), b64(null)],
+    [b64(42), b64({})],
+    [b64({ alg: 'HS256' }), b64(['a'])],
+    [b64('HS256'), b64({})]
+  ]) {
+    assert.deepEqual(verifyJwt(`${header}.${payload}.x`, options), { ok: false, failure: 'malformed_token' });
+  }
+});
+
+test('verifyJwt rejects tokens that are not three segments or not JSON', () => {
+  for (const token of ['', 'abc', 'a.b', 'a.b.c.d', 'not-json.e30.x']) {
+    assert.deepEqual(verifyJwt(token, options), { ok: false, failure: 'malformed_token' }, token);
+  }
+});
+
+test('verifyJwt checks the HS256 signature', () => {
+  const token = signHS256({ sub: 'alice', exp: inOneHour() }, 'other-secret');
+  assert.equal(verifyJwt(token, options).failure, 'bad_signature');
+  assert.equal(verifyJwt(signHS256({ sub: 'alice', exp: inOneHour() }, SECRET), { ...options, secret: null }).failure, 'alg_not_enabled');
+});
+
+test('verifyJwt refuses algorithms other than HS256 and RS256', () => {
+  const token = `${b64({ alg: 'none' })}.${b64({ sub: 'alice', exp: inOneHour() })}.`;
+  assert.equal(verifyJwt(token, options).failure, 'alg_not_allowed');
+});
+
+test('verifyJwt verifies RS256 against the JWKS, by kid when given', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = [{ kid: 'k1', key: publicKey }];
+  const claims = { sub: 'bob', exp: inOneHour() };
+  assert.equal(verifyJwt(signRS256(claims, privateKey, 'k1'), { ...options, jwks }).ok, true);
+  assert.equal(verifyJwt(signRS256(claims, privateKey), { ...options, jwks }).ok, true);
+  assert.equal(verifyJwt(signRS256(claims, privateKey, 'k2'), { ...options, jwks }).failure, 'unknown_key');
+
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  assert.equal(verifyJwt(signRS256(claims, other, 'k1'), { ...options, jwks }).failure, 'bad_signature');
+});
+
+test('verifyJwt enforces exp, nbf, issuer and audience', () => {
+  const check = (claims, extra = {}) => verifyJwt(signHS256(claims, SECRET), { ...options, ...extra });
+  assert.equal(check({ sub: 'a' }).failure, 'missing_exp');
+  assert.equal(check({ sub: 'a', exp: now() - 60 }).failure, 'token_expired');
+  assert.equal(check({ sub: 'a', exp: now() - 10 }).ok, true); // within clock tolerance
+  assert.equal(check({ sub: 'a', exp: inOneHour(), nbf: now() + 600 }).failure, 'token_not_yet_valid');
+  assert.equal(check({ sub: 'a', exp: inOneHour(), iss: 'someone' }, { issuer: 'ai-ngfw' }).failure, 'bad_issuer');
+  assert.equal(check({ sub: 'a', exp: inOneHour(), aud: 'x' }, { audience: 'api' }).failure, 'bad_audience');
+  assert.equal(check({ sub: 'a', exp: inOneHour(), aud: ['x', 'api'] }, { audience: 'api' }).ok, true);
+});
+
+test('authenticate resolves identity from credentials and rejects identity headers', () => {
+  process.env.NGFW_TEST_JWT_SECRET = SECRET;
+  const authenticator = createAuthenticator({
+    mode: 'required',
+    jwt: { hs256SecretEnv: 'NGFW_TEST_JWT_SECRET' },
+    apiKeys: [{ id: 'k-alice', keyHash: hashApiKey('alice-key'), userId: 'alice', role: 'admin' }]
+  });
+  const req = headers => ({ headers, path: '/' });
+
+  const jwt = authenticator.authenticate(req({ authorization: `Bearer ${signHS256({ sub: 'bob', exp: inOneHour() }, SECRET)}` }));
+  assert.deepEqual([jwt.ok, jwt.method, jwt.userId, jwt.role], [true, 'jwt', 'bob', 'user']);
+
+  const key = authenticator.authenticate(req({ 'x-api-key': 'alice-key' }));
+  assert.deepEqual([key.ok, key.keyId, key.userId, key.role], [true, 'k-alice', 'alice', 'admin']);
+
+  assert.equal(authenticator.authenticate(req({ 'x-api-key': 'nope' })).failure, 'unknown_api_key');
+  assert.equal(authenticator.authenticate(req({ authorization: 'Bearer bnVsbA.e30.x' })).failure, 'malformed_token');
+  assert.equal(authenticator.authenticate(req({})).failure, 'missing_credentials');
+
+  const forged = authenticator.authenticate(req({ 'x-api-key': 'alice-key', 'x-user-role': 'admin' }));
+  assert.deepEqual([forged.ok, forged.failure, forged.role], [false, 'forged_identity_headers', 'guest']);
+  delete process.env.NGFW_TEST_JWT_SECRET;
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTrustedProxyConfig, parseForwarded, parseXForwardedFor, createClientIpResolver } = require('../clientIp');
+
+const req = (remoteAddress, headers = {}, encrypted = true) => ({ socket: { remoteAddress, encrypted }, headers });
+
+test('parseXForwardedFor splits addresses and keeps unusable hops raw', () => {
+  assert.deepEqual(parseXForwardedFor('203.0.113.7, ::ffff:10.0.0.1 ,2001:db8::1'), [
+    { address: '203.0.113.7' }, { address: '10.0.0.1' }, { address: '2001:db8::1' }
+  ]);
+  assert.deepEqual(parseXForwardedFor('unknown, 203.0.113.7:8080,,'), [
+    { address: null, raw: 'unknown' }, { address: null, raw: '203.0.113.7:8080' }
+  ]);
+});
+
+test('parseForwarded reads for= nodes (ports, brackets, quotes) and proto', () => {
+  assert.deepEqual(parseForwarded('for=192.0.2.60;proto=HTTP;by=203.0.113.43, for="[2001:db8::17]:4711"'), [
+    { address: '192.0.2.60', proto: 'http' },
+    { address: '2001:db8::17' }
+  ]);
+  assert.deepEqual(parseForwarded('For="192.0.2.60:8080";Proto="https"'), [{ address: '192.0.2.60', proto: 'https' }]);
+  assert.deepEqual(parseForwarded('for=_hidden, for=unknown'), [
+    { address: null, raw: '_hidden' }, { address: null, raw: 'unknown' }
+  ]);
+  // Separators inside quotes do not split elements
+  assert.deepEqual(parseForwarded('for="10.0.0.1";x="a,b;c"'), [{ address: '10.0.0.1' }]);
+});
+
+test('validateTrustedProxyConfig lists every problem', () => {
+  assert.deepEqual(validateTrustedProxyConfig({ trustedProxies: ['10.0.0.0/8', '::1'], header: 'auto', maxHops: 3 }), []);
+  assert.deepEqual(validateTrustedProxyConfig([]), ['config must be a JSON object']);
+  assert.equal(validateTrustedProxyConfig({ trustedProxies: ['10.0.0.0/33', 'proxy'], header: 'x-real-ip', maxHops: 0 }).length, 4);
+});
+
+test('forwarding headers from an untrusted peer are ignored and flagged', () => {
+  const resolver = createClientIpResolver({ trustedProxies: ['10.0.0.0/8'], header: 'auto', maxHops: 10 });
+  const client = resolver.resolve(req('::ffff:198.51.100.9', { 'x-forwarded-for': '1.2.3.4', 'x-real-ip': '1.2.3.4' }));
+  assert.equal(client.ip, '198.51.100.9');
+  assert.equal(client.source, 'socket');
+  assert.deepEqual(client.spoofed, ['x-forwarded-for', 'x-real-ip']);
+});
+
+test('the chain is walked right to left through trusted proxies only', () => {
+  const resolver = createClientIpResolver({ trustedProxies: ['10.0.0.0/8'], header: 'auto', maxHops: 10 });
+  const client = resolver.resolve(req('10.0.0.2', {
+    'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.1',
+    'x-forwarded-proto': 'http'
+  }));
+  assert.equal(client.ip, '203.0.113.7'); // the spoofable left-most hop is not believed
+  assert.equal(client.source, 'x-forwarded-for');
+  assert.equal(client.trustedHops, 2);
+  assert.equal(client.proto, 'http');
+  assert.deepEqual(client.chain, ['6.6.6.6', '203.0.113.7', '10.0.0.1', '10.0.0.2']);
+
+  const malformed = resolver.resolve(req('10.0.0.2', { 'x-forwarded-for': '203.0.113.7, garbage' }));
+  assert.equal(malformed.ip, '10.0.0.2');
+  assert.deepEqual(malformed.malformed, ['garbage']);
+});
+
+test('Forwarded wins in auto mode and maxHops bounds the walk', () => {
+  const resolver = createClientIpResolver({ trustedProxies: ['10.0.0.0/8'], header: 'auto', maxHops: 2 });
+  const client = resolver.resolve(req('10.0.0.3', {
+    forwarded: 'for=203.0.113.1, for=10.0.0.1;proto=http, for=10.0.0.2',
+    'x-forwarded-for': '198.51.100.1'
+  }));
+  assert.equal(client.source, 'forwarded');
+  assert.equal(client.ip, '10.0.0.1'); // only the last two hops are read
+  assert.equal(client.proto, 'http');
+});
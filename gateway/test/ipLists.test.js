@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseIp, parseCidr, validateIpListConfig, loadGeoIp, createIpLists } = require('../ipLists');
+
+const config = (overrides = {}) => ({
+  enabled: true,
+  geoipFile: null,
+  allow: { cidrs: [], countries: [] },
+  deny: { cidrs: [], countries: [] },
+  ...overrides
+});
+
+test('parseIp reads IPv4, IPv6 and IPv4-mapped addresses', () => {
+  assert.deepEqual(parseIp('10.0.0.1'), { family: 4, value: 0x0a000001n });
+  assert.deepEqual(parseIp('::ffff:10.0.0.1'), { family: 4, value: 0x0a000001n });
+  assert.deepEqual(parseIp('::1'), { family: 6, value: 1n });
+  assert.deepEqual(parseIp('2001:db8::'), { family: 6, value: 0x20010db8n << 96n });
+  assert.deepEqual(parseIp('fe80::1%eth0'), { family: 6, value: (0xfe80n << 112n) + 1n });
+  assert.deepEqual(parseIp('64:ff9b::192.0.2.33'), { family: 6, value: (0x64ff9bn << 96n) + 0xc0000221n });
+  for (const bad of ['', 'localhost', '10.0.0', '10.0.0.256', '1::2::3', null]) assert.equal(parseIp(bad), null, String(bad));
+});
+
+test('parseCidr computes ranges and rejects bad prefixes', () => {
+  assert.deepEqual(parseCidr('10.1.2.3/8'), { family: 4, start: 0x0a000000n, end: 0x0affffffn, prefix: 8 });
+  assert.deepEqual(parseCidr('192.0.2.1'), { family: 4, start: 0xc0000201n, end: 0xc0000201n, prefix: 32 });
+  assert.equal(parseCidr('::/0').end, (1n << 128n) - 1n);
+  for (const bad of ['10.0.0.0/33', '10.0.0.0/-1', '10.0.0.0/8/8', '10.0.0.0/8x', '10.0.0.0/', 'nope/8', '::/129']) {
+    assert.equal(parseCidr(bad), null, bad);
+  }
+});
+
+test('validateIpListConfig lists every problem', () => {
+  assert.deepEqual(validateIpListConfig(config()), []);
+  assert.deepEqual(validateIpListConfig(null), ['config must be a JSON object']);
+  const issues = validateIpListConfig({ enabled: 'yes', allow: { cidrs: ['10.0.0.0/99'] }, deny: { countries: ['ru'] } });
+  assert.equal(issues.length, 4);
+  assert.ok(issues.includes('geoipFile: required when a list uses countries'));
+});
+
+test('longest prefix wins and deny takes ties', () => {
+  const lists = createIpLists(config({
+    allow: { cidrs: ['10.0.0.0/8', '192.0.2.0/24'], countries: [] },
+    deny: { cidrs: ['10.1.0.0/16', '192.0.2.0/24', '2001:db8::/32'], countries: [] }
+  }));
+  assert.deepEqual(lists.check('10.2.0.1'), { country: null, list: 'allow', match: '10.0.0.0/8' });
+  assert.deepEqual(lists.check('10.1.0.1'), { country: null, list: 'deny', match: '10.1.0.0/16' });
+  assert.equal(lists.check('192.0.2.5').list, 'deny');
+  assert.equal(lists.check('2001:db8::5').list, 'deny');
+  assert.equal(lists.check('::ffff:10.2.0.1').list, 'allow');
+  assert.equal(lists.check('198.51.100.1').list, null);
+  assert.equal(createIpLists(config({ enabled: false, deny: { cidrs: ['0.0.0.0/0'], countries: [] } })).check('1.2.3.4').list, null);
+});
+
+test('GeoIP countries match, but a CIDR entry beats a country', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iplists-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'geo.csv'), 'network,country\n203.0.113.0/24,NL\n198.51.100.0/24,RU\n2001:db8::/32,DE\n');
+    const lists = createIpLists(config({
+      geoipFile: 'geo.csv',
+      allow: { cidrs: ['198.51.100.7'], countries: [] },
+      deny: { cidrs: [], countries: ['RU', 'DE'] }
+    }), { baseDir: dir });
+    assert.deepEqual(lists.check('203.0.113.9'), { country: 'NL', list: null, match: null });
+    assert.deepEqual(lists.check('198.51.100.1'), { country: 'RU', list: 'deny', match: 'country:RU' });
+    assert.deepEqual(lists.check('198.51.100.7'), { country: 'RU', list: 'allow', match: '198.51.100.7' });
+    assert.equal(lists.check('2001:db8::1').match, 'country:DE');
+    assert.equal(lists.check('192.0.2.1').country, null);
+
+    fs.writeFileSync(path.join(dir, 'bad.csv'), '10.0.0.0/8,NL\n10.1.0.0/16,DE\nnot-a-cidr,FR\n');
+    assert.throws(() => loadGeoIp(path.join(dir, 'bad.csv')), /line 3.*\n.*overlapping/s);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// Upstream routing: host / path-prefix routes → named pools of backends,
+// balanced round-robin or by least connections, with active health checks
+// and passive ejection of backends that keep failing.
+const BALANCING = ['round_robin', 'least_connections'];
+
+const DEFAULT_UPSTREAMS = {
+  pools: {
+    'dummy-app': { servers: [{ id: 'dummy-app-1', url: 'https://localhost:9001' }] }
+  },
+  routes: [{ id: 'default', pathPrefix: '/', pool: 'dummy-app' }]
+};
+
+function validateUpstreamConfig(doc) {
+  const issues = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['config must be a JSON object'];
+  const pools = doc.pools && typeof doc.pools === 'object' ? doc.pools : {};
+  if (!Object.keys(pools).length) issues.push('pools: at least one pool is required');
+
+  const serverIds = new Set();
+  for (const [name, pool] of Object.entries(pools)) {
+    const where = `pools.${name}`;
+    if (pool.balancing !== undefined && !BALANCING.includes(pool.balancing)) {
+      issues.push(`${where}.balancing: must be one of ${BALANCING.join(', ')}`);
+    }
+    if (!Array.isArray(pool.servers) || !pool.servers.length) {
+      issues.push(`${where}.servers: must be a non-empty array`);
+      continue;
+    }
+    pool.servers.forEach((server, i) => {
+      let url = null;
+      try { url = new URL(server.url); } catch { /* reported below */ }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) issues.push(`${where}.servers[${i}].url: must be an http(s) URL`);
+      const id = server.id || server.url;
+      if (serverIds.has(id)) issues.push(`${where}.servers[${i}].id: duplicate id "${id}"`);
+      serverIds.add(id);
+    });
+    const hc = pool.healthCheck;
+    if (hc !== undefined && (typeof hc !== 'object' || (hc.path !== undefined && !String(hc.path).startsWith('/')))) {
+      issues.push(`${where}.healthCheck.path: must start with "/"`);
+    }
+  }
+
+  if (!Array.isArray(doc.routes) || !doc.routes.length) issues.push('routes: must be a non-empty array');
+  (Array.isArray(doc.routes) ? doc.routes : []).forEach((route, i) => {
+    const where = `routes[${i}]`;
+    if (!route || typeof route !== 'object') { issues.push(`${where}: must be an object`); return; }
+    if (!pools[route.pool]) issues.push(`${where}.pool: unknown pool "${route.pool}"`);
+    if (route.pathPrefix !== undefined && (typeof route.pathPrefix !== 'string' || !route.pathPrefix.startsWith('/'))) {
+      issues.push(`${where}.pathPrefix: must start with "/"`);
+    }
+    if (route.host !== undefined && typeof route.host !== 'string') issues.push(`${where}.host: must be a string`);
+  });
+  return issues;
+}
+
+function loadUpstreamConfig(file) {
+  const doc = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_UPSTREAMS;
+  const issues = validateUpstreamConfig(doc);
+  if (issues.length) throw new Error(`Invalid upstream config ${file}:\n  - ${issues.join('\n  - ')}`);
+  return doc;
+}
+
+// "api.example.com", "*.example.com" or "*"; the port is ignored
+function hostMatches(pattern, host) {
+  if (!pattern || pattern === '*') return true;
+  const h = String(host || '').toLowerCase().replace(/:\d+$/, '');
+  const p = pattern.toLowerCase();
+  return p.startsWith('*.') ? h.endsWith(p.slice(1)) : h === p;
+}
+
+function prefixMatches(prefix, reqPath) {
+  if (prefix === '/') return true;
+  const p = prefix.endsWith('/') ? prefix.slice(0, -1) : prefix;
+  return reqPath === p || reqPath.startsWith(p + '/') || reqPath.startsWith(p + '?');
+}
+
+function createUpstreamRouter(config, { log = console.log } = {}) {
+  const pools = new Map();
+  for (const [name, pool] of Object.entries(config.pools)) {
+    const hc = pool.healthCheck || {};
+    const passive = pool.passive || {};
+    pools.set(name, {
+      name,
+      balancing: pool.balancing || 'round_robin',
+      next: 0,
+      // Keep-alive agents per pool; backends use self-signed certs unless configured otherwise
+      agents: {
+        'https:': new https.Agent({ keepAlive: true, rejectUnauthorized: pool.tls?.rejectUnauthorized ?? false }),
+        'http:': new http.Agent({ keepAlive: true })
+      },
+      healthCheck: {
+        enabled: hc.enabled !== false,
+        path: hc.path || '/health',
+        intervalMs: (hc.intervalSec || 10) * 1000,
+        timeoutMs: hc.timeoutMs || 2000,
+        healthyThreshold: hc.healthyThreshold || 2,
+        unhealthyThreshold: hc.unhealthyThreshold || 3
+      },
+      passive: { maxFailures: passive.maxFailures || 3, ejectMs: (passive.ejectSec || 30) * 1000 },
+      servers: pool.servers.map(s => ({
+        id: s.id || s.url,
+        url: s.url.replace(/\/$/, ''),
+        healthy: true,
+        ejectedUntil: 0,
+        active: 0,
+        consecutiveFailures: 0,
+        checkSuccesses: 0,
+        checkFailures: 0,
+        requests: 0,
+        failures: 0,
+        lastCheck: null
+      }))
+    });
+  }
+
+  // Most specific route first: exact host before wildcard, then longest path prefix
+  const routes = config.routes
+    .map((r, i) => ({ ...r, id: r.id || `route-${i}`, pathPrefix: r.pathPrefix || '/', order: i }))
+    .sort((a, b) =>
+      (Number(!a.host || a.host === '*') - Number(!b.host || b.host === '*')) ||
+      (b.pathPrefix.length - a.pathPrefix.length) ||
+      (a.order - b.order));
+
+  const timers = [];
+
+  function available(server, now = Date.now()) {
+    return server.healthy && server.ejectedUntil <= now;
+  }
+
+  function pick(pool) {
+    const now = Date.now();
+    const candidates = pool.servers.filter(s => available(s, now));
+    if (!candidates.length) return null;
+    if (pool.balancing === 'least_connections') {
+      const fewest = Math.min(...candidates.map(s => s.active));
+      const tied = candidates.filter(s => s.active === fewest);
+      return tied[pool.next++ % tied.length];
+    }
+    return candidates[pool.next++ % candidates.length];
+  }
+
+  // → { route, pool, server, url, path } | { error: 'no_route' | 'no_healthy_upstream', route?, pool? }
+  function select(host, forwardPath) {
+    const route = routes.find(r => hostMatches(r.host, host) && prefixMatches(r.pathPrefix, forwardPath));
+    if (!route) return { error: 'no_route' };
+    const pool = pools.get(route.pool);
+    const server = pick(pool);
+    if (!server) return { error: 'no_healthy_upstream', route: route.id, pool: pool.name };
+
+    let upstreamPath = forwardPath;
+    if (route.stripPrefix && route.pathPrefix !== '/') {
+      upstreamPath = forwardPath.slice(route.pathPrefix.replace(/\/$/, '').length) || '/';
+      if (!upstreamPath.startsWith('/')) upstreamPath = '/' + upstreamPath;
+    }
+    server.active++;
+    server.requests++;
+    return { route: route.id, pool: pool.name, server: server.id, url: server.url + upstreamPath, path: upstreamPath, agent: pool.agents[new URL(server.url).protocol] };
+  }
+
+  // Report how a selected upstream request ended (passive health)
+  function release(selection, { ok, error } = { ok: true }) {
+    const pool = pools.get(selection.pool);
+    const server = pool && pool.servers.find(s => s.id === selection.server);
+    if (!server) return;
+    server.active = Math.max(0, server.active - 1);
+    if (ok) {
+      server.consecutiveFailures = 0;
+      return;
+    }
+    server.failures++;
+    server.consecutiveFailures++;
+    if (server.consecutiveFailures >= pool.passive.maxFailures && server.ejectedUntil <= Date.now()) {
+      server.ejectedUntil = Date.now() + pool.passive.ejectMs;
+      server.consecutiveFailures = 0;
+      log(`Upstream ${pool.name}/${server.id} ejected for ${pool.passive.ejectMs / 1000}s: ${error || 'repeated failures'}`);
+    }
+  }
+
+  function probe(pool, server) {
+    const url = new URL(server.url + pool.healthCheck.path);
+    const client = url.protocol === 'https:' ? https : http;
+    const finish = (ok, detail) => {
+      server.lastCheck = { time: new Date().toISOString(), ok, ...detail };
+      if (ok) {
+        server.checkFailures = 0;
+        server.checkSuccesses++;
+        if (!server.healthy && server.checkSuccesses >= pool.healthCheck.healthyThreshold) {
+          server.healthy = true;
+          log(`Upstream ${pool.name}/${server.id} is healthy again`);
+        }
+      } else {
+        server.checkSuccesses = 0;
+        server.checkFailures++;
+        if (server.healthy && server.checkFailures >= pool.healthCheck.unhealthyThreshold) {
+          server.healthy = false;
+          log(`Upstream ${pool.name}/${server.id} marked unhealthy: ${detail.error || `HTTP ${detail.status}`}`);
+        }
+      }
+    };
+
+    const req = client.get(url, { agent: pool.agents[url.protocol], timeout: pool.healthCheck.timeoutMs }, res => {
+      res.resume();
+      finish(res.statusCode >= 200 && res.statusCode < 400, { status: res.statusCode });
+    });
+    req.on('timeout', () => req.destroy(new Error('health check timed out')));
+    req.on('error', err => finish(false, { error: err.message }));
+  }
+
+  function startHealthChecks() {
+    for (const pool of pools.values()) {
+      if (!pool.healthCheck.enabled) continue;
+      const run = () => pool.servers.forEach(server => probe(pool, server));
+      run();
+      const timer = setInterval(run, pool.healthCheck.intervalMs);
+      timer.unref();
+      timers.push(timer);
+    }
+  }
+
+  function status() {
+    const now = Date.now();
+    return {
+      routes: routes.map(({ id, host, pathPrefix, pool, stripPrefix }) => ({ id, host: host || '*', pathPrefix, pool, stripPrefix: !!stripPrefix })),
+      pools: [...pools.values()].map(pool => ({
+        name: pool.name,
+        balancing: pool.balancing,
+        healthCheckPath: pool.healthCheck.enabled ? pool.healthCheck.path : null,
+        servers: pool.servers.map(s => ({
+          id: s.id,
+          url: s.url,
+          available: available(s, now),
+          healthy: s.healthy,
+          ejectedUntil: s.ejectedUntil > now ? new Date(s.ejectedUntil).toISOString() : null,
+          active: s.active,
+          requests: s.requests,
+          failures: s.failures,
+          lastCheck: s.lastCheck
+        }))
+      }))
+    };
+  }
+
+  function stop() {
+    timers.forEach(clearInterval);
+    for (const pool of pools.values()) Object.values(pool.agents).forEach(agent => agent.destroy());
+  }
+
+  return { select, release, startHealthChecks, status, stop };
+}
+
+module.exports = { BALANCING, validateUpstreamConfig, loadUpstreamConfig, createUpstreamRouter };
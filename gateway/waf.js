@@ -0,0 +1,185 @@
+// Signature-based request inspection (WAF layer): SQLi, XSS, path traversal,
+// command injection and SSRF patterns across path, query, headers and body.
+const SIGNATURES = [
+  // SQL injection
+  { id: 'sqli_union_select', category: 'sqli', score: 0.95, pattern: /\bunion\b[\s(]+(?:all\s+|distinct\s+)?select\b/i },
+  { id: 'sqli_stacked_query', category: 'sqli', score: 0.95, pattern: /;\s*(?:drop|delete|insert|update|alter|create|truncate|exec(?:ute)?)\s/i },
+  { id: 'sqli_quoted_tautology', category: 'sqli', score: 0.9, pattern: /['"`]\s*(?:or|and)\s+['"`]?[\w-]+['"`]?\s*(?:=|like)\s*['"`]?[\w-]+/i },
+  { id: 'sqli_time_based', category: 'sqli', score: 0.9, pattern: /\b(?:sleep|benchmark|pg_sleep)\s*\(|\bwaitfor\s+delay\s+'/i },
+  { id: 'sqli_schema_probe', category: 'sqli', score: 0.8, pattern: /\binformation_schema\b|\bsys\.(?:tables|objects|columns)\b|\bsqlite_master\b/i },
+  { id: 'sqli_numeric_tautology', category: 'sqli', score: 0.7, pattern: /\b(?:or|and)\s+(\d+)\s*=\s*\1\b/i },
+  { id: 'sqli_comment_terminator', category: 'sqli', score: 0.7, pattern: /['"]\s*(?:--|#|\/\*)/ },
+
+  // Cross-site scripting
+  { id: 'xss_script_tag', category: 'xss', score: 0.95, pattern: /<\s*script\b/i },
+  { id: 'xss_event_handler', category: 'xss', score: 0.85, pattern: /<[a-z][^>]*\son[a-z]+\s*=/i },
+  { id: 'xss_js_uri', category: 'xss', score: 0.8, pattern: /\b(?:javascript|vbscript)\s*:/i },
+  { id: 'xss_embed_tag', category: 'xss', score: 0.7, pattern: /<\s*(?:iframe|object|embed|base|meta)\b/i },
+  { id: 'xss_dom_sink', category: 'xss', score: 0.7, pattern: /\bdocument\.(?:cookie|write|domain)\b|\beval\s*\(/i },
+
+  // Path traversal
+  { id: 'traversal_sensitive_file', category: 'path_traversal', score: 0.95, pattern: /\/etc\/(?:passwd|shadow|hosts)\b|\b(?:win|boot)\.ini\b|\/proc\/self\//i },
+  { id: 'traversal_dot_dot', category: 'path_traversal', score: 0.8, pattern: /(?:\.\.[/\\]){2,}|[/\\]\.\.(?:[/\\]|$)/ },
+
+  // Command injection
+  { id: 'cmd_reverse_shell', category: 'cmd_injection', score: 0.95, pattern: /\/dev\/tcp\/|\bnc\s+(?:-\w+\s+)*-e\b|\bbash\s+-i\b/i },
+  // Needs shell context: a command inside $( ) / backticks, or after a separator with a
+  // flag, path or URL argument — a bare "; id" or "& ls" also occurs in ordinary text
+  {
+    id: 'cmd_chained_command',
+    category: 'cmd_injection',
+    score: 0.9,
+    pattern: /(?:\$\(|`)\s*(?:cat|ls|id|whoami|uname|wget|curl|nc|bash|sh|powershell|cmd(?:\.exe)?|ping)\b|[;&|]\s*(?:cat|ls|id|whoami|uname|wget|curl|nc|bash|sh|powershell|cmd(?:\.exe)?|ping)\s+(?:--?[a-z]|[/~]|\.{1,2}\/|[a-z]+:\/\/|\d{1,3}\.\d)/i
+  },
+  { id: 'cmd_substitution', category: 'cmd_injection', score: 0.6, pattern: /\$\([^)]{1,200}\)/ },
+
+  // Server-side request forgery
+  { id: 'ssrf_cloud_metadata', category: 'ssrf', score: 0.95, pattern: /169\.254\.169\.254|metadata\.google\.internal|100\.100\.100\.200/i },
+  { id: 'ssrf_internal_url', category: 'ssrf', score: 0.85, pattern: /\b(?:https?|ftp):\/\/(?:localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[::1?\]|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(?:1[6-9]|2\d|3[01])\.\d+\.\d+)\b/i },
+  { id: 'ssrf_dangerous_scheme', category: 'ssrf', score: 0.8, pattern: /\b(?:gopher|file|dict|ldap|jar):\/\//i }
+];
+
+// Headers worth inspecting; credentials are never scanned or echoed back into logs.
+// Cookie and the URL headers are split into their parts first (see headerValues)
+const INSPECTED_HEADERS = ['user-agent', 'referer', 'origin', 'cookie', 'x-forwarded-for', 'x-forwarded-host'];
+const URL_HEADERS = ['referer', 'origin'];
+const SKIPPED_HEADERS = ['x-api-key', 'authorization'];
+
+// Media that can't carry the textual payloads above
+const BINARY_TYPES = ['image/', 'audio/', 'video/', 'font/', 'application/octet-stream', 'application/zip', 'application/gzip', 'application/pdf'];
+
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_VALUE_LENGTH = 8 * 1024;
+const MAX_VALUES = 500;
+const MAX_DEPTH = 8;
+
+// Undo URL / HTML encoding layers attackers use to hide payloads
+function decodeValue(value) {
+  let out = String(value).slice(0, MAX_VALUE_LENGTH);
+  for (let i = 0; i < 2; i++) {
+    try {
+      const next = decodeURIComponent(out.replace(/\+/g, ' '));
+      if (next === out) break;
+      out = next;
+    } catch {
+      break;
+    }
+  }
+  return out
+    .replace(/&#x([0-9a-f]+);?/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);?/g, (_, d) => String.fromCharCode(Number(d)))
+    .replace(/&lt;/gi, '<').replace(/&gt;/gi, '>').replace(/&quot;/gi, '"')
+    .replace(/\/\*.*?\*\//g, ' ')
+    .replace(/\0/g, '');
+}
+
+// Flatten nested query / JSON / form values into [location, value] pairs
+function collectValues(value, location, out, depth = 0) {
+  if (out.length >= MAX_VALUES || value === null || value === undefined) return;
+  if (typeof value === 'object') {
+    if (depth >= MAX_DEPTH) return;
+    for (const [k, v] of Object.entries(value)) {
+      collectValues(k, `${location}[key]`, out, depth + 1);
+      collectValues(v, `${location}.${k}`, out, depth + 1);
+    }
+    return;
+  }
+  out.push([location, String(value)]);
+}
+
+// Cookie values one by one, and Referer / Origin as path + query values, so the "; " and
+// "&" separators of a normal header are not read as shell syntax
+function headerValues(name, raw, out) {
+  const location = `header.${name}`;
+  if (name === 'cookie') {
+    for (const pair of raw.split(';')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) continue;
+      const cookie = pair.slice(0, eq).trim();
+      out.push([`${location}.${cookie}`, pair.slice(eq + 1).trim()]);
+    }
+    return;
+  }
+  if (URL_HEADERS.includes(name)) {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      out.push([location, raw]); // not a URL: scan it as sent
+      return;
+    }
+    out.push([location, `${url.protocol}//${url.host}${url.pathname}`]);
+    collectValues(Object.fromEntries(url.searchParams), `${location}.query`, out);
+    return;
+  }
+  out.push([location, raw]);
+}
+
+function collectRequestValues(req, reqPath) {
+  const values = [['path', reqPath]];
+  collectValues(req.query, 'query', values);
+  for (const name of INSPECTED_HEADERS) {
+    if (req.headers[name] !== undefined) headerValues(name, String(req.headers[name]), values);
+  }
+  for (const [name, v] of Object.entries(req.headers)) {
+    if (name.startsWith('x-') && !INSPECTED_HEADERS.includes(name) && !SKIPPED_HEADERS.includes(name)) {
+      values.push([`header.${name}`, String(v)]);
+    }
+  }
+  const body = parseBody(req);
+  if (typeof body === 'string') values.push(['body', body]);
+  else if (body && typeof body === 'object') collectValues(body, 'body', values);
+  return values.slice(0, MAX_VALUES);
+}
+
+// Proxied bodies arrive as raw Buffers; decode the textual ones by content type
+function parseBody(req) {
+  if (!Buffer.isBuffer(req.body)) return req.body;
+  if (!req.body.length) return undefined;
+  const type = String(req.headers['content-type'] || '').toLowerCase();
+  if (BINARY_TYPES.some(t => type.startsWith(t))) return undefined;
+  const text = req.body.subarray(0, MAX_BODY_BYTES).toString('utf8');
+  if (type.includes('json')) {
+    try { return JSON.parse(text); } catch { return text; }
+  }
+  if (type.startsWith('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  return text;
+}
+
+function inspectRequest(req, reqPath = req.path) {
+  const hits = [];
+  const seen = new Set();
+
+  for (const [location, raw] of collectRequestValues(req, reqPath)) {
+    const value = decodeValue(raw);
+    for (const sig of SIGNATURES) {
+      const m = sig.pattern.exec(value);
+      if (!m) continue;
+      const key = `${sig.id}|${location}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      hits.push({ id: sig.id, category: sig.category, score: sig.score, location, sample: m[0].slice(0, 60) });
+    }
+  }
+
+  // Strongest hit decides; each additional attack category adds a little
+  const categories = [...new Set(hits.map(h => h.category))];
+  const top = hits.reduce((max, h) => Math.max(max, h.score), 0);
+  const risk = hits.length ? Math.min(1.0, top + 0.05 * (categories.length - 1)) : 0.0;
+  const strongest = hits.find(h => h.score === top);
+
+  return {
+    risk,
+    hits,
+    categories,
+    reasons: [...new Set(hits.map(h => `waf_${h.id}`))],
+    contributions: hits.length ? [
+      { name: `waf_${strongest.id}`, risk: top, category: strongest.category, location: strongest.location },
+      ...(categories.length > 1 ? [{ name: 'additional_categories', risk: Number((0.05 * (categories.length - 1)).toFixed(2)) }] : [])
+    ] : []
+  };
+}
+
+module.exports = { SIGNATURES, decodeValue, inspectRequest };
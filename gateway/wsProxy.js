@@ -0,0 +1,194 @@
+const http = require('http');
+const https = require('https');
+const { stripHopByHop } = require('./proxy');
+
+// WebSocket proxying for upgrade requests that passed the firewall: the backend
+// handshake is relayed, then bytes are piped both ways while a passive frame
+// parser counts messages and picks up the close code / reason.
+
+// Counts complete data messages in one direction of a WebSocket stream without buffering payloads
+function createFrameCounter() {
+  const stats = { messages: 0, bytes: 0, close: null };
+  let header = [];
+  let remaining = 0;  // payload bytes of the current frame still to pass
+  let closePayload = null;
+  let mask = null;
+
+  function headerSize() {
+    if (header.length < 2) return Infinity;
+    const len7 = header[1] & 0x7f;
+    const ext = len7 === 126 ? 2 : len7 === 127 ? 8 : 0;
+    return 2 + ext + ((header[1] & 0x80) ? 4 : 0);
+  }
+
+  function finishClose() {
+    const payload = Buffer.concat(closePayload);
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    stats.close = payload.length >= 2
+      ? { code: payload.readUInt16BE(0), reason: payload.subarray(2).toString('utf8'), at: Date.now() }
+      : { code: 1005, reason: '', at: Date.now() };
+    closePayload = null;
+  }
+
+  function startFrame() {
+    const buf = Buffer.from(header);
+    const len7 = buf[1] & 0x7f;
+    const ext = len7 === 126 ? 2 : len7 === 127 ? 8 : 0;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    remaining = ext === 2 ? buf.readUInt16BE(2) : ext === 8 ? Number(buf.readBigUInt64BE(2)) : len7;
+    mask = (buf[1] & 0x80) ? buf.subarray(2 + ext, 6 + ext) : null;
+    header = [];
+    // Text / binary messages end on a FIN frame (continuations included); control frames don't count
+    if (fin && opcode <= 0x2) stats.messages++;
+    if (opcode === 0x8) {
+      closePayload = [];
+      if (remaining === 0) finishClose();
+    }
+  }
+
+  function push(chunk) {
+    stats.bytes += chunk.length;
+    let i = 0;
+    while (i < chunk.length) {
+      if (remaining > 0) {
+        const take = Math.min(remaining, chunk.length - i);
+        if (closePayload) closePayload.push(chunk.subarray(i, i + take));
+        remaining -= take;
+        i += take;
+        if (remaining === 0 && closePayload) finishClose();
+        continue;
+      }
+      header.push(chunk[i++]);
+      if (header.length === headerSize()) startFrame();
+    }
+  }
+
+  return { push, stats };
+}
+
+function writeRawResponse(socket, status, headers, body = '') {
+  const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`];
+  for (const [name, value] of Object.entries(headers)) {
+    for (const v of [].concat(value)) lines.push(`${name}: ${v}`);
+  }
+  socket.write(lines.join('\r\n') + '\r\n\r\n');
+  if (body) socket.write(body);
+}
+
+// Refuse an upgrade with a JSON body, as the HTTP path would
+function rejectUpgrade(socket, status, body, headers = {}) {
+  if (socket.destroyed) return;
+  const payload = JSON.stringify(body);
+  writeRawResponse(socket, status, {
+    ...headers,
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+    Connection: 'close'
+  }, payload);
+  socket.end();
+}
+
+// → Promise<{ upgraded, status, durationMs, messagesIn, messagesOut, bytesIn, bytesOut, closeReason, closeCode? }>
+// "In" is client → backend, "out" is backend → client.
+function proxyWebSocket({ req, socket, head, url, agent, headers, timeoutMs = 10000 }) {
+  return new Promise(resolve => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const started = Date.now();
+    const inbound = createFrameCounter();
+    const outbound = createFrameCounter();
+    let done = false;
+    let clientGone = false;
+
+    // A close frame (whichever side sent it first) beats the socket-level reason
+    const finish = (fields) => {
+      if (done) return;
+      done = true;
+      const closes = [['client', inbound.stats.close], ['upstream', outbound.stats.close]].filter(([, c]) => c);
+      closes.sort((a, b) => a[1].at - b[1].at);
+      const [closedBy, close] = closes[0] || [];
+      resolve({
+        ...fields,
+        durationMs: Date.now() - started,
+        messagesIn: inbound.stats.messages,
+        messagesOut: outbound.stats.messages,
+        bytesIn: inbound.stats.bytes,
+        bytesOut: outbound.stats.bytes,
+        ...(close ? { closedBy, closeCode: close.code, closeReason: close.reason || `close_${close.code}` } : {})
+      });
+    };
+
+    const upstreamReq = client.request(target, {
+      method: 'GET',
+      agent,
+      headers: { ...headers, host: target.host, connection: 'Upgrade', upgrade: req.headers.upgrade }
+    });
+
+    upstreamReq.setTimeout(timeoutMs, () => upstreamReq.destroy(new Error(`upstream timed out after ${timeoutMs}ms`)));
+
+    // Client went away before the backend answered: stop talking to the backend too
+    const abandon = () => {
+      clientGone = true;
+      upstreamReq.destroy(new Error('client disconnected'));
+    };
+    socket.once('close', abandon);
+    if (socket.destroyed) abandon();
+
+    upstreamReq.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+      upstreamReq.setTimeout(0);
+      socket.removeListener('close', abandon);
+      const resHeaders = {};
+      for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+        const name = upstreamRes.rawHeaders[i];
+        resHeaders[name] = [].concat(resHeaders[name] || [], upstreamRes.rawHeaders[i + 1]);
+      }
+      writeRawResponse(socket, 101, resHeaders);
+
+      let socketReason = null;
+      const end = () => finish({ upgraded: true, status: 101, closeReason: socketReason || 'disconnected' });
+
+      socket.on('data', inbound.push);
+      upstreamSocket.on('data', outbound.push);
+      if (upstreamHead.length) { outbound.push(upstreamHead); socket.write(upstreamHead); }
+      if (head.length) { inbound.push(head); upstreamSocket.write(head); }
+      socket.pipe(upstreamSocket);
+      upstreamSocket.pipe(socket);
+
+      socket.on('close', () => { socketReason = socketReason || 'client_disconnected'; upstreamSocket.destroy(); end(); });
+      upstreamSocket.on('close', () => { socketReason = socketReason || 'upstream_disconnected'; socket.destroy(); end(); });
+      socket.on('error', err => { socketReason = socketReason || `client_error: ${err.message}`; });
+      upstreamSocket.on('error', err => { socketReason = socketReason || `upstream_error: ${err.message}`; });
+    });
+
+    // Backend answered without upgrading: relay its response, delimited by closing the connection
+    upstreamReq.on('response', upstreamRes => {
+      writeRawResponse(socket, upstreamRes.statusCode, { ...stripHopByHop(upstreamRes.headers), connection: 'close' });
+      upstreamRes.pipe(socket);
+      const status = upstreamRes.statusCode;
+      upstreamRes.on('end', () => finish({ upgraded: false, status, closeReason: 'not_upgraded' }));
+      upstreamRes.on('error', err => {
+        socket.destroy();
+        finish({ upgraded: false, status, closeReason: clientGone ? 'client_disconnected' : 'upstream_error', error: err.message });
+      });
+      upstreamRes.on('aborted', () => {
+        socket.destroy();
+        finish({ upgraded: false, status, closeReason: clientGone ? 'client_disconnected' : 'upstream_disconnected' });
+      });
+      socket.on('close', () => {
+        upstreamRes.destroy();
+        finish({ upgraded: false, status, closeReason: upstreamRes.complete ? 'not_upgraded' : 'client_disconnected' });
+      });
+    });
+
+    upstreamReq.on('error', err => {
+      if (clientGone) return finish({ upgraded: false, status: null, closeReason: 'client_disconnected' });
+      rejectUpgrade(socket, 502, { error: 'TLS Backend unavailable' });
+      finish({ upgraded: false, status: 502, closeReason: 'upstream_error', error: err.message });
+    });
+
+    upstreamReq.end();
+  });
+}
+
+module.exports = { createFrameCounter, rejectUpgrade, proxyWebSocket };
@@ -0,0 +1,90 @@
+import json
+import os
+import sys
+from datetime import datetime, timezone
+
+import joblib
+import sklearn
+
+# Exports the trained pipeline (one-hot preprocessing + random forest) as a JSON
+# tree ensemble that the gateway evaluates in-process (gateway/mlScorer.js).
+#   python export_model.py [model.joblib] [model.json]
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+
+FORMAT = "ngfw-tree-ensemble"
+FORMAT_VERSION = 1
+
+# Feature contract written by the gateway (npm run feature-schema)
+SCHEMA_PATH = os.path.join(BASE_DIR, "feature_schema.json")
+
+
+def load_feature_schema(path=SCHEMA_PATH):
+    with open(path) as f:
+        return json.load(f)
+
+
+def export_features(preprocess):
+    # One entry per column of the transformed matrix, in order
+    features = []
+    for name, transformer, columns in preprocess.transformers_:
+        if name == "remainder":
+            continue
+        if name == "cat":
+            for column, categories in zip(columns, transformer.categories_):
+                features.extend({"input": column, "equals": str(c)} for c in categories)
+        else:
+            features.extend({"input": column} for column in columns)
+    return features
+
+
+def export_tree(estimator, positive):
+    tree = estimator.tree_
+    # Leaf values are class counts (or fractions); keep P(positive class)
+    proba = [
+        float(v[0][positive] / v[0].sum()) if v[0].sum() else 0.0
+        for v in tree.value
+    ]
+    return {
+        "feature": [int(f) for f in tree.feature],
+        "threshold": [float(t) for t in tree.threshold],
+        "left": [int(n) for n in tree.children_left],
+        "right": [int(n) for n in tree.children_right],
+        "value": proba,
+    }
+
+
+def export_model(clf, out_path):
+    preprocess = clf.named_steps["preprocess"]
+    forest = clf.named_steps["model"]
+    positive = list(forest.classes_).index(1)
+    schema = load_feature_schema()
+    inputs = [c for _, _, cols in preprocess.transformers_ for c in cols]
+    known = {f["name"] for f in schema["features"]}
+    missing = [c for c in inputs if c not in known]
+    if missing:
+        raise SystemExit(f"Model inputs not in feature schema v{schema['version']}: {', '.join(missing)}")
+    doc = {
+        "format": FORMAT,
+        "version": FORMAT_VERSION,
+        "exportedAt": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+        "featureSchema": schema["version"],
+        "source": {"estimator": type(forest).__name__, "sklearn": sklearn.__version__},
+        "inputs": {
+            "categorical": [c for name, _, cols in preprocess.transformers_ if name == "cat" for c in cols],
+            "numeric": [c for name, _, cols in preprocess.transformers_ if name == "num" for c in cols],
+        },
+        "features": export_features(preprocess),
+        # Same cut-offs as ml_server.py
+        "labels": {"medium": 0.3, "high": 0.6},
+        "aggregate": "mean",
+        "trees": [export_tree(e, positive) for e in forest.estimators_],
+    }
+    with open(out_path, "w") as f:
+        json.dump(doc, f, separators=(",", ":"))
+    print(f"Exported {len(doc['trees'])} trees, {len(doc['features'])} features to:", out_path)
+
+
+if __name__ == "__main__":
+    model_path = sys.argv[1] if len(sys.argv) > 1 else os.path.join(BASE_DIR, "model.joblib")
+    out_path = sys.argv[2] if len(sys.argv) > 2 else os.path.join(BASE_DIR, "model.json")
+    export_model(joblib.load(model_path), out_path)
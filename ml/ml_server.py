@@ -1,17 +1,24 @@
-from fastapi import FastAPI
+from fastapi import Body, FastAPI, HTTPException
 import joblib
 import uvicorn
 import os
 from pydantic import BaseModel
 
+from export_model import load_feature_schema
+
 # -------- Load trained ML model --------
 BASE_DIR = os.path.dirname(os.path.abspath(__file__))
 model_path = os.path.join(BASE_DIR, "model.joblib")
 model = joblib.load(model_path)
 
+# Columns the model was trained on, and the gateway's versioned feature contract
+MODEL_INPUTS = list(model.feature_names_in_)
+FEATURE_SCHEMA = load_feature_schema()
+
 app = FastAPI(title="AI-NGFW ML Scoring Service")
 
 # -------- Request schema --------
+# v1 (legacy): the six model inputs at the top level
 class RequestContext(BaseModel):
     method: str
     path: str
@@ -21,18 +28,28 @@ class RequestContext(BaseModel):
     risk_rule: float
 
 # -------- Scoring endpoint --------
+# Body: { "schema_version": <n>, "features": { ... } } (see feature_schema.json),
+# or a legacy v1 RequestContext.
 @app.post("/score")
-def score(context: RequestContext):
+def score(body: dict = Body(...)):
+
+    if "features" in body:
+        version = body.get("schema_version")
+        if version != FEATURE_SCHEMA["version"]:
+            raise HTTPException(
+                status_code=422,
+                detail=f"unsupported feature schema version {version} (expected {FEATURE_SCHEMA['version']})",
+            )
+        features = body["features"]
+    else:
+        features = RequestContext(**body).model_dump()
+
+    missing = [c for c in MODEL_INPUTS if c not in features]
+    if missing:
+        raise HTTPException(status_code=422, detail=f"missing features: {', '.join(missing)}")
 
     # Make a dataframe with a single row
-    row = {
-        "method": context.method,
-        "path": context.path,
-        "role": context.role,
-        "userId": context.userId,
-        "userAgent": context.userAgent,
-        "risk_rule": context.risk_rule,
-    }
+    row = {c: features[c] for c in MODEL_INPUTS}
 
     import pandas as pd
     df = pd.DataFrame([row])
@@ -50,7 +67,8 @@ def score(context: RequestContext):
 
     return {
         "ml_risk": float(proba),
-        "ml_label": label
+        "ml_label": label,
+        "schema_version": body.get("schema_version", 1)
     }
 
 # -------- Run server --------
@@ -6,23 +6,36 @@ from sklearn.preprocessing import OneHotEncoder
 from sklearn.pipeline import Pipeline
 import joblib
 import os
+import sys
 
-# 1) Load the CSV
+from export_model import export_model
+
+# 1) Load the CSV(s)
+#    python train_model.py [dataset.csv ...]
+#    e.g. the seed dataset plus a training export from the gateway
+#    (GET /admin/training/export), which are concatenated
 BASE_DIR = os.path.dirname(os.path.abspath(__file__))
-csv_path = os.path.join(BASE_DIR, "dataset.csv")
+csv_paths = sys.argv[1:] or [os.path.join(BASE_DIR, "dataset.csv")]
 
-print("Loading dataset from:", csv_path)
-df = pd.read_csv(csv_path)
+print("Loading dataset from:", ", ".join(csv_paths))
+df = pd.concat([pd.read_csv(p) for p in csv_paths], ignore_index=True)
 
 print("Rows in dataset:", len(df))
 print(df.head())
 
 # 2) Create a simple target label:
 #    is_attack = 1 if statusCode >= 400 OR label_rule is high_risk
-df["is_attack"] = (
+#    Rows from a training export already carry the analyst's verdict in is_attack;
+#    the heuristic only fills rows without one.
+heuristic = (
     (df["statusCode"] >= 400) |
     (df["label_rule"].isin(["high_risk"]))
 ).astype(int)
+if "is_attack" in df.columns:
+    print("Analyst-labeled rows:", int(df["is_attack"].notna().sum()))
+    df["is_attack"] = df["is_attack"].fillna(heuristic).astype(int)
+else:
+    df["is_attack"] = heuristic
 
 print("Attack label distribution:\n", df["is_attack"].value_counts())
 
@@ -73,3 +86,6 @@ print(f"Test  accuracy: {test_score:.3f}")
 model_path = os.path.join(BASE_DIR, "model.joblib")
 joblib.dump(clf, model_path)
 print("Saved model to:", model_path)
+
+# 9) Export for the gateway's in-process scorer
+export_model(clf, os.path.join(BASE_DIR, "model.json"))